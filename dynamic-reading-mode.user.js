@@ -5,30 +5,374 @@
 // @description  Intelligent reading assistant based on face distance detection Full version, including dynamic fonts, contrast adjustments, and a Kindle-style reading experience
 // @author       Reading Mode Team
 // @match        *://*/*
-// @grant        none
-// @require      https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/face_mesh.js
-// @require      https://cdn.jsdelivr.net/npm/@mediapipe/drawing_utils/drawing_utils.js
-// @require      https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils/camera_utils.js
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_deleteValue
+// @grant        GM_getResourceURL
+// @require      https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/face_mesh.js#sha256=XbhVWsgMoq1zZvuz6lPA0JWWCfyau3uL43p07BrEupw=
+// @require      https://cdn.jsdelivr.net/npm/@mediapipe/drawing_utils@0.3.1675466124/drawing_utils.js#sha256=jSEoZg3kWHX8jLP/IA1kMvyL9VZoKuccFzviT0LqnqM=
+// @resource     faceMeshScript             https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/face_mesh.js#sha256=XbhVWsgMoq1zZvuz6lPA0JWWCfyau3uL43p07BrEupw=
+// @resource     faceMeshBinarypb           https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/face_mesh.binarypb#sha256=E5VGvwWuuzPiYRtrlF86FinDFsqSTjPOwVR8hd3vn1M=
+// @resource     faceMeshPackedAssets       https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/face_mesh_solution_packed_assets.data#sha256=2+WQXFgsBGLNrqF+fm7OqS7aqMzMUVxeLnKR8su1+5k=
+// @resource     faceMeshPackedAssetsLoader https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/face_mesh_solution_packed_assets_loader.js#sha256=5d6GhbKZGEgT987GaOSZAjk3rlIbcPYM0PxIMpMERuA=
+// @resource     faceMeshSimdWasmLoader     https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/face_mesh_solution_simd_wasm_bin.js#sha256=yikYd6+5wTMIz2vkLyPNOfGt8ANrtj7K0s4WBzvPB8c=
+// @resource     faceMeshSimdWasm           https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/face_mesh_solution_simd_wasm_bin.wasm#sha256=+56c/ouDqRTkDqsu/TsNkqYfgqfJaFifIjqyp+Mx0xQ=
+// @resource     faceMeshWasmLoader         https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/face_mesh_solution_wasm_bin.js#sha256=ClMq6EUOfl8niMySrRkCEPchRG0/2csln92pWOZhAsE=
+// @resource     faceMeshWasm               https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/face_mesh_solution_wasm_bin.wasm#sha256=VFIvolxQW/CUJC+Wm05JGRJesNrcy1aPKvFxu9ZYZfk=
 // @run-at       document-idle
 // ==/UserScript==
 
 (function () {
   "use strict";
 
+  // ===== 信号滤波器 =====
+  // One-Euro滤波：静止时强平滑，快速移动时自动提高截止频率以减少延迟
+  class OneEuroFilter {
+    constructor({ minCutoff = 1.0, beta = 0, dCutoff = 1.0 } = {}) {
+      this.minCutoff = minCutoff;
+      this.beta = beta;
+      this.dCutoff = dCutoff;
+      this.reset();
+    }
+
+    reset() {
+      this.lastValue = null;
+      this.lastDerivative = 0;
+      this.lastTimestamp = null;
+    }
+
+    alpha(cutoff, dt) {
+      const tau = 1 / (2 * Math.PI * cutoff);
+      return 1 / (1 + tau / dt);
+    }
+
+    filter(value, timestamp) {
+      if (this.lastValue === null) {
+        this.lastValue = value;
+        this.lastTimestamp = timestamp;
+        return value;
+      }
+
+      const dt = Math.max(0.001, (timestamp - this.lastTimestamp) / 1000);
+      const derivative = (value - this.lastValue) / dt;
+      const derivativeAlpha = this.alpha(this.dCutoff, dt);
+      const smoothedDerivative =
+        derivativeAlpha * derivative +
+        (1 - derivativeAlpha) * this.lastDerivative;
+
+      const cutoff = this.minCutoff + this.beta * Math.abs(smoothedDerivative);
+      const valueAlpha = this.alpha(cutoff, dt);
+      const result = valueAlpha * value + (1 - valueAlpha) * this.lastValue;
+
+      this.lastValue = result;
+      this.lastDerivative = smoothedDerivative;
+      this.lastTimestamp = timestamp;
+      return result;
+    }
+  }
+
+  // 匀速模型卡尔曼滤波：状态为[位置, 速度]，只观测位置
+  class KalmanFilter1D {
+    constructor({ processNoise = 0.3, measurementNoise = 0.01 } = {}) {
+      this.processNoise = processNoise;
+      this.measurementNoise = measurementNoise;
+      this.reset();
+    }
+
+    reset() {
+      this.position = null;
+      this.velocity = 0;
+      this.covariance = null;
+      this.lastTimestamp = null;
+    }
+
+    filter(value, timestamp) {
+      const r = this.measurementNoise * this.measurementNoise;
+
+      if (this.position === null) {
+        this.position = value;
+        this.velocity = 0;
+        this.covariance = [
+          [r, 0],
+          [0, 1],
+        ];
+        this.lastTimestamp = timestamp;
+        return value;
+      }
+
+      const dt = Math.max(0.001, (timestamp - this.lastTimestamp) / 1000);
+      const q = this.processNoise * this.processNoise;
+      const [[p00, p01], [p10, p11]] = this.covariance;
+
+      // 预测
+      this.position += this.velocity * dt;
+      const pp00 =
+        p00 + dt * (p10 + p01) + dt * dt * p11 + (q * Math.pow(dt, 4)) / 4;
+      const pp01 = p01 + dt * p11 + (q * Math.pow(dt, 3)) / 2;
+      const pp10 = p10 + dt * p11 + (q * Math.pow(dt, 3)) / 2;
+      const pp11 = p11 + q * dt * dt;
+
+      // 更新
+      const innovation = value - this.position;
+      const s = pp00 + r;
+      const k0 = pp00 / s;
+      const k1 = pp10 / s;
+
+      this.position += k0 * innovation;
+      this.velocity += k1 * innovation;
+      this.covariance = [
+        [(1 - k0) * pp00, (1 - k0) * pp01],
+        [pp10 - k1 * pp00, pp11 - k1 * pp01],
+      ];
+      this.lastTimestamp = timestamp;
+      return this.position;
+    }
+  }
+
+  class MedianFilter {
+    constructor(windowSize = 3) {
+      this.windowSize = windowSize;
+      this.reset();
+    }
+
+    reset() {
+      this.values = [];
+    }
+
+    median() {
+      const sorted = [...this.values].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2
+        ? sorted[middle]
+        : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    filter(value) {
+      this.values.push(value);
+      while (this.values.length > this.windowSize) {
+        this.values.shift();
+      }
+      return this.median();
+    }
+  }
+
+  // 人脸数据滤波管线：异常帧剔除 → 中值预滤波 → One-Euro/卡尔曼滤波。
+  // 各字段先按尺度归一化（像素除以图像尺寸、角度除以90），使同一组参数适用于所有字段
+  class FaceMetricsFilter {
+    constructor(options = {}) {
+      this.options = options;
+      this.fieldScales = {
+        faceWidth: (m) => m.imageWidth,
+        correctedFaceWidth: (m) => m.imageWidth,
+        irisDiameter: (m) => m.imageWidth,
+        faceHeight: (m) => m.imageHeight,
+        faceWidthToImageRatio: () => 1,
+        faceHeightToImageRatio: () => 1,
+        faceCenterX: () => 1,
+        faceCenterY: () => 1,
+        headYaw: () => 90,
+        headPitch: () => 90,
+        headRoll: () => 90,
+      };
+      this.reset();
+    }
+
+    reset() {
+      this.filters = {};
+      this.medianFilters = {};
+      this.outlierWindow = new MedianFilter(
+        Math.max(3, this.options.medianWindow || 3)
+      );
+      this.rejectedFrames = 0;
+    }
+
+    createFilter() {
+      if (this.options.type === "kalman") {
+        return new KalmanFilter1D(this.options);
+      }
+      return new OneEuroFilter(this.options);
+    }
+
+    isOutlier(metrics) {
+      const width = metrics.correctedFaceWidth || metrics.faceWidth;
+      const hasHistory = this.outlierWindow.values.length > 0;
+      const reference = hasHistory ? this.outlierWindow.median() : width;
+      this.outlierWindow.filter(width);
+
+      if (!hasHistory || !this.options.outlierThreshold) return false;
+
+      const deviation = Math.abs(width - reference) / reference;
+      if (
+        deviation > this.options.outlierThreshold &&
+        this.rejectedFrames < this.options.maxRejectedFrames
+      ) {
+        this.rejectedFrames++;
+        return true;
+      }
+
+      this.rejectedFrames = 0;
+      return false;
+    }
+
+    // 返回滤波后的数据；异常帧返回null
+    filter(metrics) {
+      if (this.isOutlier(metrics)) {
+        console.log(
+          `🚫 [FILTER] Rejected outlier frame (${this.rejectedFrames}/${this.options.maxRejectedFrames})`
+        );
+        return null;
+      }
+
+      const result = { ...metrics };
+
+      Object.keys(this.fieldScales).forEach((field) => {
+        const value = metrics[field];
+        if (value === null || value === undefined) return;
+
+        const scale = this.fieldScales[field](metrics) || 1;
+        let normalized = value / scale;
+
+        if (this.options.median) {
+          if (!this.medianFilters[field]) {
+            this.medianFilters[field] = new MedianFilter(
+              this.options.medianWindow
+            );
+          }
+          normalized = this.medianFilters[field].filter(normalized);
+        }
+
+        if (!this.filters[field]) {
+          this.filters[field] = this.createFilter();
+        }
+        result[field] =
+          this.filters[field].filter(normalized, metrics.timestamp) * scale;
+      });
+
+      return result;
+    }
+  }
+
+  // ===== 事件 =====
+  class EventEmitter {
+    constructor() {
+      this.listeners = {};
+    }
+
+    // 返回取消订阅函数
+    on(event, listener) {
+      (this.listeners[event] = this.listeners[event] || []).push(listener);
+      return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+      const listeners = this.listeners[event];
+      if (!listeners) return;
+      this.listeners[event] = listeners.filter((item) => item !== listener);
+    }
+
+    emit(event, payload) {
+      const listeners = this.listeners[event] || [];
+      if (event === "error" && listeners.length === 0) {
+        console.error(payload);
+        return;
+      }
+
+      listeners.slice().forEach((listener) => {
+        try {
+          listener(payload);
+        } catch (error) {
+          console.error(`❌ [EVENT] "${event}" listener failed:`, error);
+        }
+      });
+    }
+  }
+
   // =====  =====
-  class MediaPipeDistanceDetector {
+  // 检测器生命周期：idle → loading → running ⇄ paused；任一阶段出错进入error（摄像头断开时自动重连），dispose后为disposed
+  const DETECTOR_STATE_TRANSITIONS = {
+    idle: ["loading", "disposed"],
+    loading: ["running", "paused", "idle", "error", "disposed"],
+    running: ["paused", "idle", "error", "disposed"],
+    paused: ["running", "idle", "error", "disposed"],
+    error: ["loading", "idle", "disposed"],
+    disposed: [],
+  };
+
+  const TRACE_FORMAT_VERSION = 1;
+
+  // 事件：distance（每帧距离数据）、face-found / face-lost（人脸出现/消失）、
+  // alignment（校准框对齐状态）、frame（每帧关键点与中间数值，供调试叠加层使用）、
+  // camera（摄像头已启动）、state（生命周期变化）、calibration-warning（校准可能失效）、error
+  class MediaPipeDistanceDetector extends EventEmitter {
     constructor(config = {}) {
+      super();
       this.config = {
-        onDistanceUpdate: config.onDistanceUpdate || (() => {}),
-        onError: config.onError || ((error) => console.error(error)),
-        onCalibrationFrameStatus: config.onCalibrationFrameStatus || (() => {}),
         smoothingWindow: config.smoothingWindow || 5,
+        // 人脸数据滤波："one-euro" | "kalman" | "moving-average"（smoothingWindow帧平均）
+        filter: {
+          type: "one-euro",
+          median: true, // 中值预滤波，削弱单帧尖峰
+          medianWindow: 3,
+          outlierThreshold: 0.25, // 与近期中值相差超过25%的帧视为异常帧丢弃
+          maxRejectedFrames: 3, // 连续丢弃超过该帧数则认为是真实变化
+          minCutoff: 0.5,
+          beta: 10,
+          dCutoff: 1.0,
+          processNoise: 0.3,
+          measurementNoise: 0.01,
+          ...(config.filter || {}),
+        },
         minConfidence: config.minConfidence || 0.5,
         distanceScale: config.distanceScale || 100,
         disableCamera: config.disableCamera || false,
-        basePath:
-          config.basePath ||
-          "https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/",
+        // "relative": 仅输出相对校准位置的偏移；"absolute": 额外利用虹膜直径估算厘米距离
+        distanceMode: config.distanceMode || "relative",
+        irisDiameterMm: config.irisDiameterMm || 11.7, // 成人虹膜直径基本恒定
+        cameraFov: config.cameraFov || 60, // 摄像头水平视场角（度）
+        // 头部转动时按偏航角修正耳间宽度，避免转头被误判为远离
+        poseCompensation: config.poseCompensation !== false,
+        maxReliableYaw: config.maxReliableYaw || 40,
+        // 检测帧率：距离稳定一段时间后降到minFps以节省电量
+        targetFps: config.targetFps || 15,
+        minFps: config.minFps || 5,
+        adaptiveFps: config.adaptiveFps !== false,
+        adaptiveStableTime: config.adaptiveStableTime || 5000,
+        adaptiveStableThreshold: config.adaptiveStableThreshold || 0.03,
+        // 页面隐藏时暂停检测；焦点移入iframe或开发者工具也会触发blur，因此失去焦点时暂停需显式开启
+        pauseWhenHidden: config.pauseWhenHidden !== false,
+        pauseOnBlur: config.pauseOnBlur === true,
+        // 摄像头轨道意外结束（拔出、被其他程序占用）时按指数退避自动重连
+        autoRecover: config.autoRecover !== false,
+        recoveryMaxAttempts: config.recoveryMaxAttempts || 6,
+        recoveryBaseDelay: config.recoveryBaseDelay || 1000,
+        recoveryMaxDelay: config.recoveryMaxDelay || 30000,
+        // 在Web Worker中运行同一face_mesh模型的推理，主线程只接收精简后的关键点；
+        // 浏览器支持MediaStreamTrackProcessor时取帧也在Worker中进行
+        useWorker: config.useWorker || false,
+        // 模型资源来源，默认读取用户设置（见MediaPipeAssetLoader）
+        assets: config.assets || MediaPipeAssetLoader.getConfig(),
+        // 摄像头设备与分辨率，默认读取用户选择（见CameraDeviceManager）
+        camera: config.camera || CameraDeviceManager.getSelectedCamera(),
+        // 多人脸时的跟踪对象："primary"（校准时的读者） | "closest" | "farthest"
+        faceSelection: config.faceSelection || "primary",
+        maxNumFaces: config.maxNumFaces || 3,
+        faceSwitchFrames: config.faceSwitchFrames || 8, // 新人脸需连续胜出的帧数
+        faceSwitchMargin: config.faceSwitchMargin || 0.1, // 新人脸需领先的比例
+        maxTraceFrames: config.maxTraceFrames || 20000, // 录制轨迹的最大帧数
+        // 校准质量：倒计时期间逐帧采样，任一指标不达标则拒绝本次校准
+        calibrationQuality: {
+          minSamples: 8,
+          minPresence: 0.8, // 检出人脸的帧占比
+          maxWidthVariation: 0.04, // 人脸宽度的变异系数
+          maxCenterMovement: 0.05, // 人脸中心位置的标准差（归一化坐标）
+          minAlignment: 0.7, // 对准校准框的帧占比
+          ...(config.calibrationQuality || {}),
+        },
+        // 校准失效检测：超过maxCalibrationAge（毫秒）提示重新校准；
+        // 运行中offset持续driftSustainTime超出driftOffsetRange视为摄像头或座位已移动
+        maxCalibrationAge: config.maxCalibrationAge || 90 * 24 * 60 * 60 * 1000,
+        driftOffsetRange: config.driftOffsetRange || [-50, 150],
+        driftSustainTime: config.driftSustainTime || 2 * 60 * 1000,
         calibrationFrame: {
           width: 200,
           height: 280,
@@ -38,22 +382,42 @@
       };
 
       this.faceMesh = null;
+      this.fullLandmarks = false; // 调试叠加层需要完整网格，见setFullLandmarks
+      this.loadError = null;
+      this.state = "idle";
       this.isInitialized = false;
-      this.isRunning = false;
+      this.stream = null;
+      this.recoveryTimer = null;
+      this.recoveryAttempts = 0;
+      this.trackEndedHandler = () => this.handleTrackEnded();
       this.video = null;
+      this.activeCamera = null;
+      this.trackedFace = null;
+      this.faceVisible = null;
+      this.faceSwitchCount = 0;
+      this.lastFaceSelectionTime = null;
+      this.currentFaceSignature = null;
+      this.recording = null;
+      this.calibrationCapture = null;
+      this.driftSince = null;
+      this.driftReported = false;
+      this.lastCalibrationWarning = null;
       this.canvas = null;
       this.canvasCtx = null;
-      this.detectionInterval = null;
+      this.frameTimer = null;
+      this.currentFps = this.config.targetFps;
+      this.stableReferenceWidth = null;
+      this.stableSince = 0;
+      this.visibilityHandler = null;
+      this.blurHandler = null;
+      this.focusHandler = null;
 
       this.faceHistory = [];
       this.maxHistorySize = this.config.smoothingWindow;
+      this.metricsFilter = new FaceMetricsFilter(this.config.filter);
+      this.filteredMetrics = null;
 
-      this.calibration = {
-        isCalibrated: false,
-        referenceFaceWidth: null,
-        referenceDistance: 0,
-        timestamp: null,
-      };
+      this.resetCalibration();
 
       this.lastCalibrationStatus = null;
       this.statusThrottleTimer = null;
@@ -64,7 +428,36 @@
       console.log("📏 MediaPipe Distance Detector 初始化");
     }
 
+    setState(state, detail = {}) {
+      if (state === this.state) return true;
+
+      if (!DETECTOR_STATE_TRANSITIONS[this.state].includes(state)) {
+        console.warn(`⚠️ [STATE] Ignored transition ${this.state} → ${state}`);
+        return false;
+      }
+
+      const previous = this.state;
+      this.state = state;
+      console.log(`🔄 [STATE] ${previous} → ${state}`);
+      this.emit("state", { state, previous, ...detail });
+      return true;
+    }
+
+    // 从idle或error进入loading；已销毁的检测器不能再启动
+    beginLoading() {
+      if (this.state === "disposed") {
+        console.error("❌ 检测器已销毁，无法启动");
+        return false;
+      }
+      if (this.state === "idle" || this.state === "error") {
+        this.setState("loading");
+      }
+      return true;
+    }
+
     async initialize() {
+      if (!this.beginLoading()) return false;
+
       if (this.isInitialized) {
         console.log("✅ MediaPipe已初始化");
         return true;
@@ -73,45 +466,102 @@
       try {
         console.log("🚀 初始化MediaPipe Face Mesh...");
 
-        this.faceMesh = new FaceMesh({
-          locateFile: (file) => {
-            return `${this.config.basePath}${file}`;
-          },
-        });
-
-        this.faceMesh.setOptions({
-          maxNumFaces: 1,
-          refineLandmarks: false,
+        const options = {
+          maxNumFaces: this.config.maxNumFaces,
+          refineLandmarks: this.config.distanceMode === "absolute",
           minDetectionConfidence: this.config.minConfidence,
           minTrackingConfidence: this.config.minConfidence,
-        });
+        };
+
+        this.faceMesh = this.config.useWorker
+          ? await this.createWorkerFaceMesh(options)
+          : null;
+
+        if (!this.faceMesh) {
+          const locateFile = await MediaPipeAssetLoader.prepare(
+            this.config.assets
+          );
+          this.faceMesh = new FaceMesh({ locateFile });
+          this.faceMesh.setOptions(options);
+        }
 
         this.faceMesh.onResults((results) =>
           this.processFaceMeshResults(results)
         );
 
+        // 立即加载wasm与模型，使加载失败在初始化阶段就能暴露
+        await this.faceMesh.initialize();
+
         this.isInitialized = true;
+        this.loadError = null;
         console.log("✅ MediaPipe Face Mesh 初始化成功");
         return true;
       } catch (error) {
         console.error("❌ MediaPipe初始化失败:", error);
-        this.config.onError(error);
+        this.loadError = new Error(
+          `无法加载人脸检测模型：${error.message || error}`
+        );
+        if (this.faceMesh) {
+          this.faceMesh.close();
+          this.faceMesh = null;
+        }
+        if (this.state === "loading") {
+          this.setState("error", { reason: "model" });
+        }
+        this.emit("error", this.loadError);
         return false;
       }
     }
 
+    // Worker与主线程运行同一版本的face_mesh，资源同样经MediaPipeAssetLoader校验和缓存，校准结果通用；
+    // Worker不可用（如页面CSP禁止blob Worker）时返回null，回退到主线程推理
+    async createWorkerFaceMesh(options) {
+      let backend = null;
+      try {
+        const locateFile = await MediaPipeAssetLoader.prepare(
+          this.config.assets,
+          { worker: true }
+        );
+        const files = {};
+        Object.keys(MEDIAPIPE_ASSET_MANIFEST).forEach((file) => {
+          files[file] = locateFile(file);
+        });
+
+        backend = new FaceMeshWorkerBackend(files);
+        backend.setOptions(options);
+        backend.setFullLandmarks(this.fullLandmarks);
+        backend.onError((error) => this.handleInferenceFailure(error));
+        await backend.initialize();
+        console.log("✅ 人脸推理已在Worker线程中运行");
+        return backend;
+      } catch (error) {
+        console.warn("⚠️ Worker推理不可用，回退到主线程:", error);
+        if (backend) backend.close();
+        return null;
+      }
+    }
+
+    // Worker推理默认只回传距离计算所需的关键点，调试叠加层显示时改为回传完整网格
+    setFullLandmarks(enabled) {
+      this.fullLandmarks = enabled;
+      if (this.faceMesh instanceof FaceMeshWorkerBackend) {
+        this.faceMesh.setFullLandmarks(enabled);
+      }
+    }
+
     async startCamera() {
       if (this.config.disableCamera) {
         console.log("⚠️ 相机操作被禁用");
         return false;
       }
+      if (!this.beginLoading()) return false;
 
       if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
         const error = new Error(
           "您的浏览器不支持访问摄像头，请使用最新版Chrome/Edge/Firefox浏览器"
         );
         console.error("❌", error.message);
-        this.config.onError(error);
+        this.emit("error", error);
         return false;
       }
 
@@ -129,19 +579,57 @@
         this.video.muted = true;
         document.body.appendChild(this.video);
 
+        const { width, height } = CameraDeviceManager.parseResolution(
+          this.config.camera.resolution
+        );
+        const videoConstraints = {
+          width: { ideal: width },
+          height: { ideal: height },
+        };
+        const deviceId = await CameraDeviceManager.resolveDeviceId(
+          this.config.camera
+        );
+        if (deviceId) {
+          videoConstraints.deviceId = { exact: deviceId };
+        } else {
+          videoConstraints.facingMode = "user";
+          if (this.config.camera.deviceId || this.config.camera.label) {
+            console.warn("⚠️ 未找到所选摄像头，使用默认摄像头");
+          }
+        }
+
         const stream = await navigator.mediaDevices.getUserMedia({
-          video: {
-            width: 640,
-            height: 480,
-            facingMode: "user",
-          },
+          video: videoConstraints,
           audio: false,
         });
 
+        // 等待授权期间检测器已被清理，立即释放刚打开的摄像头
+        if (this.state !== "loading" || !this.video) {
+          stream.getTracks().forEach((track) => track.stop());
+          return false;
+        }
+
+        this.stream = stream;
+        stream.getVideoTracks().forEach((track) => {
+          track.addEventListener("ended", this.trackEndedHandler);
+        });
         this.video.srcObject = stream;
         await this.video.play();
 
-        console.log("✅ 相机已启动");
+        const track = stream.getVideoTracks()[0];
+        const trackSettings = track.getSettings ? track.getSettings() : {};
+        this.activeCamera = {
+          deviceId: trackSettings.deviceId || deviceId || "",
+          label: track.label,
+          width: trackSettings.width || this.video.videoWidth,
+          height: trackSettings.height || this.video.videoHeight,
+        };
+
+        console.log(
+          `✅ 相机已启动: ${this.activeCamera.label} (${this.activeCamera.width}x${this.activeCamera.height})`
+        );
+        this.emit("camera", { ...this.activeCamera, stream });
+        this.checkCalibrationEnvironment();
         return true;
       } catch (error) {
         console.error("❌ 启动相机失败:", error.message);
@@ -153,49 +641,284 @@
         } else if (error.name === "NotFoundError") {
           errorMessage =
             "未检测到摄像头设备，请确保您的设备有摄像头并正常连接。";
+        } else if (error.name === "OverconstrainedError") {
+          errorMessage =
+            "所选摄像头不可用或不支持该分辨率，请在菜单中重新选择摄像头。";
         }
 
         const friendlyError = new Error(errorMessage);
-        this.config.onError(friendlyError);
+        if (this.state === "loading") {
+          this.setState("error", { reason: "camera" });
+        }
+        this.emit("error", friendlyError);
         return false;
       }
     }
 
     stopCamera() {
-      if (this.video && this.video.srcObject) {
-        const tracks = this.video.srcObject.getTracks();
-        tracks.forEach((track) => track.stop());
-        this.video.srcObject = null;
+      this.stopDetectionLoop();
+
+      const stream = this.stream || (this.video && this.video.srcObject);
+      if (stream) {
+        stream.getTracks().forEach((track) => {
+          track.removeEventListener("ended", this.trackEndedHandler);
+          track.stop();
+        });
+      }
+      this.stream = null;
 
+      if (this.video) {
+        this.video.srcObject = null;
         if (this.video.parentNode) {
           this.video.parentNode.removeChild(this.video);
         }
         this.video = null;
       }
+      this.activeCamera = null;
+    }
+
+    // 摄像头被拔出或被其他程序占用时轨道会结束（主动stop不会触发）
+    handleTrackEnded() {
+      if (this.state !== "running" && this.state !== "paused") return;
+
+      console.warn("⚠️ 摄像头轨道已结束");
+      this.stopCamera();
+      this.emit(
+        "error",
+        new Error("摄像头已断开或被其他程序占用，正在尝试重新连接...")
+      );
+      this.setState("error", { reason: "track-ended" });
+      this.scheduleRecovery();
+    }
+
+    // Worker崩溃或推理无响应：丢弃推理后端，恢复时重新初始化
+    handleInferenceFailure(error) {
+      if (this.state !== "running" && this.state !== "paused") return;
+
+      this.stopCamera();
+      if (this.faceMesh) {
+        this.faceMesh.close();
+        this.faceMesh = null;
+      }
+      this.isInitialized = false;
+      this.emit(
+        "error",
+        new Error(`人脸推理已中断（${error.message}），正在尝试恢复...`)
+      );
+      this.setState("error", { reason: "inference" });
+      this.scheduleRecovery();
+    }
+
+    scheduleRecovery() {
+      if (!this.config.autoRecover) return;
+
+      if (this.recoveryAttempts >= this.config.recoveryMaxAttempts) {
+        console.error("❌ 摄像头多次重连失败，停止自动恢复");
+        this.emit("error", new Error("摄像头重连失败，请检查设备后重新开启"));
+        return;
+      }
+
+      const delay = Math.min(
+        this.config.recoveryBaseDelay * 2 ** this.recoveryAttempts,
+        this.config.recoveryMaxDelay
+      );
+      this.recoveryAttempts++;
+      console.log(
+        `🔁 ${delay}ms后第${this.recoveryAttempts}次尝试重新连接摄像头`
+      );
+      this.recoveryTimer = setTimeout(() => this.recover(), delay);
+    }
+
+    async recover() {
+      this.recoveryTimer = null;
+      if (this.state !== "error") return;
+
+      this.setState("loading", {
+        reason: "recovery",
+        attempt: this.recoveryAttempts,
+      });
+      const started =
+        (this.isInitialized || (await this.initialize())) &&
+        (await this.startCamera());
+
+      if (started && this.state === "loading") {
+        this.recoveryAttempts = 0;
+        this.startDetectionLoop("recovered");
+        console.log("✅ 摄像头已恢复");
+      } else if (this.state === "error") {
+        this.scheduleRecovery();
+      }
     }
 
-    startDetectionLoop() {
+    startDetectionLoop(reason) {
       if (!this.isInitialized || !this.video) {
         console.error("❌ MediaPipe或视频未初始化，无法开始检测");
         return false;
       }
+      if (!this.setState("running", { reason })) return false;
 
-      this.isRunning = true;
+      this.currentFps = this.config.targetFps;
+      this.stableReferenceWidth = null;
+      this.bindVisibilityHandlers();
 
-      const camera = new Camera(this.video, {
-        onFrame: async () => {
-          if (this.isRunning && this.video) {
-            await this.faceMesh.send({ image: this.video });
-          }
-        },
-      });
-      camera.start();
+      if (document.hidden && this.config.pauseWhenHidden) {
+        this.pauseDetection("页面不可见");
+      } else {
+        this.scheduleNextFrame(0);
+      }
 
       return true;
     }
 
+    stopDetectionLoop() {
+      clearTimeout(this.frameTimer);
+      this.frameTimer = null;
+      this.unbindVisibilityHandlers();
+    }
+
+    scheduleNextFrame(delay) {
+      clearTimeout(this.frameTimer);
+      this.frameTimer = setTimeout(() => this.processFrame(), delay);
+    }
+
+    async processFrame() {
+      this.frameTimer = null;
+      if (this.state !== "running" || !this.video) return;
+
+      const frameStart = performance.now();
+      try {
+        if (this.video.readyState >= 2) {
+          await this.faceMesh.send({ image: this.video });
+          this.emit("timing", {
+            inferenceMs: performance.now() - frameStart,
+            timestamp: Date.now(),
+          });
+        }
+      } catch (error) {
+        console.error("❌ 处理视频帧时出错:", error);
+      }
+
+      if (this.state !== "running") return;
+
+      // 扣除本帧推理耗时，使实际帧率接近目标帧率
+      const elapsed = performance.now() - frameStart;
+      this.scheduleNextFrame(Math.max(0, 1000 / this.currentFps - elapsed));
+    }
+
+    setTargetFps(fps) {
+      this.config.targetFps = fps;
+      this.currentFps = fps;
+      this.stableReferenceWidth = null;
+      console.log(`⏱️ 检测帧率已设置为 ${fps} fps`);
+    }
+
+    // 人脸宽度在阈值内保持稳定一段时间后降低帧率，出现明显变化立即恢复；
+    // 目标帧率低于minFps时以目标帧率为下限，不改写配置的minFps
+    updateAdaptiveFrameRate(metrics) {
+      if (!this.config.adaptiveFps || !metrics) return;
+
+      const minFps = Math.min(this.config.minFps, this.config.targetFps);
+      const width = metrics.faceWidth;
+      const now = metrics.timestamp;
+
+      if (
+        this.stableReferenceWidth === null ||
+        Math.abs(width - this.stableReferenceWidth) /
+          this.stableReferenceWidth >
+          this.config.adaptiveStableThreshold
+      ) {
+        this.stableReferenceWidth = width;
+        this.stableSince = now;
+
+        if (this.currentFps !== this.config.targetFps) {
+          this.currentFps = this.config.targetFps;
+          console.log(`⏱️ 检测到移动，帧率恢复为 ${this.currentFps} fps`);
+        }
+        return;
+      }
+
+      if (
+        now - this.stableSince > this.config.adaptiveStableTime &&
+        this.currentFps !== minFps
+      ) {
+        this.currentFps = minFps;
+        console.log(`⏱️ 距离稳定，帧率降低为 ${this.currentFps} fps`);
+      }
+    }
+
+    bindVisibilityHandlers() {
+      this.unbindVisibilityHandlers();
+
+      if (this.config.pauseWhenHidden) {
+        this.visibilityHandler = () => {
+          if (document.hidden) {
+            this.pauseDetection("页面不可见");
+          } else {
+            this.resumeDetection("页面可见");
+          }
+        };
+        document.addEventListener("visibilitychange", this.visibilityHandler);
+      }
+
+      if (this.config.pauseOnBlur) {
+        this.blurHandler = () => this.pauseDetection("窗口失去焦点");
+        this.focusHandler = () => this.resumeDetection("窗口获得焦点");
+        window.addEventListener("blur", this.blurHandler);
+        window.addEventListener("focus", this.focusHandler);
+      }
+    }
+
+    unbindVisibilityHandlers() {
+      if (this.visibilityHandler) {
+        document.removeEventListener(
+          "visibilitychange",
+          this.visibilityHandler
+        );
+        this.visibilityHandler = null;
+      }
+      if (this.blurHandler) {
+        window.removeEventListener("blur", this.blurHandler);
+        window.removeEventListener("focus", this.focusHandler);
+        this.blurHandler = null;
+        this.focusHandler = null;
+      }
+    }
+
+    pauseDetection(reason) {
+      if (this.state !== "running") return;
+
+      this.setState("paused", { reason });
+      clearTimeout(this.frameTimer);
+      this.frameTimer = null;
+      // 暂停期间禁用视频轨道，摄像头指示灯随之熄灭，恢复时无需重新授权
+      this.setTracksEnabled(false);
+      console.log(`⏸️ 检测已暂停: ${reason}`);
+    }
+
+    resumeDetection(reason) {
+      if (this.state !== "paused") return;
+      if (this.config.pauseWhenHidden && document.hidden) return;
+
+      this.setState("running", { reason });
+      this.setTracksEnabled(true);
+      // 暂停前的历史数据已过时
+      this.resetFaceHistory();
+      this.stableReferenceWidth = null;
+      this.currentFps = this.config.targetFps;
+      this.scheduleNextFrame(0);
+      console.log(`▶️ 检测已恢复: ${reason}`);
+    }
+
+    setTracksEnabled(enabled) {
+      if (this.stream) {
+        this.stream.getVideoTracks().forEach((track) => {
+          track.enabled = enabled;
+        });
+      }
+    }
+
     processFaceMeshResults(results) {
-      if (!this.isRunning) return;
+      if (this.state !== "running") return;
 
       try {
         if (
@@ -203,38 +926,408 @@
           !results.multiFaceLandmarks ||
           results.multiFaceLandmarks.length === 0
         ) {
+          this.recordTraceFrame(null, 0);
+          this.recordCalibrationSample(null);
+          if (results && results.image) {
+            this.emit("frame", {
+              landmarks: null,
+              faceCount: 0,
+              imageWidth: results.image.width,
+              imageHeight: results.image.height,
+              fps: this.currentFps,
+            });
+          }
           this.handleNoFaceDetected();
           return;
         }
 
-        const landmarks = results.multiFaceLandmarks[0];
-        const faceMetrics = this.calculateFaceMetrics(
+        const landmarks = this.selectTrackedFace(
+          results.multiFaceLandmarks,
+          results.image.width,
+          results.image.height
+        );
+        if (!landmarks) return; // 跟踪的人脸丢失，等待换人的迟滞结束
+        this.currentFaceSignature = this.calculateFaceSignature(
           landmarks,
           results.image.width,
           results.image.height
         );
-
-        this.addToFaceHistory(faceMetrics);
-        const smoothedMetrics = this.getSmoothedFaceMetrics();
-
-        const alignmentStatus = this.checkCalibrationFrameAlignment(
-          smoothedMetrics,
+        const faceMetrics = this.calculateFaceMetrics(
+          landmarks,
           results.image.width,
           results.image.height
         );
 
-        let distanceData = this.calculateRelativeDistance(smoothedMetrics);
-        distanceData = {
-          ...distanceData,
-          alignmentStatus,
-          faceDetected: true,
-        };
+        const faceCount = results.multiFaceLandmarks.length;
+        this.recordTraceFrame(faceMetrics, faceCount);
 
-        this.config.onDistanceUpdate(distanceData);
-      } catch (error) {
-        console.error("❌ 处理Face Mesh结果时出错:", error);
-        this.config.onError(error);
+        const { smoothedMetrics, alignmentStatus, distanceData } =
+          this.processFaceMetrics(faceMetrics, faceCount);
+        this.recordCalibrationSample(faceMetrics, alignmentStatus);
+        this.emit("frame", {
+          landmarks,
+          faceCount: distanceData.faceCount,
+          imageWidth: results.image.width,
+          imageHeight: results.image.height,
+          rawMetrics: faceMetrics,
+          rawOffset: this.calculateRelativeDistance(faceMetrics).offset,
+          smoothedWidth: this.getDistanceFaceWidth(smoothedMetrics),
+          distanceData,
+          alignmentStatus,
+          fps: this.currentFps,
+        });
+      } catch (error) {
+        console.error("❌ 处理Face Mesh结果时出错:", error);
+        this.emit("error", error);
+      }
+    }
+
+    // 人脸指标 → 平滑 → 距离，并发出distance事件；摄像头帧与轨迹回放共用
+    processFaceMetrics(faceMetrics, faceCount) {
+      this.addToFaceHistory(faceMetrics);
+      const smoothedMetrics = this.getSmoothedFaceMetrics();
+      this.updateAdaptiveFrameRate(smoothedMetrics);
+
+      const alignmentStatus = this.checkCalibrationFrameAlignment(
+        smoothedMetrics,
+        faceMetrics.imageWidth,
+        faceMetrics.imageHeight
+      );
+
+      let distanceData = this.calculateRelativeDistance(smoothedMetrics);
+      distanceData = {
+        ...distanceData,
+        headPose: {
+          yaw: smoothedMetrics.headYaw,
+          pitch: smoothedMetrics.headPitch,
+          roll: smoothedMetrics.headRoll,
+        },
+        poseReliable:
+          Math.abs(smoothedMetrics.headYaw) <= this.config.maxReliableYaw,
+        alignmentStatus,
+        faceDetected: true,
+        faceCount,
+        timestamp: smoothedMetrics.timestamp,
+      };
+
+      if (!this.faceVisible) {
+        this.faceVisible = true;
+        this.emit("face-found", { faceCount });
+      }
+      this.emit("distance", distanceData);
+      this.checkCalibrationDrift(distanceData);
+
+      return { smoothedMetrics, alignmentStatus, distanceData };
+    }
+
+    // 对比校准时记录的环境与当前摄像头，有差异时发出calibration-warning；
+    // 同一份校准的同一组问题只提示一次
+    checkCalibrationEnvironment() {
+      if (!this.calibration.isCalibrated) return;
+
+      const issues = [];
+      const environment = this.calibration.environment;
+      const camera = this.activeCamera;
+
+      if (environment && camera) {
+        // deviceId按网站来源各不相同，有设备名时以设备名判断
+        const sameDevice =
+          environment.label && camera.label
+            ? environment.label === camera.label
+            : !environment.deviceId ||
+              !camera.deviceId ||
+              environment.deviceId === camera.deviceId;
+        if (!sameDevice) {
+          issues.push({
+            code: "device",
+            message: `当前摄像头（${
+              camera.label || "未知设备"
+            }）与校准时使用的（${
+              environment.label || "未知设备"
+            }）不同，人脸在画面中的大小无法直接比较`,
+          });
+        }
+
+        // 同比例的分辨率变化已按画面宽度换算；画面比例不同时摄像头裁切的视野也不同
+        if (
+          environment.width &&
+          camera.width &&
+          environment.width * camera.height !==
+            environment.height * camera.width
+        ) {
+          issues.push({
+            code: "resolution",
+            message: `摄像头画面比例已从 ${environment.width}×${environment.height} 变为 ${camera.width}×${camera.height}，同样距离下人脸占画面的比例会不同`,
+          });
+        }
+      }
+
+      if (
+        environment &&
+        environment.cameraFov &&
+        environment.cameraFov !== this.config.cameraFov
+      ) {
+        issues.push({
+          code: "fov",
+          message: `摄像头视场角设置已从 ${environment.cameraFov}° 变为 ${this.config.cameraFov}°，厘米距离的估算会有偏差`,
+        });
+      }
+
+      const age = Date.now() - this.calibration.timestamp;
+      if (age > this.config.maxCalibrationAge) {
+        issues.push({
+          code: "age",
+          message: `校准已有 ${Math.floor(
+            age / (24 * 60 * 60 * 1000)
+          )} 天，坐姿和屏幕位置可能已经变化`,
+        });
+      }
+
+      if (issues.length === 0) return;
+
+      const key = `${this.calibration.timestamp}:${issues
+        .map((issue) => issue.code)
+        .join(",")}`;
+      if (key === this.lastCalibrationWarning) return;
+      this.lastCalibrationWarning = key;
+
+      console.warn("⚠️ [CALIBRATION] Environment changed:", issues);
+      this.emit("calibration-warning", {
+        source: "environment",
+        issues,
+        calibrationTimestamp: this.calibration.timestamp,
+      });
+    }
+
+    // 正常的前倾后仰不会长时间停在极端位置；持续超出范围说明参考宽度已不适用
+    checkCalibrationDrift(distanceData) {
+      if (!this.calibration.isCalibrated || this.driftReported) return;
+
+      const [minOffset, maxOffset] = this.config.driftOffsetRange;
+      const offset = distanceData.offset;
+      if (offset >= minOffset && offset <= maxOffset) {
+        this.driftSince = null;
+        return;
+      }
+
+      if (this.driftSince === null) {
+        this.driftSince = distanceData.timestamp;
+        return;
+      }
+      if (
+        distanceData.timestamp - this.driftSince <
+        this.config.driftSustainTime
+      ) {
+        return;
+      }
+
+      this.driftReported = true;
+      const minutes = Math.round(this.config.driftSustainTime / 60000);
+      const message =
+        offset > maxOffset
+          ? `过去 ${minutes} 分钟内检测到的距离一直比校准位置远 ${maxOffset}% 以上，摄像头或座位可能已经移动`
+          : `过去 ${minutes} 分钟内检测到的距离一直比校准位置近 ${-minOffset}% 以上，摄像头或座位可能已经移动`;
+
+      console.warn(`⚠️ [CALIBRATION] Sustained offset ${offset.toFixed(1)}`);
+      this.emit("calibration-warning", {
+        source: "drift",
+        issues: [{ code: "drift", message }],
+        calibrationTimestamp: this.calibration.timestamp,
+      });
+    }
+
+    // 录制逐帧人脸指标，用于离线复现自适应行为（见TraceReplaySource）
+    startRecording(metadata = {}) {
+      const {
+        smoothingWindow,
+        filter,
+        distanceScale,
+        distanceMode,
+        irisDiameterMm,
+        cameraFov,
+        poseCompensation,
+        maxReliableYaw,
+      } = this.config;
+
+      this.recording = {
+        version: TRACE_FORMAT_VERSION,
+        startedAt: Date.now(),
+        config: {
+          smoothingWindow,
+          filter,
+          distanceScale,
+          distanceMode,
+          irisDiameterMm,
+          cameraFov,
+          poseCompensation,
+          maxReliableYaw,
+        },
+        calibration: { ...this.calibration },
+        camera: this.activeCamera ? { ...this.activeCamera } : null,
+        truncated: false,
+        frames: [],
+        ...metadata,
+      };
+      console.log("⏺️ [TRACE] Recording started");
+    }
+
+    stopRecording() {
+      const trace = this.recording;
+      this.recording = null;
+      if (trace) {
+        trace.stoppedAt = Date.now();
+        console.log(
+          `⏹️ [TRACE] Recording stopped: ${trace.frames.length} frames`
+        );
+      }
+      return trace;
+    }
+
+    isRecording() {
+      return Boolean(this.recording);
+    }
+
+    recordTraceFrame(faceMetrics, faceCount) {
+      if (!this.recording) return;
+
+      if (this.recording.frames.length >= this.config.maxTraceFrames) {
+        this.recording.truncated = true;
+        return;
+      }
+      this.recording.frames.push({
+        t: faceMetrics ? faceMetrics.timestamp : Date.now(),
+        faceCount,
+        metrics: faceMetrics,
+      });
+    }
+
+    // 多人脸时按策略选出要跟踪的人脸；带迟滞，避免在两张脸之间来回跳动。
+    // 跟踪的人脸丢失时同样需连续faceSwitchFrames帧才换人，期间返回null跳过这些帧
+    selectTrackedFace(faces, imageWidth, imageHeight, now = Date.now()) {
+      const candidates = faces.map((landmarks) => ({
+        landmarks,
+        centerX: (landmarks[234].x + landmarks[454].x) / 2,
+        centerY: (landmarks[10].y + landmarks[152].y) / 2,
+        width: Math.abs(landmarks[454].x - landmarks[234].x),
+        signature:
+          this.config.faceSelection === "primary"
+            ? this.calculateFaceSignature(landmarks, imageWidth, imageHeight)
+            : null,
+      }));
+
+      const elapsed =
+        this.lastFaceSelectionTime === null
+          ? 0
+          : now - this.lastFaceSelectionTime;
+      this.lastFaceSelectionTime = now;
+      const current = this.findTrackedFace(candidates, elapsed);
+      const preferred = this.pickPreferredFace(candidates, current);
+      let selected = current || preferred;
+
+      if (this.trackedFace && preferred !== current) {
+        this.faceSwitchCount++;
+        if (this.faceSwitchCount >= this.config.faceSwitchFrames) {
+          console.log(
+            `👥 [FACE] Switching tracked face (${this.config.faceSelection})`
+          );
+          selected = preferred;
+          this.faceSwitchCount = 0;
+          // 换人后历史数据不再有效
+          this.resetFaceHistory();
+          this.stableReferenceWidth = null;
+        } else if (!current) {
+          return null;
+        }
+      } else {
+        this.faceSwitchCount = 0;
+      }
+
+      this.trackedFace = selected;
+      return selected.landmarks;
+    }
+
+    // 按位置连续性找到上一帧跟踪的人脸，移动超过半个脸宽则视为已离开；
+    // 与上一帧间隔较长（自适应降帧）时按经过的帧数放宽范围
+    findTrackedFace(candidates, elapsed) {
+      if (!this.trackedFace) return null;
+
+      let nearest = null;
+      let nearestDistance = Infinity;
+      candidates.forEach((candidate) => {
+        const distance = Math.hypot(
+          candidate.centerX - this.trackedFace.centerX,
+          candidate.centerY - this.trackedFace.centerY
+        );
+        if (distance < nearestDistance) {
+          nearest = candidate;
+          nearestDistance = distance;
+        }
+      });
+
+      const frameInterval = 1000 / this.config.targetFps;
+      const elapsedFrames = Math.max(1, elapsed / frameInterval);
+      return nearestDistance <= this.trackedFace.width * 0.5 * elapsedFrames
+        ? nearest
+        : null;
+    }
+
+    pickPreferredFace(candidates, current) {
+      const margin = this.config.faceSwitchMargin;
+      const signature = this.calibration.faceSignature;
+      let score;
+
+      if (this.config.faceSelection === "closest") {
+        score = (candidate) => candidate.width;
+      } else if (this.config.faceSelection === "farthest") {
+        score = (candidate) => -candidate.width;
+      } else if (signature) {
+        score = (candidate) =>
+          -this.compareFaceSignatures(candidate.signature, signature);
+      } else {
+        // 尚未记录读者特征时保持当前人脸，初始选择最大（最近）的人脸
+        if (current) return current;
+        score = (candidate) => candidate.width;
       }
+
+      const best = candidates.reduce((a, b) => (score(b) > score(a) ? b : a));
+      if (!current || best === current) return best;
+
+      // 领先幅度不足时保持当前人脸
+      const lead = score(best) - score(current);
+      return lead > Math.abs(score(current)) * margin ? best : current;
+    }
+
+    // 与距离和位置无关的面部比例，用于在多人脸中识别校准时的读者
+    calculateFaceSignature(landmarks, imageWidth, imageHeight) {
+      const span = (a, b) =>
+        Math.hypot(
+          (landmarks[a].x - landmarks[b].x) * imageWidth,
+          (landmarks[a].y - landmarks[b].y) * imageHeight
+        );
+      const faceHeight = span(10, 152);
+      if (!faceHeight) return null;
+
+      return [
+        span(33, 263), // 两眼外角
+        span(133, 362), // 两眼内角
+        span(61, 291), // 嘴角
+        span(4, 152), // 鼻尖到下巴
+        span(168, 4), // 鼻梁
+      ].map((value) => Math.round((value / faceHeight) * 1000) / 1000);
+    }
+
+    compareFaceSignatures(a, b) {
+      if (!a || !b || a.length !== b.length) return Infinity;
+      const total = a.reduce(
+        (sum, value, i) => sum + Math.abs(value - b[i]) / b[i],
+        0
+      );
+      return total / a.length;
+    }
+
+    setFaceSelection(policy) {
+      this.config.faceSelection = policy;
+      this.faceSwitchCount = 0;
     }
 
     calculateFaceMetrics(landmarks, imageWidth, imageHeight) {
@@ -253,9 +1346,20 @@
       const normalizedX = (faceCenterX - 0.5) * 2;
       const normalizedY = (faceCenterY - 0.5) * 2;
 
+      const pose = this.estimateHeadPose(landmarks, imageWidth, imageHeight);
+
       return {
         faceWidth,
         faceHeight,
+        correctedFaceWidth: pose.correctedFaceWidth,
+        headYaw: pose.yaw,
+        headPitch: pose.pitch,
+        headRoll: pose.roll,
+        irisDiameter: this.calculateIrisDiameter(
+          landmarks,
+          imageWidth,
+          imageHeight
+        ),
         faceWidthToImageRatio: faceWidth / imageWidth,
         faceHeightToImageRatio: faceHeight / imageHeight,
         faceCenterX: normalizedX,
@@ -266,20 +1370,94 @@
       };
     }
 
+    // 由耳间向量与额头-下巴向量估算头部姿态（角度制）。
+    // MediaPipe关键点的z与x使用相同的归一化尺度，因此按图像宽度换算为像素
+    estimateHeadPose(landmarks, imageWidth, imageHeight) {
+      const leftEar = landmarks[234];
+      const rightEar = landmarks[454];
+      const forehead = landmarks[10];
+      const chin = landmarks[152];
+      const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+      const earDx = (rightEar.x - leftEar.x) * imageWidth;
+      const earDy = (rightEar.y - leftEar.y) * imageHeight;
+      const earDz = ((rightEar.z || 0) - (leftEar.z || 0)) * imageWidth;
+      const earSpan = Math.hypot(earDx, earDy);
+
+      const faceDy = (chin.y - forehead.y) * imageHeight;
+      const faceDz = ((chin.z || 0) - (forehead.z || 0)) * imageWidth;
+
+      const yaw = toDegrees(Math.atan2(earDz, earSpan));
+      const pitch = toDegrees(Math.atan2(faceDz, faceDy));
+      const roll = toDegrees(Math.atan2(earDy, Math.abs(earDx)));
+
+      // 图像平面内的耳间距离不受侧倾影响，再除以cos(偏航角)还原正脸宽度；
+      // 偏航角过大时z估计不可靠，限制修正幅度
+      const clampedYaw = Math.min(60, Math.abs(yaw));
+      const correctedFaceWidth =
+        earSpan / Math.cos((clampedYaw * Math.PI) / 180);
+
+      return { yaw, pitch, roll, correctedFaceWidth };
+    }
+
+    // 用于距离计算的人脸宽度：开启姿态补偿时使用修正后的宽度
+    getDistanceFaceWidth(faceMetrics) {
+      if (this.config.poseCompensation && faceMetrics.correctedFaceWidth) {
+        return faceMetrics.correctedFaceWidth;
+      }
+      return faceMetrics.faceWidth;
+    }
+
+    // 虹膜关键点(468-477)仅在refineLandmarks开启时存在
+    calculateIrisDiameter(landmarks, imageWidth, imageHeight) {
+      if (landmarks.length < 478) return null;
+
+      const measure = (a, b) =>
+        Math.hypot(
+          (landmarks[a].x - landmarks[b].x) * imageWidth,
+          (landmarks[a].y - landmarks[b].y) * imageHeight
+        );
+
+      // 469/471 与 474/476 分别为两侧虹膜的水平边缘点
+      return (measure(469, 471) + measure(474, 476)) / 2;
+    }
+
     addToFaceHistory(metrics) {
       this.faceHistory.push(metrics);
       while (this.faceHistory.length > this.maxHistorySize) {
         this.faceHistory.shift();
       }
+
+      if (this.config.filter.type !== "moving-average") {
+        this.filteredMetrics =
+          this.metricsFilter.filter(metrics) || this.filteredMetrics;
+      }
+    }
+
+    resetFaceHistory() {
+      this.faceHistory = [];
+      this.metricsFilter.reset();
+      this.filteredMetrics = null;
     }
 
     getSmoothedFaceMetrics() {
       if (this.faceHistory.length === 0) return null;
 
+      if (
+        this.config.filter.type !== "moving-average" &&
+        this.filteredMetrics
+      ) {
+        return this.filteredMetrics;
+      }
+
       const count = this.faceHistory.length;
       const smoothed = {
         faceWidth: 0,
         faceHeight: 0,
+        correctedFaceWidth: 0,
+        headYaw: 0,
+        headPitch: 0,
+        headRoll: 0,
         faceWidthToImageRatio: 0,
         faceHeightToImageRatio: 0,
         faceCenterX: 0,
@@ -289,21 +1467,38 @@
         timestamp: this.faceHistory[count - 1].timestamp,
       };
 
+      let irisSum = 0;
+      let irisCount = 0;
+
       for (const metrics of this.faceHistory) {
         smoothed.faceWidth += metrics.faceWidth;
         smoothed.faceHeight += metrics.faceHeight;
+        smoothed.correctedFaceWidth += metrics.correctedFaceWidth;
+        smoothed.headYaw += metrics.headYaw;
+        smoothed.headPitch += metrics.headPitch;
+        smoothed.headRoll += metrics.headRoll;
         smoothed.faceWidthToImageRatio += metrics.faceWidthToImageRatio;
         smoothed.faceHeightToImageRatio += metrics.faceHeightToImageRatio;
         smoothed.faceCenterX += metrics.faceCenterX;
         smoothed.faceCenterY += metrics.faceCenterY;
+
+        if (metrics.irisDiameter) {
+          irisSum += metrics.irisDiameter;
+          irisCount++;
+        }
       }
 
       smoothed.faceWidth /= count;
       smoothed.faceHeight /= count;
+      smoothed.correctedFaceWidth /= count;
+      smoothed.headYaw /= count;
+      smoothed.headPitch /= count;
+      smoothed.headRoll /= count;
       smoothed.faceWidthToImageRatio /= count;
       smoothed.faceHeightToImageRatio /= count;
       smoothed.faceCenterX /= count;
       smoothed.faceCenterY /= count;
+      smoothed.irisDiameter = irisCount > 0 ? irisSum / irisCount : null;
 
       return smoothed;
     }
@@ -382,10 +1577,8 @@
         );
 
         if (this.statusStabilityCounter >= this.statusStabilityThreshold) {
-          console.log(
-            "🎯 [CALIBRATION] Triggering onCalibrationFrameStatus callback"
-          );
-          this.config.onCalibrationFrameStatus({
+          console.log("🎯 [CALIBRATION] Emitting alignment event");
+          this.emit("alignment", {
             status,
             faceRatio: currentFaceRatio,
             idealRatio: idealFaceRatio,
@@ -400,19 +1593,34 @@
       return status;
     }
 
+    // 有采样（见beginCalibrationCapture）时以整段采样评估质量并取宽度中位数，
+    // 否则沿用当前平滑数据和即时对准检查（多点校准的参考位置）。
+    // 只返回校准结果：检测器与阅读模式共用，用户保存后才通过loadCalibration生效
     async calibrate(fontSize = 16) {
       try {
+        const capture = this.endCalibrationCapture();
+        const quality = capture
+          ? this.evaluateCalibrationCapture(capture)
+          : null;
+        if (quality && quality.reason) {
+          const error = new Error(quality.reason);
+          error.quality = quality;
+          throw error;
+        }
+
         const metrics = this.getSmoothedFaceMetrics();
 
         if (!metrics) {
           throw new Error("未检测到人脸，无法校准");
         }
 
-        const alignmentStatus = this.checkCalibrationFrameAlignment(
-          metrics,
-          metrics.imageWidth,
-          metrics.imageHeight
-        );
+        const alignmentStatus = quality
+          ? "good"
+          : this.checkCalibrationFrameAlignment(
+              metrics,
+              metrics.imageWidth,
+              metrics.imageHeight
+            );
 
         if (alignmentStatus !== "good") {
           let errorMessage = "请调整位置和距离";
@@ -441,74 +1649,231 @@
           throw new Error(errorMessage);
         }
 
-        this.calibration = {
+        const calibration = {
           isCalibrated: true,
-          referenceFaceWidth: metrics.faceWidth,
-          referenceDistance: 0,
+          referenceFaceWidth: quality
+            ? quality.referenceFaceWidth
+            : this.getDistanceFaceWidth(metrics),
+          // 开启绝对距离模式时记录校准位置的实际距离（厘米），否则为0
+          referenceDistance: this.calculateAbsoluteDistance(metrics) || 0,
           referenceFontSize: fontSize,
+          faceSignature: this.currentFaceSignature,
+          environment: {
+            deviceId: this.activeCamera ? this.activeCamera.deviceId : "",
+            label: this.activeCamera ? this.activeCamera.label : "",
+            width: metrics.imageWidth,
+            height: metrics.imageHeight,
+            cameraFov: this.config.cameraFov,
+          },
+          quality: quality && {
+            score: quality.score,
+            stability: quality.stability,
+            presence: quality.presence,
+            alignment: quality.alignment,
+            samples: quality.samples,
+          },
           timestamp: Date.now(),
         };
 
-        console.log("✅ 校准成功:", this.calibration);
-
-        localStorage.setItem(
-          "mediapipe-calibration",
-          JSON.stringify(this.calibration)
-        );
-
-        return this.calibration;
+        console.log("✅ 校准成功:", calibration);
+        return calibration;
       } catch (error) {
         console.error("❌ 校准失败:", error);
         throw error;
       }
     }
 
+    // 校准倒计时开始时调用，之后每帧记录一次，由calibrate()统一评估
+    beginCalibrationCapture() {
+      this.calibrationCapture = { frames: 0, samples: [] };
+    }
+
+    endCalibrationCapture() {
+      const capture = this.calibrationCapture;
+      this.calibrationCapture = null;
+      return capture;
+    }
+
+    recordCalibrationSample(faceMetrics, alignmentStatus) {
+      const capture = this.calibrationCapture;
+      if (!capture) return;
+
+      capture.frames++;
+      if (faceMetrics) {
+        capture.samples.push({
+          width: this.getDistanceFaceWidth(faceMetrics),
+          centerX: faceMetrics.faceCenterX,
+          centerY: faceMetrics.faceCenterY,
+          aligned: alignmentStatus === "good",
+        });
+      }
+    }
+
+    // 质量分0-100：稳定性40%、人脸检出率30%、对准一致性30%。
+    // Face Mesh的JS接口不提供逐点置信度，以检出人脸的帧占比代替
+    evaluateCalibrationCapture(capture) {
+      const limits = this.config.calibrationQuality;
+      const samples = capture.samples;
+      const mean = (values) =>
+        values.reduce((sum, value) => sum + value, 0) / values.length;
+      const deviation = (values) => {
+        const average = mean(values);
+        return Math.sqrt(mean(values.map((value) => (value - average) ** 2)));
+      };
+      const clamp01 = (value) => Math.max(0, Math.min(1, value));
+      const round2 = (value) => Math.round(value * 100) / 100;
+
+      const presence = capture.frames > 0 ? samples.length / capture.frames : 0;
+      if (samples.length < limits.minSamples) {
+        return {
+          score: 0,
+          stability: 0,
+          presence: round2(presence),
+          alignment: 0,
+          samples: samples.length,
+          reason: "采集到的人脸画面太少，请正对摄像头重新校准",
+        };
+      }
+
+      const widths = samples.map((sample) => sample.width);
+      const widthVariation = deviation(widths) / mean(widths);
+      const centerMovement = Math.hypot(
+        deviation(samples.map((sample) => sample.centerX)),
+        deviation(samples.map((sample) => sample.centerY))
+      );
+      const alignment =
+        samples.filter((sample) => sample.aligned).length / samples.length;
+
+      // 指标恰好等于阈值时稳定性为0.5
+      const stability =
+        (clamp01(1 - widthVariation / (2 * limits.maxWidthVariation)) +
+          clamp01(1 - centerMovement / (2 * limits.maxCenterMovement))) /
+        2;
+      const score = Math.round(
+        100 * (0.4 * stability + 0.3 * presence + 0.3 * alignment)
+      );
+
+      let reason = null;
+      if (presence < limits.minPresence) {
+        reason = "校准期间多次检测不到人脸，请保持在摄像头前";
+      } else if (widthVariation > limits.maxWidthVariation) {
+        reason = "校准期间前后移动过多，请保持距离不变";
+      } else if (centerMovement > limits.maxCenterMovement) {
+        reason = "校准期间头部晃动过多，请保持不动";
+      } else if (alignment < limits.minAlignment) {
+        reason = "校准期间大部分时间未对准校准框";
+      }
+
+      const sorted = widths.slice().sort((a, b) => a - b);
+      console.log(
+        `📊 [CALIBRATION] Quality ${score}: widthCV=${widthVariation.toFixed(
+          3
+        )}, movement=${centerMovement.toFixed(3)}, presence=${presence.toFixed(
+          2
+        )}, alignment=${alignment.toFixed(2)}`
+      );
+
+      return {
+        score,
+        stability: round2(stability),
+        presence: round2(presence),
+        alignment: round2(alignment),
+        samples: samples.length,
+        referenceFaceWidth: sorted[Math.floor(sorted.length / 2)],
+        reason,
+      };
+    }
+
+    // 多点校准时采集当前位置的平滑人脸数据（靠近/远离位置不要求对准框）
+    captureSample() {
+      const metrics = this.getSmoothedFaceMetrics();
+      if (!metrics) {
+        throw new Error("未检测到人脸，无法采集");
+      }
+      return { ...metrics };
+    }
+
     calculateRelativeDistance(faceMetrics) {
+      const distanceCm = this.calculateAbsoluteDistance(faceMetrics);
+
       if (!this.calibration.isCalibrated || !faceMetrics) {
         return {
           distance: 0,
           offset: 0,
           distanceRatio: 1,
+          distanceCm,
           faceWidth: faceMetrics ? faceMetrics.faceWidth : 0,
           isCalibrated: false,
         };
       }
 
-      const ratio = faceMetrics.faceWidth / this.calibration.referenceFaceWidth;
+      const ratio =
+        this.getDistanceFaceWidth(faceMetrics) /
+        this.getReferenceFaceWidth(faceMetrics);
       let relativeDistance = (1 / ratio - 1) * this.config.distanceScale;
 
       return {
         distance: relativeDistance,
         offset: relativeDistance,
         distanceRatio: ratio,
+        distanceCm,
+        referenceDistanceCm: this.calibration.referenceDistance || null,
         faceWidth: faceMetrics.faceWidth,
+        correctedFaceWidth: faceMetrics.correctedFaceWidth,
         isCalibrated: true,
       };
     }
 
-    handleNoFaceDetected() {
+    // 校准的人脸宽度是像素值，按校准时的画面宽度换算到当前分辨率，
+    // 即比较人脸占画面宽度的比例，同一摄像头换分辨率后无需重新校准
+    getReferenceFaceWidth(faceMetrics) {
+      const environment = this.calibration.environment;
+      if (!environment || !environment.width || !faceMetrics.imageWidth) {
+        return this.calibration.referenceFaceWidth;
+      }
+      return (
+        (this.calibration.referenceFaceWidth * faceMetrics.imageWidth) /
+        environment.width
+      );
+    }
+
+    // 针孔相机模型：距离 = 焦距(px) × 虹膜实际直径 / 虹膜像素直径
+    calculateAbsoluteDistance(faceMetrics) {
+      if (
+        this.config.distanceMode !== "absolute" ||
+        !faceMetrics ||
+        !faceMetrics.irisDiameter
+      ) {
+        return null;
+      }
+
+      const halfFov = (this.config.cameraFov * Math.PI) / 360;
+      const focalLength = faceMetrics.imageWidth / 2 / Math.tan(halfFov);
+      const distanceMm =
+        (focalLength * this.config.irisDiameterMm) / faceMetrics.irisDiameter;
+
+      return distanceMm / 10;
+    }
+
+    handleNoFaceDetected(now = Date.now()) {
       const lastDetectedFace =
         this.faceHistory.length > 0
           ? this.faceHistory[this.faceHistory.length - 1].timestamp
           : 0;
 
-      if (Date.now() - lastDetectedFace > 500) {
-        this.faceHistory = [];
-
-        console.log("🎯 [CALIBRATION] No face detected, triggering callbacks");
+      if (now - lastDetectedFace > 500) {
+        this.resetFaceHistory();
+        this.stableReferenceWidth = null;
+        this.trackedFace = null;
+        this.driftSince = null;
 
-        this.config.onDistanceUpdate({
-          distance: null,
-          offset: null,
-          distanceRatio: null,
-          faceWidth: 0,
-          alignmentStatus: "no-face",
-          faceDetected: false,
-          isCalibrated: this.calibration.isCalibrated,
-        });
+        if (this.faceVisible !== false) {
+          console.log("🎯 [CALIBRATION] No face detected");
+          this.faceVisible = false;
+          this.emit("face-lost", { lastSeen: lastDetectedFace || null });
+        }
 
-        // 同时触发校准状态回调
-        this.config.onCalibrationFrameStatus({
+        this.emit("alignment", {
           status: "no-face",
           faceRatio: 0,
           idealRatio: this.config.calibrationFrame.targetFaceRatio,
@@ -542,10 +1907,16 @@
           referenceFaceWidth: parsedData.referenceFaceWidth,
           referenceDistance: parsedData.referenceDistance || 0,
           referenceFontSize: parsedData.referenceFontSize || 16,
+          faceSignature: parsedData.faceSignature || null,
+          environment: parsedData.environment || null,
           timestamp: parsedData.timestamp,
         };
 
         console.log("✅ 已加载校准数据:", this.calibration);
+        this.resetDriftState();
+        if (this.activeCamera) {
+          this.checkCalibrationEnvironment();
+        }
         return true;
       } catch (error) {
         console.error("❌ 加载校准数据失败:", error);
@@ -553,1089 +1924,4331 @@
       }
     }
 
+    // 下次initialize/startCamera时生效
+    updateConfig(changes) {
+      this.config = { ...this.config, ...changes };
+    }
+
+    resetCalibration() {
+      this.calibration = {
+        isCalibrated: false,
+        referenceFaceWidth: null,
+        referenceDistance: 0,
+        timestamp: null,
+      };
+      this.resetDriftState();
+    }
+
+    resetDriftState() {
+      this.driftSince = null;
+      this.driftReported = false;
+    }
+
+    // 先停止帧循环和摄像头轨道，再释放模型，保证任何情况下摄像头都会被关闭
     async cleanup() {
-      this.isRunning = false;
+      clearTimeout(this.recoveryTimer);
+      this.recoveryTimer = null;
+      this.recoveryAttempts = 0;
 
-      if (this.faceMesh) {
-        try {
-          await this.faceMesh.close();
-        } catch (error) {
-          console.error("关闭FaceMesh时出错:", error);
+      try {
+        this.stopCamera();
+      } finally {
+        if (this.faceMesh) {
+          try {
+            await this.faceMesh.close();
+          } catch (error) {
+            console.error("关闭FaceMesh时出错:", error);
+          }
+          this.faceMesh = null;
+        }
+        this.isInitialized = false;
+
+        this.resetFaceHistory();
+        this.trackedFace = null;
+        this.faceVisible = null;
+        if (this.state !== "disposed") {
+          this.setState("idle");
         }
+        console.log("✅ MediaPipe Distance Detector 已清理");
       }
+    }
 
-      this.stopCamera();
-      this.faceHistory = [];
-      console.log("✅ MediaPipe Distance Detector 已清理");
+    async dispose() {
+      await this.cleanup();
+      this.setState("disposed");
+      this.listeners = {};
     }
   }
 
-  // ===== 阅读模式管理器 =====
-  class ReadingModeManager {
-    constructor() {
-      this.isReadingMode = false;
-      this.isDynamicFontEnabled = false;
-      this.isDynamicContrastEnabled = false;
-      this.distanceDetector = null;
-      this.originalContent = null;
-      this.readingContainer = null;
-      this.floatingButton = null;
-      this.floatingMenu = null;
+  // ===== 距离来源 =====
+  // 摄像头、手动、外部设备、轨迹回放等距离来源的公共接口：
+  // start()/stop()，通过distance / face-found / face-lost / state / error事件输出。
+  // start()可重复调用（已启动时不重复启动），返回false或解析为false的Promise表示无法启动。
+  // distance事件的数据与MediaPipeDistanceDetector相同，至少包含offset（相对校准位置远出的百分比）
+  class DistanceSource extends EventEmitter {
+    start() {
+      throw new Error(`${this.constructor.name} 未实现 start()`);
+    }
 
-      this.baseFontSize = 16;
-      this.currentFontSize = 16;
+    stop() {}
+  }
 
-      this.baseBackgroundColor = "#FBF0D9";
-      this.baseTextColor = "#5F4B32";
-      this.currentBackgroundColor = "#FBF0D9";
-      this.currentTextColor = "#5F4B32";
+  // 无摄像头时由用户给出offset（滑块、快捷键或姿势预设）
+  class ManualDistanceSource extends DistanceSource {
+    constructor({ offset = 0, distanceScale = 100 } = {}) {
+      super();
+      this.offset = offset;
+      this.distanceScale = distanceScale;
+      this.state = "idle";
+    }
 
-      this.startTime = null;
-      this.timerInterval = null;
-      this.timerElement = null;
+    // 已启动时重新发出当前距离，供后加入的使用方立即得到一次读数
+    start() {
+      if (this.state === "idle") {
+        this.state = "manual";
+        this.emit("state", { state: this.state });
+      }
+      this.emitDistance();
+    }
 
-      this.lastStableDistance = 0;
-      this.fontChangeThreshold = 0.5; // 降低阈值使字体变化更灵敏
-      this.currentDistance = 0;
+    setOffset(offset) {
+      this.offset = offset;
+      if (this.state !== "idle") {
+        this.emitDistance();
+      }
+    }
 
-      // 死区功能：防止头部小范围变化引起字体变化
-      this.deadZoneRadius = 2.0; // 死区半径，在此范围内的变化会被忽略
-      this.deadZoneCenter = 0; // 死区中心距离
-      this.deadZoneStableTime = 1000; // 需要稳定1秒才更新死区中心 (毫秒)
-      this.lastDistanceChangeTime = 0; // 上次距离变化时间
+    emitDistance() {
+      const offset = this.offset;
+      this.emit("distance", {
+        distance: offset,
+        offset,
+        distanceRatio: 1 / (1 + offset / this.distanceScale),
+        distanceCm: null,
+        isCalibrated: true,
+        source: "manual",
+      });
+    }
 
-      this.initializeFontSizes();
-      this.init();
+    stop() {
+      if (this.state === "idle") return;
+      this.state = "idle";
+      this.emit("state", { state: this.state });
     }
+  }
 
-    initializeFontSizes() {
-      try {
-        const calibrationData = JSON.parse(
-          localStorage.getItem("mediapipe-calibration") || "{}"
-        );
-        this.baseFontSize = calibrationData.referenceFontSize || 16;
-        this.currentFontSize = this.baseFontSize;
-        console.log(
-          "📖 阅读模式初始化，基准字体大小:",
-          this.baseFontSize + "px"
-        );
-      } catch (error) {
-        console.log("📖 未找到校准数据，使用默认字体大小: 16px");
-        this.baseFontSize = 16;
-        this.currentFontSize = 16;
-      }
-    }
-
-    init() {
-      this.createFloatingButton();
-      this.loadSettings();
-      this.bindEvents();
-    }
+  const EXTERNAL_DISTANCE_MESSAGE_TYPE = "reading-mode-distance";
 
-    createFloatingButton() {
-      const existingButton = document.querySelector(".reading-mode-float-btn");
-      const existingMenu = document.querySelector(".reading-mode-float-menu");
+  // 接收深度传感器或本地人体工学应用给出的距离/在场信息，来源可以是
+  // 本地WebSocket或window.postMessage。消息格式（JSON）：
+  //   { type: "reading-mode-distance", distanceCm: 62 }   // 或直接给出 offset
+  //   { type: "reading-mode-distance", present: false }   // 人离开
+  class ExternalDistanceSource extends DistanceSource {
+    constructor(config = {}) {
+      super();
+      this.config = {
+        transport: config.transport || "websocket", // "websocket" | "postmessage"
+        url: config.url || "ws://localhost:8765",
+        // postMessage只接受这些来源（默认仅当前页面自身）
+        allowedOrigins: config.allowedOrigins || [window.location.origin],
+        referenceDistanceCm: config.referenceDistanceCm || 50, // 对应offset为0的距离
+        distanceScale: config.distanceScale || 100,
+        staleTimeout: config.staleTimeout || 3000, // 超过该时间无数据视为人已离开
+        reconnectBaseDelay: config.reconnectBaseDelay || 1000,
+        reconnectMaxDelay: config.reconnectMaxDelay || 30000,
+      };
 
-      if (existingButton) existingButton.remove();
-      if (existingMenu) existingMenu.remove();
+      this.state = "idle";
+      this.socket = null;
+      this.reconnectTimer = null;
+      this.reconnectAttempts = 0;
+      this.staleTimer = null;
+      this.present = null;
+      this.messageHandler = (event) => this.handleWindowMessage(event);
+    }
 
-      this.floatingButton = document.createElement("div");
-      this.floatingButton.className = "reading-mode-float-btn";
-      this.floatingButton.innerHTML = `
-                <div class="float-btn-icon">
-                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"></path>
-                        <path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"></path>
-                    </svg>
-                </div>
-            `;
+    setState(state) {
+      if (state === this.state) return;
+      this.state = state;
+      this.emit("state", { state });
+    }
 
-      this.floatingMenu = document.createElement("div");
-      this.floatingMenu.className = "reading-mode-float-menu";
-      this.floatingMenu.innerHTML = `
-                <div class="float-menu-content">
-                    <div class="menu-header">
-                        <span class="menu-title">阅读选项</span>
-                        <button class="menu-close-btn">×</button>
-                    </div>
-                    <div class="menu-item">
-                        <button class="reading-mode-toggle-btn">
-                            <span class="menu-icon">📖</span>
-                            <span class="menu-text">进入阅读模式</span>
-                        </button>
-                    </div>
-                    <div class="menu-item">
-                        <label class="menu-checkbox">
-                            <input type="checkbox" class="dynamic-font-checkbox">
-                            <span class="checkmark"></span>
-                            <span class="menu-text">动态字体调整</span>
-                        </label>
-                    </div>
-                    <div class="menu-item">
-                        <label class="menu-checkbox">
-                            <input type="checkbox" class="dynamic-contrast-checkbox">
-                            <span class="checkmark"></span>
-                            <span class="menu-text">动态对比度调整</span>
-                        </label>
-                    </div>
-                    <div class="menu-item">
-                        <button class="calibration-btn">
-                            <span class="menu-icon">🎯</span>
-                            <span class="menu-text">校准距离</span>
-                        </button>
-                    </div>
-                </div>
-            `;
+    start() {
+      if (this.state !== "idle") return;
 
-      document.body.appendChild(this.floatingButton);
-      document.body.appendChild(this.floatingMenu);
+      if (this.config.transport === "postmessage") {
+        window.addEventListener("message", this.messageHandler);
+        this.setState("listening");
+        console.log(
+          "📨 [EXTERNAL] Listening for postMessage distance readings"
+        );
+      } else {
+        this.connect();
+      }
     }
 
-    bindEvents() {
-      if (this.globalClickHandler) {
-        document.removeEventListener("click", this.globalClickHandler);
-      }
-      if (this.globalKeyHandler) {
-        document.removeEventListener("keydown", this.globalKeyHandler);
+    connect() {
+      this.setState("connecting");
+      let socket;
+      try {
+        socket = new WebSocket(this.config.url);
+      } catch (error) {
+        // 构造函数只在地址无效等配置错误时抛出，重连也不会成功
+        this.emit("error", new Error(`外部距离来源地址无效: ${error.message}`));
+        this.stop();
+        return;
       }
 
-      this.floatingButton.addEventListener("click", (e) => {
-        e.stopPropagation();
-        this.toggleFloatingMenu();
+      socket.addEventListener("open", () => {
+        console.log(`🔌 [EXTERNAL] Connected to ${this.config.url}`);
+        this.reconnectAttempts = 0;
+        this.setState("connected");
       });
-
-      const closeBtn = this.floatingMenu.querySelector(".menu-close-btn");
-      closeBtn.addEventListener("click", () => {
-        this.hideFloatingMenu();
+      socket.addEventListener("message", (event) => {
+        this.handleMessage(event.data);
       });
-
-      const toggleBtn = this.floatingMenu.querySelector(
-        ".reading-mode-toggle-btn"
-      );
-      toggleBtn.addEventListener("click", () => {
-        this.toggleReadingMode();
-        this.hideFloatingMenu();
+      socket.addEventListener("close", () => {
+        if (this.socket !== socket) return; // 已主动关闭
+        this.socket = null;
+        this.markAbsent();
+        this.scheduleReconnect();
       });
+      this.socket = socket;
+    }
 
-      const dynamicFontCheckbox = this.floatingMenu.querySelector(
-        ".dynamic-font-checkbox"
+    scheduleReconnect() {
+      if (this.state === "idle") return;
+
+      const delay = Math.min(
+        this.config.reconnectBaseDelay * 2 ** this.reconnectAttempts,
+        this.config.reconnectMaxDelay
       );
-      dynamicFontCheckbox.addEventListener("change", (e) => {
-        this.isDynamicFontEnabled = e.target.checked;
-        this.saveSettings();
+      this.reconnectAttempts++;
+      this.setState("disconnected");
+      console.log(`🔌 [EXTERNAL] Reconnecting in ${delay}ms`);
+      this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
 
-        if (this.isReadingMode) {
-          if (this.isDynamicFontEnabled) {
-            this.startDynamicFont();
-          } else {
-            this.stopDynamicFont();
-          }
+    handleWindowMessage(event) {
+      if (
+        event.source !== window &&
+        !this.config.allowedOrigins.includes(event.origin)
+      ) {
+        return;
+      }
+      this.handleMessage(event.data);
+    }
+
+    handleMessage(raw) {
+      let message = raw;
+      if (typeof raw === "string") {
+        try {
+          message = JSON.parse(raw);
+        } catch (error) {
+          console.warn("⚠️ [EXTERNAL] Ignored malformed message:", raw);
+          return;
         }
-      });
+      }
+      if (!message || message.type !== EXTERNAL_DISTANCE_MESSAGE_TYPE) return;
 
-      const dynamicContrastCheckbox = this.floatingMenu.querySelector(
-        ".dynamic-contrast-checkbox"
-      );
-      dynamicContrastCheckbox.addEventListener("change", (e) => {
-        console.log(
-          `🔧 [CHECKBOX] Dynamic contrast checkbox changed: ${e.target.checked}`
-        );
-        this.isDynamicContrastEnabled = e.target.checked;
-        console.log(
-          `🔧 [CHECKBOX] isDynamicContrastEnabled set to: ${this.isDynamicContrastEnabled}`
-        );
-        this.saveSettings();
-        console.log(`🔧 [CHECKBOX] Settings saved`);
+      if (message.present === false) {
+        this.markAbsent();
+        return;
+      }
 
-        if (this.isReadingMode) {
-          console.log(
-            `🔧 [CHECKBOX] Reading mode is active, starting/stopping contrast`
-          );
-          if (this.isDynamicContrastEnabled) {
-            console.log(`🔧 [CHECKBOX] Starting dynamic contrast...`);
-            this.startDynamicContrast();
-          } else {
-            console.log(`🔧 [CHECKBOX] Stopping dynamic contrast...`);
-            this.stopDynamicContrast();
-          }
-        } else {
-          console.log(
-            `🔧 [CHECKBOX] Reading mode is not active, settings saved for later`
-          );
-        }
-      });
+      const distanceData = this.toDistanceData(message);
+      if (!distanceData) {
+        console.warn("⚠️ [EXTERNAL] Message without distance:", message);
+        return;
+      }
 
-      const calibrationBtn =
-        this.floatingMenu.querySelector(".calibration-btn");
-      calibrationBtn.addEventListener("click", () => {
-        this.openCalibrationDialog();
-        this.hideFloatingMenu();
-      });
+      if (!this.present) {
+        this.present = true;
+        this.emit("face-found", { faceCount: 1 });
+      }
+      this.emit("distance", distanceData);
 
-      this.globalClickHandler = (e) => {
-        if (
-          this.floatingMenu &&
-          this.floatingButton &&
-          !this.floatingMenu.contains(e.target) &&
-          !this.floatingButton.contains(e.target)
-        ) {
-          this.hideFloatingMenu();
-        }
-      };
-      document.addEventListener("click", this.globalClickHandler);
+      clearTimeout(this.staleTimer);
+      this.staleTimer = setTimeout(
+        () => this.markAbsent(),
+        this.config.staleTimeout
+      );
+    }
 
-      this.globalKeyHandler = (e) => {
-        if (e.key === "Escape" && this.isReadingMode) {
-          this.exitReadingMode();
-        }
+    // 与检测器的相对距离同义：offset = (当前距离 / 校准距离 - 1) × distanceScale
+    toDistanceData(message) {
+      const { referenceDistanceCm, distanceScale } = this.config;
+      let offset;
+      let distanceCm = null;
+
+      if (Number.isFinite(message.distanceCm) && message.distanceCm > 0) {
+        distanceCm = message.distanceCm;
+        offset = (distanceCm / referenceDistanceCm - 1) * distanceScale;
+      } else if (Number.isFinite(message.offset)) {
+        offset = message.offset;
+      } else {
+        return null;
+      }
+
+      return {
+        distance: offset,
+        offset,
+        distanceRatio: 1 / (1 + offset / distanceScale),
+        distanceCm,
+        referenceDistanceCm,
+        isCalibrated: true,
+        faceDetected: true,
+        faceCount: 1,
+        timestamp: Date.now(),
+        source: "external",
       };
-      document.addEventListener("keydown", this.globalKeyHandler);
     }
 
-    toggleFloatingMenu() {
-      this.floatingMenu.classList.toggle("show");
-      this.floatingButton.classList.toggle("active");
+    markAbsent() {
+      clearTimeout(this.staleTimer);
+      this.staleTimer = null;
+      if (this.present !== false) {
+        this.present = false;
+        this.emit("face-lost", { lastSeen: Date.now() });
+      }
     }
 
-    hideFloatingMenu() {
-      this.floatingMenu.classList.remove("show");
-      this.floatingButton.classList.remove("active");
+    stop() {
+      clearTimeout(this.reconnectTimer);
+      clearTimeout(this.staleTimer);
+      this.reconnectTimer = null;
+      this.staleTimer = null;
+      window.removeEventListener("message", this.messageHandler);
+
+      const socket = this.socket;
+      this.socket = null;
+      if (socket) {
+        socket.close();
+      }
+      this.present = null;
+      this.reconnectAttempts = 0;
+      this.setState("idle");
     }
+  }
 
-    toggleReadingMode() {
-      if (this.isReadingMode) {
-        this.exitReadingMode();
-      } else {
-        this.enterReadingMode();
+  // ===== 共享距离检测服务 =====
+  // 字体、对比度与校准对话框共用一个检测器（同一个摄像头和模型）。
+  // 每个使用方持有一个租约，最后一个租约释放后才关闭摄像头；启停操作串行执行
+  class DistanceDetectorService {
+    static getDetector() {
+      if (!this.detector) {
+        this.detector = new MediaPipeDistanceDetector(this.getSettingsConfig());
       }
+      return this.detector;
     }
 
-    enterReadingMode() {
-      this.isReadingMode = true;
-      this.originalContent = document.body.innerHTML;
+    static getSettingsConfig() {
+      const settings = StorageManager.get("reading-mode-settings") || {};
+      return {
+        distanceMode: settings.isAbsoluteDistanceEnabled
+          ? "absolute"
+          : "relative",
+        targetFps: settings.detectionFps || 15,
+        faceSelection: settings.faceSelection || "primary",
+        useWorker: settings.isWorkerInferenceEnabled || false,
+        assets: MediaPipeAssetLoader.getConfig(),
+        camera: CameraDeviceManager.getSelectedCamera(),
+      };
+    }
 
-      const articleContent = this.extractArticleContent();
-      this.createReadingModeContainer(articleContent);
+    static on(event, listener) {
+      return this.getDetector().on(event, listener);
+    }
 
-      document.body.style.overflow = "hidden";
+    // lease: { targetFps, adaptiveFps, responsiveAlignment, faceSelection, statusThrottleDelay,
+    // calibration, fullLandmarks }，释放时传回同一对象
+    static async acquire(lease = {}) {
+      this.leases.add(lease);
+      const started = await this.enqueue(() => this.start());
+      if (started && this.leases.has(lease)) {
+        this.applyLeases();
+        return this.detector;
+      }
 
-      const toggleBtn = this.floatingMenu.querySelector(
-        ".reading-mode-toggle-btn .menu-text"
-      );
-      toggleBtn.textContent = "退出阅读模式";
+      this.release(lease);
+      return null;
+    }
 
-      this.currentBackgroundColor = this.baseBackgroundColor;
-      this.currentTextColor = this.baseTextColor;
-      this.updateContrast();
-      this.updateFontSize();
+    // 校准对话框持有租约期间画面中是正在校准的人
+    static isCalibrating() {
+      return [...this.leases].some((lease) => lease.calibration);
+    }
 
-      this.startReadingTimer();
+    static release(lease) {
+      if (!this.leases.delete(lease)) return;
 
-      if (this.isDynamicFontEnabled) {
-        this.startDynamicFont();
-      }
-      if (this.isDynamicContrastEnabled) {
-        this.startDynamicContrast();
+      if (this.leases.size > 0) {
+        this.applyLeases();
+      } else {
+        this.enqueue(() => this.stop());
       }
     }
 
-    exitReadingMode() {
-      this.isReadingMode = false;
+    // 重新读取设置（摄像头、距离模式、推理方式等）并重启，仅在运行中生效
+    static restart() {
+      return this.enqueue(async () => {
+        if (!this.running) return false;
+        await this.stop(true);
+        return this.start();
+      });
+    }
 
-      this.stopReadingTimer();
-      this.stopDynamicFont();
-      this.stopDynamicContrast();
+    static enqueue(task) {
+      const result = this.queue.then(task);
+      this.queue = result.catch(() => {});
+      return result;
+    }
 
-      // 清理动态字体样式
-      const dynamicFontStyle = document.getElementById("dynamic-font-style");
-      if (dynamicFontStyle) {
-        dynamicFontStyle.remove();
-        console.log("🧹 [CLEANUP] Removed dynamic font CSS");
+    static async start() {
+      if (this.running) {
+        // 检测器自动恢复已放弃时重新启动，其余情况直接复用
+        if (this.detector.state !== "error" || this.detector.recoveryTimer) {
+          return true;
+        }
+        await this.stop(true);
       }
+      if (this.leases.size === 0) return false;
 
-      if (this.distanceDetector) {
-        console.log("🔴 [EXIT] Force stopping camera detector");
-        this.distanceDetector.stopCamera();
-        this.distanceDetector = null;
+      const detector = this.getDetector();
+      detector.updateConfig(this.getSettingsConfig());
+      this.applyLeases();
+
+      if (!(await detector.initialize()) || !(await detector.startCamera())) {
+        await detector.cleanup();
+        return false;
       }
 
-      if (this.readingContainer) {
-        this.readingContainer.remove();
-        this.readingContainer = null;
-      }
-
-      if (this.originalContent) {
-        document.body.innerHTML = this.originalContent;
-        this.originalContent = null;
+      detector.startDetectionLoop();
+      this.running = true;
+      console.log(
+        `🟢 [DETECTOR] Shared detector started (${this.leases.size} consumer(s))`
+      );
+      return true;
+    }
 
-        this.floatingButton = null;
-        this.floatingMenu = null;
+    static async stop(force = false) {
+      if (!force && this.leases.size > 0) return;
 
-        setTimeout(() => {
-          this.init();
-        }, 100);
+      if (this.running) {
+        this.running = false;
+        await this.detector.cleanup();
+        console.log("🔴 [DETECTOR] Shared detector stopped");
       }
 
-      document.body.style.overflow = "";
-
-      setTimeout(() => {
-        const toggleBtn = document.querySelector(
-          ".reading-mode-toggle-btn .menu-text"
-        );
-        if (toggleBtn) {
-          toggleBtn.textContent = "进入阅读模式";
-        }
-      }, 150);
+      // 最后一个租约释放后销毁检测器（模型与事件订阅），下次使用时重新创建
+      if (this.leases.size === 0 && this.detector) {
+        const detector = this.detector;
+        this.detector = null;
+        await detector.dispose();
+        MediaPipeAssetLoader.release();
+      }
     }
 
-    extractArticleContent() {
-      const titleElement = document.querySelector(".title, h1");
-      const contentElement = document.querySelector(".content, main, article");
+    // 多个使用方同时存在时取最高帧率；任一方要求时关闭自适应帧率、加快对齐状态反馈；
+    // 人脸选择以最后一个指定了的租约为准，该租约释放后恢复用户设置
+    static applyLeases() {
+      if (!this.detector || this.leases.size === 0) return;
 
-      const title = titleElement ? titleElement.textContent.trim() : "文章标题";
-      const content = contentElement
-        ? contentElement.innerHTML
-        : "<p>未找到文章内容</p>";
+      const leases = [...this.leases];
+      const settings = this.getSettingsConfig();
+      const defaultFps = settings.targetFps;
+      this.detector.config.adaptiveFps = leases.every(
+        (lease) => lease.adaptiveFps !== false
+      );
+      this.detector.statusStabilityThreshold = leases.some(
+        (lease) => lease.responsiveAlignment
+      )
+        ? 1
+        : 3;
+      this.detector.setTargetFps(
+        Math.max(...leases.map((lease) => lease.targetFps || defaultFps))
+      );
+      this.detector.statusThrottleDelay = Math.min(
+        100,
+        ...leases.map((lease) => lease.statusThrottleDelay || 100)
+      );
+      this.detector.setFullLandmarks(
+        leases.some((lease) => lease.fullLandmarks)
+      );
 
-      return { title, content };
+      const selectionLease = leases
+        .filter((lease) => lease.faceSelection)
+        .pop();
+      const faceSelection = selectionLease
+        ? selectionLease.faceSelection
+        : settings.faceSelection;
+      if (this.detector.config.faceSelection !== faceSelection) {
+        this.detector.setFaceSelection(faceSelection);
+      }
     }
+  }
 
-    createReadingModeContainer(articleContent) {
-      const wordCount = this.calculateWordCount(articleContent.content);
-      const readingTime = this.calculateReadingTime(wordCount);
-
-      this.readingContainer = document.createElement("div");
-      this.readingContainer.className = "reading-mode-container";
-      this.readingContainer.innerHTML = `
-                <div class="reading-mode-header">
-                    <button class="reading-mode-close-btn">×</button>
-                    <div class="reading-mode-title">${
-                      articleContent.title
-                    }</div>
-                </div>
-                <div class="reading-mode-content">
-                    <div class="reading-article-content" id="readingArticleContent">
-                        ${articleContent.content}
-                    </div>
-                </div>
-                <div class="reading-mode-footer">
-                    <div class="reading-mode-info">
-                        <div class="reading-mode-info-left">
-                            <span class="font-size-info">字体大小: <span id="currentFontSizeDisplay">${this.currentFontSize.toFixed(
-                              1
-                            )}px</span></span>
-                            ${
-                              this.isDynamicFontEnabled
-                                ? '<span class="dynamic-font-status">动态字体调整已启用</span>'
-                                : ""
-                            }
-                            ${
-                              this.isDynamicContrastEnabled
-                                ? '<span class="dynamic-contrast-status">动态对比度调整已启用</span>'
-                                : ""
-                            }
-                        </div>
-                        <div class="reading-mode-info-right">
-                            <span class="word-count-info">字数: ${wordCount}</span>
-                            <span class="reading-time-info">阅读时间: ${readingTime}</span>
-                            <span class="reading-timer-info">已阅读: <span id="readingTimer">00:00</span></span>
+  DistanceDetectorService.detector = null;
+  DistanceDetectorService.leases = new Set();
+  DistanceDetectorService.queue = Promise.resolve();
+  DistanceDetectorService.running = false;
+
+  // 检测器转发给摄像头距离来源使用方的事件
+  const CAMERA_SOURCE_EVENTS = [
+    "distance",
+    "face-found",
+    "face-lost",
+    "state",
+    "error",
+    "calibration-warning",
+    "frame",
+    "timing",
+  ];
+
+  // 摄像头距离来源：持有共享检测服务的一个租约并转发检测器事件
+  class CameraDistanceSource extends DistanceSource {
+    constructor(lease = {}) {
+      super();
+      this.lease = lease;
+      this.detector = null;
+      this.starting = null;
+      this.subscriptions = [];
+    }
 
-                        </div>
-                    </div>
-                </div>
-            `;
+    get state() {
+      return this.detector ? this.detector.state : "idle";
+    }
 
-      document.body.appendChild(this.readingContainer);
+    start() {
+      if (!this.starting) {
+        this.subscriptions = CAMERA_SOURCE_EVENTS.map((event) =>
+          DistanceDetectorService.on(event, (data) => this.emit(event, data))
+        );
+        const starting = DistanceDetectorService.acquire(this.lease).then(
+          (detector) => {
+            if (this.starting !== starting) return false; // 启动期间已停止
+
+            if (!detector) {
+              this.stop();
+              return false;
+            }
+            this.detector = detector;
+            return true;
+          }
+        );
+        this.starting = starting;
+      }
+      return this.starting;
+    }
 
-      const closeBtn = this.readingContainer.querySelector(
-        ".reading-mode-close-btn"
-      );
-      closeBtn.addEventListener("click", () => {
-        this.exitReadingMode();
-      });
+    stop() {
+      if (!this.starting) return;
 
-      // 调试按钮已移除
+      this.starting = null;
+      this.detector = null;
+      this.subscriptions.forEach((unsubscribe) => unsubscribe());
+      this.subscriptions = [];
+      DistanceDetectorService.release(this.lease);
     }
+  }
 
-    calculateWordCount(htmlContent) {
-      const tempDiv = document.createElement("div");
-      tempDiv.innerHTML = htmlContent;
-      const textContent = tempDiv.textContent || tempDiv.innerText || "";
-      const chineseChars = (textContent.match(/[\u4e00-\u9fa5]/g) || []).length;
-      const englishWords = (textContent.match(/[a-zA-Z]+/g) || []).length;
-      return chineseChars + englishWords;
+  // ===== MediaPipe资源加载 =====
+  const MEDIAPIPE_FACE_MESH_VERSION = "0.4.1633559619";
+  const MEDIAPIPE_CDN_BASE = `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@${MEDIAPIPE_FACE_MESH_VERSION}/`;
+
+  // face_mesh运行时通过locateFile请求的文件，与@resource声明及其SHA-256一一对应；
+  // face_mesh.js本身在主线程由@require加载，只有Worker推理需要经本加载器获取
+  const MEDIAPIPE_ASSET_MANIFEST = {
+    "face_mesh.js": {
+      resource: "faceMeshScript",
+      sha256: "XbhVWsgMoq1zZvuz6lPA0JWWCfyau3uL43p07BrEupw=",
+    },
+    "face_mesh.binarypb": {
+      resource: "faceMeshBinarypb",
+      sha256: "E5VGvwWuuzPiYRtrlF86FinDFsqSTjPOwVR8hd3vn1M=",
+    },
+    "face_mesh_solution_packed_assets.data": {
+      resource: "faceMeshPackedAssets",
+      sha256: "2+WQXFgsBGLNrqF+fm7OqS7aqMzMUVxeLnKR8su1+5k=",
+    },
+    "face_mesh_solution_packed_assets_loader.js": {
+      resource: "faceMeshPackedAssetsLoader",
+      sha256: "5d6GhbKZGEgT987GaOSZAjk3rlIbcPYM0PxIMpMERuA=",
+    },
+    "face_mesh_solution_simd_wasm_bin.js": {
+      resource: "faceMeshSimdWasmLoader",
+      sha256: "yikYd6+5wTMIz2vkLyPNOfGt8ANrtj7K0s4WBzvPB8c=",
+    },
+    "face_mesh_solution_simd_wasm_bin.wasm": {
+      resource: "faceMeshSimdWasm",
+      sha256: "+56c/ouDqRTkDqsu/TsNkqYfgqfJaFifIjqyp+Mx0xQ=",
+    },
+    "face_mesh_solution_wasm_bin.js": {
+      resource: "faceMeshWasmLoader",
+      sha256: "ClMq6EUOfl8niMySrRkCEPchRG0/2csln92pWOZhAsE=",
+    },
+    "face_mesh_solution_wasm_bin.wasm": {
+      resource: "faceMeshWasm",
+      sha256: "VFIvolxQW/CUJC+Wm05JGRJesNrcy1aPKvFxu9ZYZfk=",
+    },
+  };
+
+  const DEFAULT_MEDIAPIPE_ASSETS = {
+    source: "cdn", // "cdn" | "local"（自建服务器） | "resource"（脚本内置@resource）
+    baseUrl: "", // source为local时的资源目录
+    cache: true, // 首次下载后存入Cache Storage，之后可离线加载
+    verifyIntegrity: true,
+  };
+
+  class MediaPipeAssetLoader {
+    static getConfig() {
+      const settings = StorageManager.get("reading-mode-settings") || {};
+      return {
+        ...DEFAULT_MEDIAPIPE_ASSETS,
+        ...(settings.mediapipeAssets || {}),
+      };
     }
 
-    calculateReadingTime(wordCount) {
-      const readingSpeed = 225;
-      const minutes = Math.ceil(wordCount / readingSpeed);
-      return minutes < 1
-        ? "< 1分钟"
-        : minutes === 1
-        ? "1分钟"
-        : `${minutes}分钟`;
+    static getBaseUrl(config) {
+      if (config.source === "local" && config.baseUrl) {
+        return config.baseUrl.endsWith("/")
+          ? config.baseUrl
+          : `${config.baseUrl}/`;
+      }
+      return MEDIAPIPE_CDN_BASE;
     }
 
-    async startDynamicFont() {
-      if (!this.isDynamicFontEnabled || !this.isReadingMode) return;
-
+    // 与face_mesh相同的SIMD检测，只预取实际会用到的wasm版本
+    static supportsWasmSimd() {
       try {
-        const calibrationData = CalibrationManager.getCalibration();
-        if (!calibrationData) {
-          this.showCalibrationRequiredDialog();
-          return;
-        }
-
-        console.log(
-          "📱 Starting dynamic font with calibration data:",
-          calibrationData
+        return WebAssembly.validate(
+          new Uint8Array([
+            0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10,
+            10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11,
+          ])
         );
+      } catch (error) {
+        return false;
+      }
+    }
 
-        this.distanceDetector = new MediaPipeDistanceDetector({
-          onDistanceUpdate: (distance) => this.onDistanceUpdate(distance),
-          onError: (error) => this.onDynamicFontError(error),
-          onCalibrationFrameStatus: (status) => {
-            console.log("📊 Calibration frame status:", status.status);
-          },
-          smoothingWindow: 5,
-          minConfidence: 0.5,
-          disableCamera: false,
-          basePath: "https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/",
-        });
+    static getRequiredFiles(worker = false) {
+      const wasmBin = this.supportsWasmSimd()
+        ? "face_mesh_solution_simd_wasm_bin"
+        : "face_mesh_solution_wasm_bin";
+      return [
+        ...(worker ? ["face_mesh.js"] : []),
+        "face_mesh.binarypb",
+        "face_mesh_solution_packed_assets.data",
+        "face_mesh_solution_packed_assets_loader.js",
+        `${wasmBin}.js`,
+        `${wasmBin}.wasm`,
+      ];
+    }
 
-        // 先初始化MediaPipe
-        await this.distanceDetector.initialize();
+    // 预先解析所有资源并返回同步的locateFile；同一配置只准备一次。
+    // worker为true时另外准备face_mesh.js，供Worker通过importScripts加载
+    static async prepare(config, { worker = false } = {}) {
+      const key = JSON.stringify({ ...config, worker });
+      if (this.prepared && this.prepared.key === key) {
+        return this.prepared.locateFile;
+      }
 
-        const success = await this.distanceDetector.startCamera();
-        if (success) {
-          console.log(
-            "📥 Loading calibration data into detector:",
-            calibrationData
-          );
-          this.distanceDetector.loadCalibration(calibrationData);
+      this.release();
+      const baseUrl = this.getBaseUrl(config);
+      const urls = {};
+      const objectUrls = [];
 
-          this.baseFontSize = calibrationData.referenceFontSize || 16;
-          this.currentFontSize = this.baseFontSize;
+      if (config.source === "resource") {
+        if (typeof GM_getResourceURL !== "function") {
+          throw new Error("当前脚本管理器不支持@resource内置资源");
+        }
+        Object.keys(MEDIAPIPE_ASSET_MANIFEST).forEach((file) => {
+          urls[file] = GM_getResourceURL(
+            MEDIAPIPE_ASSET_MANIFEST[file].resource
+          );
+        });
+      } else {
+        const cache = config.cache ? await this.openCache() : null;
+        try {
+          for (const file of this.getRequiredFiles(worker)) {
+            urls[file] = await this.loadFile(
+              `${baseUrl}${file}`,
+              file,
+              config,
+              cache
+            );
+            objectUrls.push(urls[file]);
+          }
+        } catch (error) {
+          objectUrls.forEach((url) => URL.revokeObjectURL(url));
+          throw error;
+        }
+      }
 
-          this.lastStableDistance = 0;
-          this.currentDistance = 0;
+      const locateFile = (file) => urls[file] || `${baseUrl}${file}`;
+      this.prepared = { key, locateFile, objectUrls };
+      console.log(
+        `📦 [ASSETS] MediaPipe assets ready (source: ${config.source})`
+      );
+      return locateFile;
+    }
 
-          this.updateDynamicFontStatus("运行中");
-          console.log("✅ Dynamic font started successfully");
+    // 检测器销毁或换用其他来源时释放loadFile创建的blob URL；@resource的URL由脚本管理器管理
+    static release() {
+      if (!this.prepared) return;
+      this.prepared.objectUrls.forEach((url) => URL.revokeObjectURL(url));
+      this.prepared = null;
+    }
 
-          // 启动检测循环
-          this.distanceDetector.startDetectionLoop();
-        } else {
-          throw new Error("无法启动摄像头");
-        }
+    // Cache Storage属于当前网页的来源，每个网站各自缓存一份
+    static async openCache() {
+      try {
+        return await caches.open(
+          `dynamic-reading-mode-mediapipe-${MEDIAPIPE_FACE_MESH_VERSION}`
+        );
       } catch (error) {
-        console.error("❌ Dynamic font startup failed:", error);
-        this.onDynamicFontError(error);
+        // 非安全上下文(http页面)没有Cache Storage
+        console.warn("⚠️ [ASSETS] Cache Storage unavailable:", error);
+        return null;
       }
     }
 
-    stopDynamicFont() {
-      console.log("⏹️ Stopping dynamic font adjustment");
-
-      this.currentFontSize = this.baseFontSize;
-      this.updateFontSize();
-      this.updateDynamicFontStatus("已停止");
-
-      this.lastStableDistance = 0;
-      this.currentDistance = 0;
+    static async loadFile(url, file, config, cache) {
+      let response = cache ? await cache.match(url) : null;
+      const fromCache = Boolean(response);
 
-      // 只有当字体和对比度功能都被禁用时，才停止摄像头检测器
-      if (
-        !this.isDynamicContrastEnabled &&
-        !this.isDynamicFontEnabled &&
-        this.distanceDetector
-      ) {
-        console.log(
-          "🔴 [FONT] Stopping camera detector (both features disabled)"
-        );
-        this.distanceDetector.stopCamera();
-        this.distanceDetector = null;
+      if (!response) {
+        try {
+          response = await fetch(url);
+        } catch (error) {
+          throw new Error(`${file} 下载失败，请检查网络或模型来源设置`);
+        }
+        if (!response.ok) {
+          throw new Error(`${file} 下载失败 (HTTP ${response.status})`);
+        }
       }
-    }
 
-    onDistanceUpdate(distanceData) {
-      if (!this.isReadingMode) return;
+      const buffer = await response.arrayBuffer();
 
-      console.log("📏 [DISTANCE] Distance update:", distanceData);
-      console.log(
-        `🔧 [DEBUG] isDynamicFontEnabled: ${this.isDynamicFontEnabled}, isDynamicContrastEnabled: ${this.isDynamicContrastEnabled}`
-      );
+      if (config.verifyIntegrity) {
+        try {
+          await this.verifyIntegrity(file, buffer);
+        } catch (error) {
+          if (fromCache) await cache.delete(url);
+          throw error;
+        }
+      }
 
-      this.currentDistance = distanceData.offset;
+      const type = file.endsWith(".wasm")
+        ? "application/wasm"
+        : file.endsWith(".js")
+        ? "text/javascript"
+        : "application/octet-stream";
 
-      if (this.isDynamicFontEnabled) {
-        console.log("📝 [FONT] Processing font adjustment...");
-        console.log(
-          `📝 [FONT] Current font size before adjustment: ${this.currentFontSize}px`
-        );
-        this.handleStableFontAdjustment(distanceData.offset);
-        console.log(
-          `📝 [FONT] Current font size after adjustment: ${this.currentFontSize}px`
+      if (cache && !fromCache) {
+        await cache.put(
+          url,
+          new Response(buffer, { headers: { "Content-Type": type } })
         );
       }
 
-      if (this.isDynamicContrastEnabled) {
-        console.log("🎨 [CONTRAST] Processing contrast adjustment...");
-        const targetRatio = this.calculateContrastAdjustment(
-          distanceData.offset
-        );
+      return URL.createObjectURL(new Blob([buffer], { type }));
+    }
 
-        console.log(
-          `🎨 [CONTRAST] Contrast calculation: offset=${distanceData.offset.toFixed(
-            2
-          )}, targetRatio=${targetRatio.toFixed(2)}:1`
+    static async verifyIntegrity(file, buffer) {
+      const entry = MEDIAPIPE_ASSET_MANIFEST[file];
+      if (!entry) return;
+
+      if (!window.crypto || !crypto.subtle) {
+        console.warn(
+          `⚠️ [ASSETS] Cannot verify ${file} in an insecure context`
         );
+        return;
+      }
 
-        const contrastColors = this.getContrastColorsForRatio(targetRatio);
+      const digest = new Uint8Array(
+        await crypto.subtle.digest("SHA-256", buffer)
+      );
+      let binary = "";
+      digest.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+      });
 
-        const prevBgColor = this.currentBackgroundColor;
-        const prevTextColor = this.currentTextColor;
+      if (btoa(binary) !== entry.sha256) {
+        throw new Error(`${file} 完整性校验失败，文件可能已损坏或被篡改`);
+      }
+    }
+  }
 
-        this.currentBackgroundColor = contrastColors.background;
-        this.currentTextColor = contrastColors.text;
+  MediaPipeAssetLoader.prepared = null;
+
+  // ===== Worker推理后端 =====
+  // 距离计算所需的关键点：鼻尖、额头、下巴、两耳及虹膜(468-477)，以及面部特征所需的眼角、嘴角和鼻梁
+  const KEY_FACE_LANDMARKS = [
+    4, 10, 152, 234, 454, 468, 469, 470, 471, 472, 473, 474, 475, 476, 477, 33,
+    263, 133, 362, 61, 291, 168,
+  ];
+
+  // Worker脚本：运行与主线程相同的face_mesh。face_mesh在Worker中通过importScripts加载wasm加载器，
+  // 并从createMediapipeSolutionsPackedAssets读取locateFile，所有文件都使用主线程准备好的URL
+  const FACE_MESH_WORKER_SOURCE = `
+    var faceMesh = null;
+    var files = {};
+    var keepLandmarks = [];
+    var fullLandmarks = false;
+    var reader = null;
+    var latestFaces = [];
+
+    function locateFile(file) {
+      return files[file] || file;
+    }
 
-        console.log(
-          `🎨 [CONTRAST] Color change: bg ${prevBgColor} → ${this.currentBackgroundColor}, text ${prevTextColor} → ${this.currentTextColor}`
-        );
-        console.log(
-          `🎨 [CONTRAST] Smooth contrast: ${contrastColors.ratio.toFixed(
-            2
-          )}:1 (target: ${targetRatio.toFixed(2)}:1)`
-        );
+    function compactLandmarks(landmarks) {
+      if (fullLandmarks) return landmarks;
 
-        this.updateContrast();
+      var compact = { length: landmarks.length };
+      keepLandmarks.forEach(function (index) {
+        var point = landmarks[index];
+        if (point) {
+          compact[index] = { x: point.x, y: point.y, z: point.z };
+        }
+      });
+      return compact;
+    }
+
+    // 主线程转交了视频轨道时由Worker自行取最新一帧
+    async function readTrackFrame() {
+      if (!reader) throw new Error("未收到视频轨道");
+      var chunk = await reader.read();
+      if (chunk.done) throw new Error("视频轨道已结束");
+      try {
+        return await createImageBitmap(chunk.value);
+      } finally {
+        chunk.value.close();
       }
+    }
 
-      if (Date.now() % 2000 < 50) {
-        const logMessages = [];
-        if (this.isDynamicFontEnabled) {
-          logMessages.push(`Font: ${this.currentFontSize.toFixed(1)}px`);
-        }
-        if (this.isDynamicContrastEnabled) {
-          logMessages.push(
-            `Contrast: ${this.currentBackgroundColor} / ${this.currentTextColor}`
-          );
+    self.onmessage = async function (event) {
+      var message = event.data;
+
+      if (message.type === "init") {
+        try {
+          files = message.files;
+          keepLandmarks = message.keepLandmarks;
+          fullLandmarks = message.fullLandmarks;
+          self.createMediapipeSolutionsPackedAssets = { locateFile: locateFile };
+          importScripts(files["face_mesh.js"]);
+          faceMesh = new FaceMesh({ locateFile: locateFile });
+          faceMesh.setOptions(message.options);
+          faceMesh.onResults(function (results) {
+            latestFaces = (results.multiFaceLandmarks || []).map(compactLandmarks);
+            if (results.image && results.image.close) results.image.close();
+          });
+          await faceMesh.initialize();
+          self.postMessage({ type: "ready" });
+        } catch (error) {
+          self.postMessage({ type: "error", message: String(error && error.message || error) });
         }
-        if (logMessages.length > 0) {
-          console.log(
-            `📊 [SUMMARY] ${logMessages.join(
-              ", "
-            )} (offset: ${distanceData.offset.toFixed(1)})`
-          );
+      } else if (message.type === "landmarks") {
+        fullLandmarks = message.full;
+      } else if (message.type === "track") {
+        if (reader) reader.cancel();
+        reader = message.readable.getReader();
+      } else if (message.type === "frame") {
+        var frame = message.frame;
+        try {
+          if (!frame) frame = await readTrackFrame();
+          latestFaces = [];
+          await faceMesh.send({ image: frame });
+          self.postMessage({
+            type: "result",
+            id: message.id,
+            width: frame.width,
+            height: frame.height,
+            faces: latestFaces,
+          });
+        } catch (error) {
+          self.postMessage({ type: "result", id: message.id, error: String(error && error.message || error) });
+        } finally {
+          if (frame) frame.close();
         }
+      } else if (message.type === "close") {
+        if (reader) reader.cancel();
+        if (faceMesh) faceMesh.close();
+        self.close();
       }
+    };
+  `;
+
+  // 与FaceMesh保持相同接口(setOptions/onResults/initialize/send/close)，检测器无需区分推理位置；
+  // 另有onError：Worker运行中崩溃或某帧超过frameTimeout仍无结果时调用
+  class FaceMeshWorkerBackend {
+    constructor(files, { frameTimeout = 5000 } = {}) {
+      this.files = files; // 文件名 → 已校验的URL
+      this.options = {};
+      this.fullLandmarks = false;
+      this.track = null; // 已转交给Worker的视频轨道
+      this.trackTransfer = typeof MediaStreamTrackProcessor === "function";
+      this.worker = null;
+      this.workerUrl = null;
+      this.resultsCallback = () => {};
+      this.errorCallback = () => {};
+      this.pendingFrames = new Map(); // id → { resolve, reject, timer }
+      this.frameId = 0;
+      this.frameTimeout = frameTimeout;
     }
 
-    handleStableFontAdjustment(distance) {
-      console.log(
-        `🔍 [FONT-ADJ] Starting font adjustment: distance=${distance}, lastStableDistance=${this.lastStableDistance}`
-      );
+    setOptions(options) {
+      this.options = { ...this.options, ...options };
+    }
 
-      // 死区逻辑：检查是否在死区范围内
-      const distanceFromDeadZoneCenter = Math.abs(
-        distance - this.deadZoneCenter
-      );
-      const currentTime = Date.now();
+    onResults(callback) {
+      this.resultsCallback = callback;
+    }
 
-      console.log(
-        `⚡ [DEADZONE] Distance=${distance.toFixed(
-          2
-        )}, DeadZoneCenter=${this.deadZoneCenter.toFixed(
-          2
-        )}, DistanceFromCenter=${distanceFromDeadZoneCenter.toFixed(
-          2
-        )}, DeadZoneRadius=${this.deadZoneRadius}`
-      );
+    onError(callback) {
+      this.errorCallback = callback;
+    }
 
-      // 如果在死区内，不进行字体调整
-      if (distanceFromDeadZoneCenter <= this.deadZoneRadius) {
-        console.log(
-          `🚫 [DEADZONE] Distance within dead zone (${distanceFromDeadZoneCenter.toFixed(
-            2
-          )} <= ${this.deadZoneRadius}), skipping adjustment`
-        );
-        return;
+    setFullLandmarks(enabled) {
+      this.fullLandmarks = enabled;
+      if (this.worker) {
+        this.worker.postMessage({ type: "landmarks", full: enabled });
       }
+    }
 
-      // 更新死区中心（如果距离变化稳定一段时间）
-      if (currentTime - this.lastDistanceChangeTime > this.deadZoneStableTime) {
-        const oldCenter = this.deadZoneCenter;
-        this.deadZoneCenter = distance;
-        console.log(
-          `🎯 [DEADZONE] Updated dead zone center: ${oldCenter.toFixed(
-            2
-          )} → ${this.deadZoneCenter.toFixed(2)}`
+    initialize() {
+      return new Promise((resolve, reject) => {
+        const blob = new Blob([FACE_MESH_WORKER_SOURCE], {
+          type: "text/javascript",
+        });
+        this.workerUrl = URL.createObjectURL(blob);
+        this.worker = new Worker(this.workerUrl);
+
+        const timeout = setTimeout(
+          () => reject(new Error("Worker模型加载超时")),
+          30000
         );
-      }
-      this.lastDistanceChangeTime = currentTime;
 
-      const distanceChange = Math.abs(distance - this.lastStableDistance);
-      console.log(
-        `🔍 [FONT-ADJ] Distance change: ${distanceChange}, threshold: ${this.fontChangeThreshold}`
-      );
+        this.worker.onerror = (event) => {
+          clearTimeout(timeout);
+          reject(new Error(event.message || "Worker启动失败"));
+        };
 
-      if (distanceChange >= this.fontChangeThreshold) {
-        console.log(
-          `✅ [FONT-ADJ] Distance change sufficient, calculating new font size...`
-        );
+        this.worker.onmessage = (event) => {
+          const message = event.data;
+          if (message.type === "ready") {
+            clearTimeout(timeout);
+            // 初始化之后的错误不再有初始化Promise可以拒绝
+            this.worker.onerror = (errorEvent) => {
+              errorEvent.preventDefault();
+              this.fail(new Error(errorEvent.message || "Worker已崩溃"));
+            };
+            resolve();
+          } else if (message.type === "error") {
+            clearTimeout(timeout);
+            reject(new Error(message.message));
+          } else if (message.type === "result") {
+            this.handleResult(message);
+          }
+        };
 
-        const fontSizeMultiplier = this.calculateFontSizeMultiplier(distance);
-        console.log(
-          `🔍 [FONT-ADJ] Font multiplier: ${fontSizeMultiplier}, baseFontSize: ${this.baseFontSize}`
-        );
+        this.worker.postMessage({
+          type: "init",
+          files: this.files,
+          options: this.options,
+          keepLandmarks: KEY_FACE_LANDMARKS,
+          fullLandmarks: this.fullLandmarks,
+        });
+      });
+    }
+
+    // 由Worker从视频轨道取帧，或在主线程采集为ImageBitmap并转移所有权给Worker；
+    // 待结果返回后resolve，保持与FaceMesh.send相同的背压
+    async send({ image }) {
+      if (!this.worker) return;
+
+      const frame = this.transferTrack(image)
+        ? null
+        : await createImageBitmap(image);
+      const id = ++this.frameId;
 
-        const newFontSize = Math.max(
-          12,
-          Math.min(32, this.baseFontSize * fontSizeMultiplier)
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(
+          () => this.fail(new Error("Worker推理无响应")),
+          this.frameTimeout
         );
-        console.log(
-          `🔍 [FONT-ADJ] New font size calculated: ${newFontSize}, current: ${this.currentFontSize}`
+        this.pendingFrames.set(id, { resolve, reject, timer });
+        this.worker.postMessage(
+          { type: "frame", id, frame },
+          frame ? [frame] : []
         );
+      });
+    }
 
-        const fontSizeChange = Math.abs(newFontSize - this.currentFontSize);
-        console.log(
-          `🔍 [FONT-ADJ] Font size change: ${fontSizeChange}, minimum required: 0.2`
+    // 支持MediaStreamTrackProcessor时把视频轨道的帧流转交Worker（每次换摄像头重新转交），
+    // 主线程不再逐帧采集；不支持时返回false，由send在主线程采集
+    transferTrack(video) {
+      if (!this.trackTransfer || !video.srcObject) return false;
+
+      const [track] = video.srcObject.getVideoTracks();
+      if (!track) return false;
+      if (track === this.track) return true;
+
+      try {
+        const processor = new MediaStreamTrackProcessor({
+          track,
+          maxBufferSize: 1, // 只保留最新一帧
+        });
+        this.worker.postMessage(
+          { type: "track", readable: processor.readable },
+          [processor.readable]
         );
+      } catch (error) {
+        // 不能转移ReadableStream的浏览器
+        console.warn("⚠️ 无法在Worker中取帧，改为主线程采集:", error);
+        this.trackTransfer = false;
+        return false;
+      }
+      this.track = track;
+      return true;
+    }
 
-        if (fontSizeChange >= 0.2) {
-          console.log(
-            `✅ [FONT-ADJ] Font size change sufficient, updating font...`
-          );
-          this.currentFontSize = newFontSize;
-          this.updateFontSize();
+    handleResult(message) {
+      const pending = this.pendingFrames.get(message.id);
+      this.pendingFrames.delete(message.id);
+      if (pending) clearTimeout(pending.timer);
 
-          this.lastStableDistance = distance;
+      if (message.error) {
+        console.error("❌ Worker推理出错:", message.error);
+      } else {
+        this.resultsCallback({
+          multiFaceLandmarks: message.faces,
+          image: { width: message.width, height: message.height },
+        });
+      }
 
-          const fontSizeDisplay = document.getElementById(
-            "currentFontSizeDisplay"
-          );
-          if (fontSizeDisplay) {
-            fontSizeDisplay.textContent = `${this.currentFontSize.toFixed(
-              1
-            )}px`;
-          }
+      if (pending) pending.resolve();
+    }
 
-          console.log(
-            `📝 [FONT] Font size updated to: ${this.currentFontSize.toFixed(
-              1
-            )}px (distance change: ${distanceChange.toFixed(2)}, threshold: ${
-              this.fontChangeThreshold
-            })`
-          );
-        } else {
-          console.log(
-            `❌ [FONT-ADJ] Font size change too small (${fontSizeChange}), skipping update`
-          );
-        }
+    // 拒绝所有等待中的帧并关闭Worker，由检测器决定如何恢复
+    fail(error) {
+      if (!this.worker) return;
+
+      console.error("❌ Worker推理失效:", error);
+      this.pendingFrames.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      this.pendingFrames.clear();
+      this.close();
+      this.errorCallback(error);
+    }
+
+    async close() {
+      if (this.worker) {
+        this.worker.postMessage({ type: "close" });
+        this.worker = null;
+      }
+      this.track = null;
+      if (this.workerUrl) {
+        URL.revokeObjectURL(this.workerUrl);
+        this.workerUrl = null;
+      }
+      this.pendingFrames.forEach(({ resolve, timer }) => {
+        clearTimeout(timer);
+        resolve();
+      });
+      this.pendingFrames.clear();
+    }
+  }
+
+  // ===== 轨迹回放 =====
+  // 把录制的人脸指标按原始时间间隔（可加速）送入一个不开摄像头的检测器，
+  // 复用同一套平滑与距离计算；时间戳取自轨迹，因此结果可重复
+  class TraceReplaySource extends DistanceSource {
+    constructor(trace, { speed = 1 } = {}) {
+      super();
+      if (
+        !trace ||
+        trace.version !== TRACE_FORMAT_VERSION ||
+        !Array.isArray(trace.frames) ||
+        trace.frames.length === 0
+      ) {
+        throw new Error("无效的轨迹文件");
+      }
+
+      this.trace = trace;
+      this.speed = speed; // Infinity表示尽快回放
+      this.index = 0;
+      this.timer = null;
+      this.running = false;
+
+      this.detector = new MediaPipeDistanceDetector({
+        ...trace.config,
+        adaptiveFps: false,
+        disableCamera: true,
+      });
+      if (trace.calibration && trace.calibration.isCalibrated !== false) {
+        this.detector.loadCalibration(trace.calibration);
+      }
+      ["distance", "face-found", "face-lost"].forEach((event) => {
+        this.detector.on(event, (data) => this.emit(event, data));
+      });
+    }
+
+    start() {
+      if (this.running) return;
+
+      this.running = true;
+      console.log(
+        `▶️ [TRACE] Replaying ${this.trace.frames.length} frames at ${this.speed}x`
+      );
+      this.step();
+    }
+
+    step() {
+      const frames = this.trace.frames;
+      const realtime = Number.isFinite(this.speed);
+      const batchSize = realtime ? 1 : 200;
+
+      for (let i = 0; i < batchSize && this.index < frames.length; i++) {
+        this.feed(frames[this.index++]);
+        if (!this.running) return; // 监听器中途停止了回放
+      }
+
+      if (this.index >= frames.length) {
+        this.finish(true);
+        return;
+      }
+
+      const delay = realtime
+        ? Math.max(0, frames[this.index].t - frames[this.index - 1].t) /
+          this.speed
+        : 0;
+      this.timer = setTimeout(() => this.step(), delay);
+    }
+
+    feed(frame) {
+      if (frame.metrics) {
+        this.detector.processFaceMetrics({ ...frame.metrics }, frame.faceCount);
       } else {
-        console.log(
-          `❌ [FONT-ADJ] Distance change too small (${distanceChange}), skipping adjustment`
-        );
+        this.detector.handleNoFaceDetected(frame.t);
       }
     }
 
-    injectDynamicFontCSS(fontSize) {
-      // 移除之前的动态字体样式
-      const existingStyle = document.getElementById("dynamic-font-style");
-      if (existingStyle) {
-        existingStyle.remove();
+    stop() {
+      if (this.running) {
+        this.finish(false);
       }
+    }
 
-      // 创建新的动态字体样式，使用最高优先级
-      const style = document.createElement("style");
-      style.id = "dynamic-font-style";
-      style.textContent = `
-        /* 动态字体样式 - 最高优先级 */
-        #readingArticleContent,
-        #readingArticleContent *,
-        .reading-article-content,
-        .reading-article-content * {
-          font-size: ${fontSize}px !important;
-        }
-        
-        /* 特别针对常见文本元素 */
-        #readingArticleContent p,
-        #readingArticleContent span,
-        #readingArticleContent div,
-        #readingArticleContent a,
-        #readingArticleContent strong,
-        #readingArticleContent em,
-        #readingArticleContent b,
-        #readingArticleContent i,
-        .reading-article-content p,
-        .reading-article-content span,
-        .reading-article-content div,
-        .reading-article-content a,
-        .reading-article-content strong,
-        .reading-article-content em,
-        .reading-article-content b,
-        .reading-article-content i {
-          font-size: ${fontSize}px !important;
-        }
-        
-        /* 标题元素使用相对比例 */
-        #readingArticleContent h1,
-        .reading-article-content h1 {
-          font-size: ${fontSize * 1.5}px !important;
-        }
-        
-        #readingArticleContent h2,
-        .reading-article-content h2 {
-          font-size: ${fontSize * 1.3}px !important;
-        }
-        
-        #readingArticleContent h3,
-        .reading-article-content h3 {
-          font-size: ${fontSize * 1.1}px !important;
+    finish(completed) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.running = false;
+      console.log(`⏹️ [TRACE] Replay ${completed ? "finished" : "stopped"}`);
+      this.emit("end", { completed, framesPlayed: this.index });
+    }
+  }
+
+  // ===== 调试叠加层 =====
+  // 在视频上绘制人脸网格、calculateFaceMetrics使用的关键点、校准框及实时数值
+  const DEBUG_KEY_LANDMARKS = [234, 454, 10, 152]; // 左耳、右耳、额头、下巴
+
+  class DebugOverlay {
+    constructor(container) {
+      this.canvas = document.createElement("canvas");
+      this.canvas.className = "debug-overlay-canvas";
+      this.ctx = this.canvas.getContext("2d");
+      this.stats = document.createElement("div");
+      this.stats.className = "debug-overlay-stats";
+      container.appendChild(this.canvas);
+      container.appendChild(this.stats);
+    }
+
+    render(frame, calibrationFrame) {
+      const { canvas, ctx } = this;
+      if (
+        canvas.width !== frame.imageWidth ||
+        canvas.height !== frame.imageHeight
+      ) {
+        canvas.width = frame.imageWidth;
+        canvas.height = frame.imageHeight;
+      }
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+      this.drawCalibrationFrame(calibrationFrame, frame.alignmentStatus);
+
+      if (frame.landmarks) {
+        // drawing_utils和网格连线由@require提供，缺失时只画关键点
+        if (
+          typeof drawConnectors === "function" &&
+          typeof FACEMESH_TESSELATION !== "undefined"
+        ) {
+          drawConnectors(ctx, frame.landmarks, FACEMESH_TESSELATION, {
+            color: "rgba(0, 200, 255, 0.35)",
+            lineWidth: 1,
+          });
         }
-        
-        #readingArticleContent h4,
-        #readingArticleContent h5,
-        #readingArticleContent h6,
-        .reading-article-content h4,
-        .reading-article-content h5,
-        .reading-article-content h6 {
-          font-size: ${fontSize}px !important;
+
+        const keyPoints = DEBUG_KEY_LANDMARKS.map(
+          (index) => frame.landmarks[index]
+        );
+        if (typeof drawLandmarks === "function") {
+          drawLandmarks(ctx, keyPoints, {
+            color: "#ff4081",
+            fillColor: "#ffffff",
+            lineWidth: 2,
+            radius: 4,
+          });
         }
-      `;
 
-      // 插入到head中，确保高优先级
-      document.head.appendChild(style);
+        // 耳间连线即用于估算距离的脸宽
+        ctx.strokeStyle = "#ff4081";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(
+          keyPoints[0].x * canvas.width,
+          keyPoints[0].y * canvas.height
+        );
+        ctx.lineTo(
+          keyPoints[1].x * canvas.width,
+          keyPoints[1].y * canvas.height
+        );
+        ctx.stroke();
+      }
 
-      console.log(
-        `🎨 [FONT] Injected dynamic CSS with font-size: ${fontSize}px`
-      );
+      this.renderStats(frame);
     }
 
-    calculateFontSizeMultiplier(distance) {
-      const scale = 1.5;
-      const multiplier = 1 + (distance * scale * 0.8) / 100;
-      const result = Math.max(0.6, Math.min(2.5, multiplier));
+    // 目标框大小对应targetFaceRatio，虚线框为人脸中心允许的偏移范围
+    drawCalibrationFrame(calibrationFrame, alignmentStatus) {
+      const { canvas, ctx } = this;
+      const { width, height, targetFaceRatio, positionTolerance } =
+        calibrationFrame;
+
+      const frameWidth = canvas.width * targetFaceRatio;
+      const frameHeight = frameWidth * (height / width);
+      ctx.strokeStyle =
+        alignmentStatus === "good" ? "#52c41a" : "rgba(255, 193, 7, 0.9)";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(
+        (canvas.width - frameWidth) / 2,
+        (canvas.height - frameHeight) / 2,
+        frameWidth,
+        frameHeight
+      );
 
-      console.log(
-        `📝 [FONT] Distance=${distance.toFixed(2)}, multiplier=${result.toFixed(
-          2
-        )} (${
-          distance > 0 ? "更远→更大" : distance < 0 ? "更近→更小" : "基准"
-        })`
+      ctx.save();
+      ctx.setLineDash([6, 4]);
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+      ctx.lineWidth = 1;
+      ctx.strokeRect(
+        canvas.width * (0.5 - positionTolerance / 2),
+        canvas.height * (0.5 - positionTolerance / 2),
+        canvas.width * positionTolerance,
+        canvas.height * positionTolerance
       );
+      ctx.restore();
+    }
 
-      return result;
+    renderStats(frame) {
+      const format = (value, digits = 1) =>
+        value == null || Number.isNaN(value) ? "--" : value.toFixed(digits);
+      const distance = frame.distanceData || {};
+
+      this.stats.textContent = [
+        `脸宽: ${format(frame.rawMetrics && frame.rawMetrics.faceWidth)}px`,
+        `平滑脸宽: ${format(frame.smoothedWidth)}px`,
+        `偏移: ${format(distance.offset, 2)}`,
+        `对齐: ${frame.alignmentStatus || "no-face"}`,
+        `人脸: ${frame.faceCount} · ${frame.fps}fps`,
+      ].join("\n");
     }
 
-    updateFontSize() {
-      console.log(
-        `🔍 [FONT] updateFontSize called with size: ${this.currentFontSize}px`
-      );
+    clear() {
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+      this.stats.textContent = "";
+    }
 
-      const contentElement = document.getElementById("readingArticleContent");
-      console.log(`🔍 [FONT] contentElement found:`, contentElement);
+    destroy() {
+      this.canvas.remove();
+      this.stats.remove();
+    }
+  }
 
-      if (contentElement) {
-        // 记录设置前的字体大小
-        const beforeSize = window.getComputedStyle(contentElement).fontSize;
-        console.log(
-          `🔍 [FONT] Before setting - computed fontSize: ${beforeSize}`
-        );
+  // ===== 诊断面板 =====
+  function downloadJSON(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 
-        // 设置容器的字体大小，使用多重策略强制覆盖网站CSS
-        contentElement.style.transition = "font-size 0.3s ease";
+  // 记录最近几分钟的逐帧数据，用于调整死区、阈值和平滑参数
+  class DiagnosticsRecorder {
+    constructor(maxAge = 5 * 60 * 1000) {
+      this.maxAge = maxAge;
+      this.samples = [];
+      this.lastFrameTime = null;
+      this.fps = 0;
+      this.latencyMs = null;
+    }
 
-        // 方法1: 直接设置style属性，最高优先级
-        contentElement.style.setProperty(
-          "font-size",
-          `${this.currentFontSize}px`,
-          "important"
-        );
+    recordTiming({ inferenceMs }) {
+      this.latencyMs = inferenceMs;
+    }
 
-        // 方法2: 设置所有文本元素的字体大小
-        const textElements = contentElement.querySelectorAll("*");
-        textElements.forEach((element) => {
-          // 只对文本元素设置字体大小，避免影响按钮等UI元素
-          const tagName = element.tagName.toLowerCase();
-          if (
-            [
-              "p",
-              "span",
-              "div",
-              "a",
-              "strong",
-              "em",
-              "b",
-              "i",
-              "small",
-              "label",
-              "li",
-              "h1",
-              "h2",
-              "h3",
-              "h4",
-              "h5",
-              "h6",
-            ].includes(tagName)
-          ) {
-            element.style.setProperty(
-              "font-size",
-              `${this.currentFontSize}px`,
-              "important"
-            );
-          }
-        });
-
-        // 方法3: 通过动态CSS规则强制覆盖
-        this.injectDynamicFontCSS(this.currentFontSize);
+    record(sample) {
+      if (this.lastFrameTime !== null && sample.t > this.lastFrameTime) {
+        const instantFps = 1000 / (sample.t - this.lastFrameTime);
+        this.fps = this.fps ? this.fps * 0.8 + instantFps * 0.2 : instantFps;
+      }
+      this.lastFrameTime = sample.t;
 
-        // 验证设置是否成功
-        setTimeout(() => {
-          const afterSize = window.getComputedStyle(contentElement).fontSize;
-          console.log(
-            `🔍 [FONT] After setting - computed fontSize: ${afterSize}`
-          );
-          console.log(
-            `🔍 [FONT] Element style fontSize: ${contentElement.style.fontSize}`
-          );
-        }, 50);
+      this.samples.push({
+        ...sample,
+        fps: Math.round(this.fps * 10) / 10,
+        latencyMs:
+          this.latencyMs === null ? null : Math.round(this.latencyMs * 10) / 10,
+      });
 
-        console.log(
-          `📝 [FONT] Updated font size to ${this.currentFontSize.toFixed(
-            1
-          )}px with !important`
-        );
-      } else {
-        console.error("❌ [FONT] readingArticleContent element not found!");
-        // 尝试查找其他可能的元素
-        const allElements = document.querySelectorAll(
-          '[id*="reading"], [class*="reading"], [id*="article"], [class*="article"]'
+      const cutoff = sample.t - this.maxAge;
+      if (this.samples[0].t < cutoff) {
+        this.samples.splice(
+          0,
+          this.samples.findIndex((item) => item.t >= cutoff)
         );
-        console.log("🔍 [FONT] Found reading/article elements:", allElements);
       }
+    }
 
-      // 更新字体大小显示
-      const fontSizeDisplay = document.getElementById("currentFontSizeDisplay");
-      if (fontSizeDisplay) {
-        fontSizeDisplay.textContent = `${this.currentFontSize.toFixed(1)}px`;
-      }
+    getSamples(windowMs) {
+      const cutoff = Date.now() - windowMs;
+      return this.samples.filter((sample) => sample.t >= cutoff);
     }
 
-    onDynamicFontError(error) {
-      console.error("Dynamic font error:", error);
-      this.onDynamicError(error);
+    clear() {
+      this.samples = [];
+      this.lastFrameTime = null;
+      this.fps = 0;
+      this.latencyMs = null;
+    }
+  }
+
+  const DIAGNOSTICS_CHARTS = [
+    {
+      title: "距离偏移",
+      series: [
+        { key: "rawOffset", label: "原始", color: "#bbbbbb" },
+        { key: "offset", label: "平滑", color: "#1890ff" },
+      ],
+    },
+    {
+      title: "字体大小(px)",
+      series: [{ key: "fontSize", label: "字体", color: "#fa8c16" }],
+    },
+    {
+      title: "对比度",
+      series: [{ key: "contrastRatio", label: "对比度", color: "#722ed1" }],
+    },
+    {
+      title: "检测帧率(fps)",
+      series: [{ key: "fps", label: "帧率", color: "#52c41a" }],
+    },
+    {
+      title: "推理耗时(ms)",
+      series: [{ key: "latencyMs", label: "耗时", color: "#f5222d" }],
+    },
+  ];
+
+  class DiagnosticsPanel {
+    constructor(recorder, getTuning) {
+      this.recorder = recorder;
+      this.getTuning = getTuning; // 导出时附带的当前参数
+      this.windowMs = 60 * 1000;
+      this.element = null;
+      this.renderTimer = null;
     }
 
-    updateDynamicFontStatus(status) {
-      const statusElement = document.querySelector(".dynamic-font-status");
-      if (statusElement) {
-        statusElement.textContent = `动态字体: ${status}`;
-      }
+    isOpen() {
+      return Boolean(this.element);
     }
 
-    async startDynamicContrast() {
-      if (!this.isDynamicContrastEnabled || !this.isReadingMode) return;
+    open() {
+      if (this.element) return;
+
+      this.element = document.createElement("div");
+      this.element.className = "diagnostics-panel";
+      this.element.innerHTML = `
+        <div class="diagnostics-header">
+          <span class="diagnostics-title">📈 诊断</span>
+          <select class="diagnostics-window-select">
+            <option value="60000">1分钟</option>
+            <option value="120000">2分钟</option>
+            <option value="300000">5分钟</option>
+          </select>
+          <button class="diagnostics-export-btn">导出JSON</button>
+          <button class="diagnostics-close-btn">×</button>
+        </div>
+        <div class="diagnostics-summary"></div>
+        ${DIAGNOSTICS_CHARTS.map(
+          (chart) => `
+          <div class="diagnostics-chart">
+            <div class="diagnostics-chart-title">
+              ${chart.title}
+              ${chart.series
+                .map(
+                  (series) =>
+                    `<span class="diagnostics-legend" style="color: ${series.color}">● ${series.label}</span>`
+                )
+                .join("")}
+            </div>
+            <canvas width="320" height="70"></canvas>
+          </div>`
+        ).join("")}
+      `;
+      document.body.appendChild(this.element);
 
-      console.log("🎨 [CONTRAST] Starting dynamic contrast adjustment");
+      const windowSelect = this.element.querySelector(
+        ".diagnostics-window-select"
+      );
+      windowSelect.value = String(this.windowMs);
+      windowSelect.addEventListener("change", (e) => {
+        this.windowMs = parseInt(e.target.value, 10);
+        this.render();
+      });
+      this.element
+        .querySelector(".diagnostics-export-btn")
+        .addEventListener("click", () => this.exportJSON());
+      this.element
+        .querySelector(".diagnostics-close-btn")
+        .addEventListener("click", () => this.close());
+
+      this.canvases = Array.from(this.element.querySelectorAll("canvas"));
+      this.summary = this.element.querySelector(".diagnostics-summary");
+      this.render();
+      this.renderTimer = setInterval(() => this.render(), 500);
+    }
 
-      this.currentBackgroundColor = this.baseBackgroundColor;
-      this.currentTextColor = this.baseTextColor;
+    close() {
+      clearInterval(this.renderTimer);
+      this.renderTimer = null;
+      if (this.element) {
+        this.element.remove();
+        this.element = null;
+      }
+    }
 
-      this.updateContrast();
+    render() {
+      if (!this.element) return;
 
-      if (!this.distanceDetector) {
-        try {
-          const calibrationData = CalibrationManager.getCalibration();
+      const samples = this.recorder.getSamples(this.windowMs);
+      const now = Date.now();
+      DIAGNOSTICS_CHARTS.forEach((chart, index) => {
+        this.drawChart(this.canvases[index], samples, chart.series, now);
+      });
 
-          if (!calibrationData) {
-            this.showCalibrationRequiredDialog();
-            return;
-          }
+      const last = samples[samples.length - 1];
+      this.summary.textContent = last
+        ? `帧率 ${last.fps} fps · 推理 ${
+            last.latencyMs === null ? "--" : last.latencyMs
+          } ms · ${samples.length} 个样本`
+        : "暂无数据，请在阅读模式中开启动态字体或对比度";
+    }
 
-          this.distanceDetector = new MediaPipeDistanceDetector({
-            onDistanceUpdate: (distance) => this.onDistanceUpdate(distance),
-            onError: (error) => this.onDynamicError(error),
-            onCalibrationFrameStatus: (status) => {
-              console.log(
-                "📊 [CONTRAST] Calibration frame status:",
-                status.status
-              );
-            },
-            smoothingWindow: 5,
-            minConfidence: 0.5,
-            disableCamera: false,
-            basePath: "https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/",
-          });
+    drawChart(canvas, samples, seriesList, now) {
+      const ctx = canvas.getContext("2d");
+      const { width, height } = canvas;
+      const padding = 4;
+      ctx.clearRect(0, 0, width, height);
+
+      const values = [];
+      samples.forEach((sample) =>
+        seriesList.forEach((series) => {
+          if (sample[series.key] != null) values.push(sample[series.key]);
+        })
+      );
+      if (values.length === 0) return;
 
-          await this.distanceDetector.initialize();
+      let min = Math.min(...values);
+      let max = Math.max(...values);
+      if (max - min < 1e-6) {
+        min -= 1;
+        max += 1;
+      }
 
-          const success = await this.distanceDetector.startCamera();
+      const x = (t) => ((t - (now - this.windowMs)) / this.windowMs) * width;
+      const y = (value) =>
+        height -
+        padding -
+        ((value - min) / (max - min)) * (height - padding * 2);
+
+      // 0刻度线（距离偏移图中即校准位置）
+      if (min < 0 && max > 0) {
+        ctx.strokeStyle = "rgba(0, 0, 0, 0.15)";
+        ctx.beginPath();
+        ctx.moveTo(0, y(0));
+        ctx.lineTo(width, y(0));
+        ctx.stroke();
+      }
 
-          if (success) {
-            this.distanceDetector.loadCalibration(calibrationData);
-            this.distanceDetector.startDetectionLoop();
-            console.log("✅ [CONTRAST] Dynamic contrast started successfully");
+      seriesList.forEach((series) => {
+        ctx.strokeStyle = series.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let drawing = false;
+        samples.forEach((sample) => {
+          const value = sample[series.key];
+          // 无数据（如未检测到人脸）时断开曲线
+          if (value == null) {
+            drawing = false;
+            return;
+          }
+          if (drawing) {
+            ctx.lineTo(x(sample.t), y(value));
           } else {
-            throw new Error("无法启动摄像头");
+            ctx.moveTo(x(sample.t), y(value));
+            drawing = true;
           }
-        } catch (error) {
-          console.error(
-            "❌ [CONTRAST] Dynamic contrast startup failed:",
-            error
-          );
-          this.onDynamicError(error);
-        }
-      }
+        });
+        ctx.stroke();
+      });
 
-      this.updateDynamicContrastStatus("运行中");
+      ctx.fillStyle = "#999";
+      ctx.font = "10px sans-serif";
+      ctx.fillText(max.toFixed(1), 2, 10);
+      ctx.fillText(min.toFixed(1), 2, height - 2);
     }
 
-    stopDynamicContrast() {
-      console.log("⏹️ Stopping dynamic contrast adjustment");
+    exportJSON() {
+      downloadJSON(
+        {
+          exportedAt: new Date().toISOString(),
+          userAgent: navigator.userAgent,
+          tuning: this.getTuning(),
+          samples: this.recorder.samples,
+        },
+        `reading-mode-diagnostics-${Date.now()}.json`
+      );
+    }
+  }
 
-      this.currentBackgroundColor = this.baseBackgroundColor;
-      this.currentTextColor = this.baseTextColor;
-      this.updateContrast();
-      this.updateDynamicContrastStatus("已停止");
+  // ===== 自适应曲线 =====
+  // 距离→字体倍数、距离→对比度的分段线性曲线。控制点 { offset, value } 按offset升序，
+  // offset与检测器的相对距离同单位（比校准位置远出的百分比），超出首末控制点时取端点值
+  const DEFAULT_ADAPTATION_CURVES = {
+    font: [
+      { offset: -33, value: 0.6 },
+      { offset: 0, value: 1 },
+      { offset: 50, value: 1.6 },
+      { offset: 125, value: 2.5 },
+    ],
+    contrast: [
+      { offset: -25, value: 3.5 },
+      { offset: 0, value: 6 },
+      { offset: 25, value: 9 },
+    ],
+  };
+
+  const ADAPTATION_CURVE_LIMITS = {
+    font: {
+      title: "距离 → 字体倍数",
+      minOffset: -60,
+      maxOffset: 150,
+      minValue: 0.5,
+      maxValue: 3,
+      color: "#fa8c16",
+    },
+    contrast: {
+      title: "距离 → 对比度",
+      minOffset: -60,
+      maxOffset: 150,
+      minValue: 2,
+      maxValue: 15,
+      color: "#722ed1",
+    },
+  };
+
+  class AdaptationCurve {
+    static evaluate(points, offset) {
+      const first = points[0];
+      const last = points[points.length - 1];
+      if (offset <= first.offset) return first.value;
+      if (offset >= last.offset) return last.value;
+
+      const index = points.findIndex((point) => point.offset > offset);
+      const a = points[index - 1];
+      const b = points[index];
+      return (
+        a.value +
+        ((offset - a.offset) / (b.offset - a.offset)) * (b.value - a.value)
+      );
+    }
 
-      // 只有当字体和对比度功能都被禁用时，才停止摄像头检测器
-      if (
-        !this.isDynamicFontEnabled &&
-        !this.isDynamicContrastEnabled &&
-        this.distanceDetector
-      ) {
-        console.log(
-          "🔴 [CONTRAST] Stopping camera detector (both features disabled)"
-        );
-        this.distanceDetector.stopCamera();
-        this.distanceDetector = null;
-      }
+    // 载入存储的曲线时约束到取值范围并排序，无效时返回null（使用默认曲线）
+    static normalize(points, limits) {
+      if (!Array.isArray(points)) return null;
+
+      const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+      const normalized = points
+        .filter(
+          (point) =>
+            point &&
+            Number.isFinite(point.offset) &&
+            Number.isFinite(point.value)
+        )
+        .map((point) => ({
+          offset: clamp(point.offset, limits.minOffset, limits.maxOffset),
+          value: clamp(point.value, limits.minValue, limits.maxValue),
+        }))
+        .sort((a, b) => a.offset - b.offset);
+
+      return normalized.length >= 2 ? normalized : null;
     }
+  }
 
-    calculateContrastAdjustment(distance) {
-      const scale = 2.0;
-      const normalizedDistance = (distance * scale) / 100;
+  // 拖动控制点编辑曲线，双击空白处添加、双击控制点删除；
+  // getPreview(curves, offset) 返回某一距离下的 { fontSize, background, text, ratio } 用于实时预览
+  class CurveEditor {
+    constructor({ curves, defaults, previewOffset, getPreview, onSave }) {
+      this.curves = {
+        font: curves.font.map((point) => ({ ...point })),
+        contrast: curves.contrast.map((point) => ({ ...point })),
+      };
+      this.defaults = defaults;
+      this.previewOffset = Math.round(previewOffset || 0);
+      this.getPreview = getPreview;
+      this.onSave = onSave;
+      this.element = null;
+      this.canvases = {};
+      this.dragging = null; // { kind, index }
+    }
+
+    open() {
+      this.element = document.createElement("div");
+      this.element.className = "calibration-dialog-overlay";
+      this.element.innerHTML = `
+        <div class="calibration-dialog-full curve-editor-dialog">
+          <div class="calibration-dialog-header">
+            <h3>📉 自适应曲线</h3>
+            <button class="calibration-close-btn">×</button>
+          </div>
+          <div class="calibration-dialog-body">
+            ${Object.keys(ADAPTATION_CURVE_LIMITS)
+              .map(
+                (kind) => `
+            <div class="curve-editor-chart">
+              <div class="control-label">${ADAPTATION_CURVE_LIMITS[kind].title}</div>
+              <canvas data-kind="${kind}" width="480" height="160"></canvas>
+            </div>`
+              )
+              .join("")}
+            <div class="control-hint">
+              横轴为比校准位置远出的百分比。拖动控制点调整曲线，双击空白处添加控制点，双击控制点将其删除
+            </div>
+            <div class="control-group curve-editor-preview-group">
+              <label class="control-label">预览距离</label>
+              <div class="slider-container">
+                <input type="range" class="slider curve-preview-slider" min="${
+                  ADAPTATION_CURVE_LIMITS.font.minOffset
+                }" max="${ADAPTATION_CURVE_LIMITS.font.maxOffset}" step="1" />
+                <span class="slider-value curve-preview-value"></span>
+              </div>
+              <div class="curve-preview">这是在该距离下的阅读效果预览</div>
+              <div class="control-hint curve-preview-info"></div>
+            </div>
+            <div class="ruler-buttons">
+              <button class="btn btn-secondary curve-reset-btn">恢复默认</button>
+              <button class="btn btn-secondary curve-cancel-btn">取消</button>
+              <button class="btn btn-primary curve-save-btn">保存</button>
+            </div>
+          </div>
+        </div>
+      `;
+      document.body.appendChild(this.element);
 
-      const minRatio = 3.5;
-      const maxRatio = 9.0;
-      const baseRatio = 6.0;
+      this.element.querySelectorAll("canvas").forEach((canvas) => {
+        const kind = canvas.dataset.kind;
+        this.canvases[kind] = canvas;
+        canvas.addEventListener("pointerdown", (e) =>
+          this.onPointerDown(kind, e)
+        );
+        canvas.addEventListener("pointermove", (e) =>
+          this.onPointerMove(kind, e)
+        );
+        canvas.addEventListener("pointerup", () => (this.dragging = null));
+        canvas.addEventListener("dblclick", (e) => this.onDoubleClick(kind, e));
+      });
 
-      let targetRatio;
-      if (normalizedDistance <= 0) {
-        const factor = Math.max(-1, normalizedDistance / 0.5);
-        targetRatio = baseRatio + (minRatio - baseRatio) * Math.abs(factor);
-      } else {
-        const factor = Math.min(1, normalizedDistance / 0.5);
-        targetRatio = baseRatio + (maxRatio - baseRatio) * factor;
-      }
+      this.previewSlider = this.element.querySelector(".curve-preview-slider");
+      this.previewValue = this.element.querySelector(".curve-preview-value");
+      this.previewBox = this.element.querySelector(".curve-preview");
+      this.previewInfo = this.element.querySelector(".curve-preview-info");
+      this.previewSlider.value = String(this.previewOffset);
+      this.previewSlider.addEventListener("input", (e) => {
+        this.previewOffset = Number(e.target.value);
+        this.render();
+      });
 
-      targetRatio = Math.max(minRatio, Math.min(maxRatio, targetRatio));
+      this.element
+        .querySelector(".curve-reset-btn")
+        .addEventListener("click", () => {
+          this.curves = {
+            font: this.defaults.font.map((point) => ({ ...point })),
+            contrast: this.defaults.contrast.map((point) => ({ ...point })),
+          };
+          this.render();
+        });
+      this.element
+        .querySelector(".curve-save-btn")
+        .addEventListener("click", () => {
+          this.onSave(this.curves);
+          this.close();
+        });
+      this.element
+        .querySelector(".curve-cancel-btn")
+        .addEventListener("click", () => this.close());
+      this.element
+        .querySelector(".calibration-close-btn")
+        .addEventListener("click", () => this.close());
+      this.element.addEventListener("click", (e) => {
+        if (e.target === this.element) this.close();
+      });
 
-      console.log(
-        `🔢 [CONTRAST] Smooth calculation: distance=${distance.toFixed(
-          2
-        )}, normalized=${normalizedDistance.toFixed(
-          2
-        )}, targetRatio=${targetRatio.toFixed(2)}:1`
-      );
+      this.render();
+    }
 
-      return targetRatio;
+    close() {
+      if (this.element) {
+        this.element.remove();
+        this.element = null;
+      }
     }
 
-    updateContrast() {
-      if (!this.isReadingMode) return;
+    // 画布坐标与曲线坐标的换算，四周留出刻度文字的空间
+    getScale(kind) {
+      const canvas = this.canvases[kind];
+      const limits = ADAPTATION_CURVE_LIMITS[kind];
+      const left = 32;
+      const right = canvas.width - 8;
+      const top = 8;
+      const bottom = canvas.height - 18;
 
-      const container = document.querySelector(".reading-mode-container");
-      if (!container) {
-        console.log("🔍 [CONTRAST] Container not found");
-        return;
-      }
+      return {
+        left,
+        right,
+        top,
+        bottom,
+        x: (offset) =>
+          left +
+          ((offset - limits.minOffset) /
+            (limits.maxOffset - limits.minOffset)) *
+            (right - left),
+        y: (value) =>
+          bottom -
+          ((value - limits.minValue) / (limits.maxValue - limits.minValue)) *
+            (bottom - top),
+        offset: (x) =>
+          limits.minOffset +
+          ((x - left) / (right - left)) * (limits.maxOffset - limits.minOffset),
+        value: (y) =>
+          limits.minValue +
+          ((bottom - y) / (bottom - top)) * (limits.maxValue - limits.minValue),
+      };
+    }
 
-      console.log(
-        "🎨 [CONTRAST] Updating contrast:",
-        this.currentBackgroundColor,
-        this.currentTextColor
-      );
+    getCanvasPoint(kind, e) {
+      const canvas = this.canvases[kind];
+      const rect = canvas.getBoundingClientRect();
+      return {
+        x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+        y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+      };
+    }
 
-      // First update the main container itself
-      container.style.setProperty(
-        "background-color",
-        this.currentBackgroundColor,
-        "important"
-      );
-      container.style.setProperty(
-        "background",
-        this.currentBackgroundColor,
-        "important"
+    findPoint(kind, position) {
+      const scale = this.getScale(kind);
+      return this.curves[kind].findIndex(
+        (point) =>
+          Math.hypot(
+            scale.x(point.offset) - position.x,
+            scale.y(point.value) - position.y
+          ) <= 8
       );
+    }
 
-      const backgroundElements = [
-        ".reading-mode-header",
-        ".reading-mode-content",
-        ".reading-mode-footer",
-      ];
+    onPointerDown(kind, e) {
+      const index = this.findPoint(kind, this.getCanvasPoint(kind, e));
+      if (index === -1) return;
+      this.dragging = { kind, index };
+      this.canvases[kind].setPointerCapture(e.pointerId);
+    }
 
-      console.log(`🎨 [CONTRAST] Updating container and child elements`);
+    // 控制点只能在相邻两点之间移动，保持offset升序
+    onPointerMove(kind, e) {
+      if (!this.dragging || this.dragging.kind !== kind) return;
+
+      const points = this.curves[kind];
+      const { index } = this.dragging;
+      const limits = ADAPTATION_CURVE_LIMITS[kind];
+      const scale = this.getScale(kind);
+      const position = this.getCanvasPoint(kind, e);
+
+      const minOffset =
+        index > 0 ? points[index - 1].offset + 1 : limits.minOffset;
+      const maxOffset =
+        index < points.length - 1
+          ? points[index + 1].offset - 1
+          : limits.maxOffset;
+
+      points[index] = {
+        offset: Math.round(
+          Math.max(minOffset, Math.min(maxOffset, scale.offset(position.x)))
+        ),
+        value:
+          Math.round(
+            Math.max(
+              limits.minValue,
+              Math.min(limits.maxValue, scale.value(position.y))
+            ) * 100
+          ) / 100,
+      };
+      this.render();
+    }
 
-      backgroundElements.forEach((selector) => {
-        const elements = container.querySelectorAll(selector);
-        console.log(
-          `🎨 [CONTRAST] Updating ${elements.length} elements for ${selector}`
+    onDoubleClick(kind, e) {
+      const points = this.curves[kind];
+      const position = this.getCanvasPoint(kind, e);
+      const index = this.findPoint(kind, position);
+
+      if (index !== -1) {
+        if (points.length > 2) points.splice(index, 1);
+      } else {
+        const normalized = AdaptationCurve.normalize(
+          [
+            ...points,
+            {
+              offset: Math.round(this.getScale(kind).offset(position.x)),
+              value: AdaptationCurve.evaluate(
+                points,
+                this.getScale(kind).offset(position.x)
+              ),
+            },
+          ],
+          ADAPTATION_CURVE_LIMITS[kind]
         );
-        elements.forEach((element) => {
-          element.style.setProperty(
-            "background-color",
-            this.currentBackgroundColor,
-            "important"
-          );
-          element.style.setProperty(
-            "background",
-            this.currentBackgroundColor,
-            "important"
-          );
-        });
-      });
+        // 与已有控制点重合时不添加
+        if (
+          new Set(normalized.map((point) => point.offset)).size ===
+          normalized.length
+        ) {
+          this.curves[kind] = normalized;
+        }
+      }
+      this.render();
+    }
 
-      const textElements = [
-        ".reading-mode-title",
-        ".reading-mode-close-btn",
-        ".reading-mode-header",
-        ".reading-mode-header *",
-        ".reading-article-content",
-        ".reading-article-content *",
-        ".reading-mode-footer",
-        ".reading-mode-footer *",
-        ".reading-mode-info",
-        ".reading-mode-info-left",
-        ".reading-mode-info-right",
-        ".font-size-info",
-        ".word-count-info",
-        ".reading-time-info",
-        ".dynamic-font-status",
-        ".dynamic-contrast-status",
-      ];
+    render() {
+      if (!this.element) return;
+
+      Object.keys(this.canvases).forEach((kind) => this.drawCurve(kind));
+
+      const preview = this.getPreview(this.curves, this.previewOffset);
+      this.previewValue.textContent = `${this.previewOffset > 0 ? "+" : ""}${
+        this.previewOffset
+      }%`;
+      this.previewBox.style.fontSize = `${preview.fontSize}px`;
+      this.previewBox.style.background = preview.background;
+      this.previewBox.style.color = preview.text;
+      this.previewInfo.textContent = `字体 ${preview.fontSize.toFixed(
+        1
+      )}px · 对比度 ${preview.ratio.toFixed(1)}:1`;
+    }
 
-      textElements.forEach((selector) => {
-        const elements = container.querySelectorAll(selector);
-        console.log(
-          `🔤 [CONTRAST] Updating text for ${elements.length} elements: ${selector}`
-        );
-        elements.forEach((element) => {
-          element.style.setProperty(
-            "color",
-            this.currentTextColor,
-            "important"
-          );
-        });
+    drawCurve(kind) {
+      const canvas = this.canvases[kind];
+      const ctx = canvas.getContext("2d");
+      const limits = ADAPTATION_CURVE_LIMITS[kind];
+      const scale = this.getScale(kind);
+      const points = this.curves[kind];
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+      // 校准位置（offset为0）与预览距离
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = "rgba(0, 0, 0, 0.15)";
+      ctx.beginPath();
+      ctx.moveTo(scale.x(0), scale.top);
+      ctx.lineTo(scale.x(0), scale.bottom);
+      ctx.moveTo(scale.left, scale.bottom);
+      ctx.lineTo(scale.right, scale.bottom);
+      ctx.stroke();
+      ctx.strokeStyle = "rgba(24, 144, 255, 0.5)";
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.moveTo(scale.x(this.previewOffset), scale.top);
+      ctx.lineTo(scale.x(this.previewOffset), scale.bottom);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      ctx.strokeStyle = limits.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(scale.left, scale.y(points[0].value));
+      points.forEach((point) =>
+        ctx.lineTo(scale.x(point.offset), scale.y(point.value))
+      );
+      ctx.lineTo(scale.right, scale.y(points[points.length - 1].value));
+      ctx.stroke();
+
+      ctx.fillStyle = limits.color;
+      points.forEach((point) => {
+        ctx.beginPath();
+        ctx.arc(scale.x(point.offset), scale.y(point.value), 5, 0, Math.PI * 2);
+        ctx.fill();
       });
 
-      const allElements = container.querySelectorAll("*");
-      console.log(
-        `🔤 [CONTRAST] Updating ${allElements.length} total child elements`
+      ctx.fillStyle = "#999";
+      ctx.font = "10px sans-serif";
+      ctx.fillText(limits.maxValue.toFixed(1), 2, scale.top + 8);
+      ctx.fillText(limits.minValue.toFixed(1), 2, scale.bottom);
+      ctx.fillText(`${limits.minOffset}%`, scale.left, canvas.height - 4);
+      ctx.fillText("0", scale.x(0) - 3, canvas.height - 4);
+      ctx.fillText(
+        `+${limits.maxOffset}%`,
+        scale.right - 34,
+        canvas.height - 4
       );
-      allElements.forEach((element) => {
-        if (
+    }
+  }
+
+  // ===== 阅读模式管理器 =====
+  // 手动距离的姿势预设，offset与检测器的相对距离同单位（比校准位置远出的百分比）
+  const MANUAL_DISTANCE_PRESETS = [
+    { id: "desk", icon: "🪑", label: "书桌", offset: 0 },
+    { id: "sofa", icon: "🛋️", label: "沙发", offset: 60 },
+    { id: "standing", icon: "🧍", label: "站立", offset: 30 },
+  ];
+  const MANUAL_DISTANCE_RANGE = { min: -40, max: 100, step: 10 };
+
+  // 调整节奏预设：死区半径与稳定时间、触发调整的距离变化阈值、字号最小变化（px），
+  // 以及离开死区后需在新位置停留多久字体才跟随（settleTime，毫秒，0为立即跟随）。
+  // "均衡"即原有的默认行为；对画面变化敏感的读者可选"平稳"，希望即时响应的选"灵敏"
+  const ADAPTATION_BEHAVIOR_PRESETS = {
+    calm: {
+      deadZoneRadius: 5,
+      deadZoneStableTime: 2500,
+      fontChangeThreshold: 2,
+      minFontSizeChange: 1,
+      settleTime: 1500,
+    },
+    balanced: {
+      deadZoneRadius: 2,
+      deadZoneStableTime: 1000,
+      fontChangeThreshold: 0.5,
+      minFontSizeChange: 0.2,
+      settleTime: 0,
+    },
+    responsive: {
+      deadZoneRadius: 1,
+      deadZoneStableTime: 400,
+      fontChangeThreshold: 0.2,
+      minFontSizeChange: 0.1,
+      settleTime: 0,
+    },
+  };
+
+  const MAX_DISMISSED_WARNINGS = 50; // 只保留最近忽略的校准提示
+
+  class ReadingModeManager {
+    constructor() {
+      this.isReadingMode = false;
+      this.isDynamicFontEnabled = false;
+      this.isDynamicContrastEnabled = false;
+      this.isAbsoluteDistanceEnabled = false;
+      this.detectionFps = 15;
+      this.faceSelection = "primary"; // 多人同时出现时跟踪哪张脸
+      this.distanceSource = "camera"; // "camera" | "manual" | "external"
+      // 正在使用的距离来源，按类型共享：{ [kind]: { source, features, subscriptions } }
+      this.distanceSources = {};
+      this.manualDistanceOffset = 0;
+      this.manualDistanceControl = null;
+      this.externalDistance = {}; // 外部距离来源设置 { transport, url }
+      this.isWorkerInferenceEnabled = false;
+      this.isDebugOverlayEnabled = false;
+      this.debugPreview = null;
+      this.diagnostics = new DiagnosticsRecorder();
+      this.diagnosticsPanel = null;
+      this.adaptationCurves = { font: null, contrast: null }; // 档案中自定义的曲线
+      this.traceReplay = null;
+      this.traceReplaySpeed = 1;
+      this.calibrationWarning = null;
+      this.profileMatchSamples = null; // 自动选择档案时收集的人脸特征
+      this.currentContrastRatio = null;
+      this.mediapipeAssets = {};
+      this.distanceDetector = null; // 摄像头来源运行时的共享检测器，见DistanceDetectorService
+      this.originalContent = null;
+      this.readingContainer = null;
+      this.floatingButton = null;
+      this.floatingMenu = null;
+
+      this.baseFontSize = 16;
+      this.currentFontSize = 16;
+
+      this.baseBackgroundColor = "#FBF0D9";
+      this.baseTextColor = "#5F4B32";
+      this.currentBackgroundColor = "#FBF0D9";
+      this.currentTextColor = "#5F4B32";
+
+      this.startTime = null;
+      this.timerInterval = null;
+      this.timerElement = null;
+
+      this.lastStableDistance = 0;
+      this.fontChangeThreshold = 0.5; // 降低阈值使字体变化更灵敏
+      this.minFontSizeChange = 0.2; // 字号变化小于此值（px）时不更新
+      this.behaviorPreset = "balanced"; // 见ADAPTATION_BEHAVIOR_PRESETS，或"custom"
+      this.customBehavior = null;
+      this.currentDistance = 0;
+      this.distanceScale = 100; // 与检测器的distanceScale保持一致
+      this.fontCurve = null; // 多点校准拟合出的距离-字体曲线
+      this.isVisualAngleEnabled = false;
+      this.visualAngle = null; // 视角模式的目标 { arcMinutes, referenceDistanceCm }
+
+      // 死区功能：防止头部小范围变化引起字体变化
+      this.deadZoneRadius = 2.0; // 死区半径，在此范围内的变化会被忽略
+      this.deadZoneCenter = 0; // 死区中心距离
+      this.deadZoneStableTime = 1000; // 需要稳定1秒才更新死区中心 (毫秒)
+      this.lastDistanceChangeTime = 0; // 上次距离变化时间
+      this.settleTime = 0; // 离开死区后需在新位置停留多久才调整字体 (毫秒)，0为立即调整
+      this.settlingDistance = null; // 离开死区后正在等待停留的位置
+      this.settleSince = 0;
+
+      this.initializeFontSizes();
+      this.init();
+    }
+
+    initializeFontSizes() {
+      try {
+        const calibrationData = CalibrationManager.getCalibration() || {};
+        this.baseFontSize = calibrationData.referenceFontSize || 16;
+        this.currentFontSize = this.baseFontSize;
+        console.log(
+          "📖 阅读模式初始化，基准字体大小:",
+          this.baseFontSize + "px"
+        );
+      } catch (error) {
+        console.log("📖 未找到校准数据，使用默认字体大小: 16px");
+        this.baseFontSize = 16;
+        this.currentFontSize = 16;
+      }
+    }
+
+    init() {
+      this.createFloatingButton();
+      this.loadSettings();
+      this.refreshProfileOptions();
+      this.applyProfileTheme();
+      this.loadAdaptationCurves();
+      this.applyBehaviorPreset();
+      this.bindEvents();
+    }
+
+    createFloatingButton() {
+      const existingButton = document.querySelector(".reading-mode-float-btn");
+      const existingMenu = document.querySelector(".reading-mode-float-menu");
+
+      if (existingButton) existingButton.remove();
+      if (existingMenu) existingMenu.remove();
+
+      this.floatingButton = document.createElement("div");
+      this.floatingButton.className = "reading-mode-float-btn";
+      this.floatingButton.innerHTML = `
+                <div class="float-btn-icon">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"></path>
+                        <path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"></path>
+                    </svg>
+                </div>
+            `;
+
+      this.floatingMenu = document.createElement("div");
+      this.floatingMenu.className = "reading-mode-float-menu";
+      this.floatingMenu.innerHTML = `
+                <div class="float-menu-content">
+                    <div class="menu-header">
+                        <span class="menu-title">阅读选项</span>
+                        <button class="menu-close-btn">×</button>
+                    </div>
+                    <div class="menu-item">
+                        <button class="reading-mode-toggle-btn">
+                            <span class="menu-icon">📖</span>
+                            <span class="menu-text">进入阅读模式</span>
+                        </button>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-select">
+                            <span class="menu-icon">🧑</span>
+                            <span class="menu-text">读者档案</span>
+                            <select class="profile-select"></select>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-checkbox">
+                            <input type="checkbox" class="profile-auto-select-checkbox">
+                            <span class="checkmark"></span>
+                            <span class="menu-text">按人脸自动切换档案</span>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-select">
+                            <span class="menu-icon">🎨</span>
+                            <span class="menu-text">主题</span>
+                            <select class="theme-select">
+                                <option value="sepia">护眼</option>
+                                <option value="light">明亮</option>
+                                <option value="dark">夜间</option>
+                            </select>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-checkbox">
+                            <input type="checkbox" class="dynamic-font-checkbox">
+                            <span class="checkmark"></span>
+                            <span class="menu-text">动态字体调整</span>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-checkbox">
+                            <input type="checkbox" class="dynamic-contrast-checkbox">
+                            <span class="checkmark"></span>
+                            <span class="menu-text">动态对比度调整</span>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-select">
+                            <span class="menu-icon">🌊</span>
+                            <span class="menu-text">调整节奏</span>
+                            <select class="behavior-preset-select">
+                                <option value="calm">平稳</option>
+                                <option value="balanced">均衡</option>
+                                <option value="responsive">灵敏</option>
+                                <option value="custom">自定义</option>
+                            </select>
+                        </label>
+                        <div class="behavior-custom-fields">
+                            <label>死区半径<input type="number" data-key="deadZoneRadius" min="0" max="20" step="0.5"></label>
+                            <label>稳定时间(ms)<input type="number" data-key="deadZoneStableTime" min="0" max="10000" step="100"></label>
+                            <label>距离变化阈值<input type="number" data-key="fontChangeThreshold" min="0" max="10" step="0.1"></label>
+                            <label>最小字号变化(px)<input type="number" data-key="minFontSizeChange" min="0" max="4" step="0.1"></label>
+                            <label>跟随延迟(ms)<input type="number" data-key="settleTime" min="0" max="10000" step="100"></label>
+                        </div>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-checkbox">
+                            <input type="checkbox" class="visual-angle-checkbox">
+                            <span class="checkmark"></span>
+                            <span class="menu-text">按视角保持字号</span>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-checkbox">
+                            <input type="checkbox" class="absolute-distance-checkbox">
+                            <span class="checkmark"></span>
+                            <span class="menu-text">绝对距离（厘米）</span>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-checkbox">
+                            <input type="checkbox" class="worker-inference-checkbox">
+                            <span class="checkmark"></span>
+                            <span class="menu-text">后台线程推理</span>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-checkbox">
+                            <input type="checkbox" class="debug-overlay-checkbox">
+                            <span class="checkmark"></span>
+                            <span class="menu-text">调试预览</span>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-select">
+                            <span class="menu-icon">📏</span>
+                            <span class="menu-text">距离来源</span>
+                            <select class="distance-source-select">
+                                <option value="camera">摄像头</option>
+                                <option value="manual">手动</option>
+                                <option value="external">外部设备</option>
+                            </select>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-select">
+                            <span class="menu-icon">👥</span>
+                            <span class="menu-text">跟踪对象</span>
+                            <select class="face-selection-select">
+                                <option value="primary">校准读者</option>
+                                <option value="closest">最近的人</option>
+                                <option value="farthest">最远的人</option>
+                            </select>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-select">
+                            <span class="menu-icon">📷</span>
+                            <span class="menu-text">摄像头</span>
+                            <select class="camera-select">
+                                <option value="">系统默认</option>
+                            </select>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-select">
+                            <span class="menu-icon">🖼️</span>
+                            <span class="menu-text">分辨率</span>
+                            <select class="camera-resolution-select">
+                                <option value="640x480">640×480</option>
+                                <option value="1280x720">1280×720</option>
+                                <option value="1920x1080">1920×1080</option>
+                            </select>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-select">
+                            <span class="menu-icon">📦</span>
+                            <span class="menu-text">模型来源</span>
+                            <select class="asset-source-select">
+                                <option value="cdn">CDN</option>
+                                <option value="local">本地服务器</option>
+                                <option value="resource">脚本内置</option>
+                            </select>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-select">
+                            <span class="menu-icon">⏱️</span>
+                            <span class="menu-text">检测帧率</span>
+                            <select class="detection-fps-select">
+                                <option value="5">5 fps</option>
+                                <option value="10">10 fps</option>
+                                <option value="15">15 fps</option>
+                                <option value="30">30 fps</option>
+                            </select>
+                        </label>
+                    </div>
+                    <div class="menu-item">
+                        <button class="calibration-btn">
+                            <span class="menu-icon">🎯</span>
+                            <span class="menu-text">校准距离</span>
+                            <span class="calibration-quality-badge"></span>
+                        </button>
+                    </div>
+                    <div class="menu-item">
+                        <button class="curve-editor-btn">
+                            <span class="menu-icon">📉</span>
+                            <span class="menu-text">自适应曲线</span>
+                        </button>
+                    </div>
+                    <div class="menu-item">
+                        <button class="display-ruler-btn">
+                            <span class="menu-icon">📐</span>
+                            <span class="menu-text">屏幕尺寸校准</span>
+                        </button>
+                    </div>
+                    <div class="menu-item">
+                        <button class="diagnostics-btn">
+                            <span class="menu-icon">📈</span>
+                            <span class="menu-text">诊断面板</span>
+                        </button>
+                    </div>
+                    <div class="menu-item">
+                        <button class="trace-record-btn">
+                            <span class="menu-icon">⏺️</span>
+                            <span class="menu-text">录制轨迹</span>
+                        </button>
+                    </div>
+                    <div class="menu-item">
+                        <button class="trace-replay-btn">
+                            <span class="menu-icon">▶️</span>
+                            <span class="menu-text">回放轨迹</span>
+                        </button>
+                    </div>
+                    <div class="menu-item">
+                        <label class="menu-select">
+                            <span class="menu-icon">⏩</span>
+                            <span class="menu-text">回放速度</span>
+                            <select class="trace-speed-select">
+                                <option value="1">1×</option>
+                                <option value="4">4×</option>
+                                <option value="10">10×</option>
+                                <option value="Infinity">最快</option>
+                            </select>
+                        </label>
+                    </div>
+                </div>
+            `;
+
+      document.body.appendChild(this.floatingButton);
+      document.body.appendChild(this.floatingMenu);
+    }
+
+    bindEvents() {
+      if (this.globalClickHandler) {
+        document.removeEventListener("click", this.globalClickHandler);
+      }
+      if (this.globalKeyHandler) {
+        document.removeEventListener("keydown", this.globalKeyHandler);
+      }
+
+      this.floatingButton.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.toggleFloatingMenu();
+      });
+
+      const closeBtn = this.floatingMenu.querySelector(".menu-close-btn");
+      closeBtn.addEventListener("click", () => {
+        this.hideFloatingMenu();
+      });
+
+      const toggleBtn = this.floatingMenu.querySelector(
+        ".reading-mode-toggle-btn"
+      );
+      toggleBtn.addEventListener("click", () => {
+        this.toggleReadingMode();
+        this.hideFloatingMenu();
+      });
+
+      const profileSelect = this.floatingMenu.querySelector(".profile-select");
+      profileSelect.addEventListener("change", (e) => {
+        const value = e.target.value;
+        e.target.value = ProfileManager.getActiveProfileId();
+
+        if (value === ":new") {
+          this.createProfile();
+        } else if (value === ":rename") {
+          this.renameActiveProfile();
+        } else if (value === ":delete") {
+          this.deleteActiveProfile();
+        } else {
+          this.switchProfile(value);
+        }
+      });
+
+      const profileAutoSelectCheckbox = this.floatingMenu.querySelector(
+        ".profile-auto-select-checkbox"
+      );
+      profileAutoSelectCheckbox.addEventListener("change", (e) => {
+        ProfileManager.setAutoSelect(e.target.checked);
+        if (e.target.checked) {
+          this.startProfileMatching();
+        } else {
+          this.profileMatchSamples = null;
+        }
+      });
+
+      const themeSelect = this.floatingMenu.querySelector(".theme-select");
+      themeSelect.addEventListener("change", (e) => {
+        ProfileManager.updateProfile(ProfileManager.getActiveProfileId(), {
+          theme: e.target.value,
+        });
+        this.applyProfileTheme();
+      });
+
+      const dynamicFontCheckbox = this.floatingMenu.querySelector(
+        ".dynamic-font-checkbox"
+      );
+      dynamicFontCheckbox.addEventListener("change", (e) => {
+        this.isDynamicFontEnabled = e.target.checked;
+        this.saveSettings();
+
+        if (this.isReadingMode) {
+          if (this.isDynamicFontEnabled) {
+            this.startDynamicFont();
+          } else {
+            this.stopDynamicFont();
+          }
+        }
+      });
+
+      const dynamicContrastCheckbox = this.floatingMenu.querySelector(
+        ".dynamic-contrast-checkbox"
+      );
+      dynamicContrastCheckbox.addEventListener("change", (e) => {
+        console.log(
+          `🔧 [CHECKBOX] Dynamic contrast checkbox changed: ${e.target.checked}`
+        );
+        this.isDynamicContrastEnabled = e.target.checked;
+        console.log(
+          `🔧 [CHECKBOX] isDynamicContrastEnabled set to: ${this.isDynamicContrastEnabled}`
+        );
+        this.saveSettings();
+        console.log(`🔧 [CHECKBOX] Settings saved`);
+
+        if (this.isReadingMode) {
+          console.log(
+            `🔧 [CHECKBOX] Reading mode is active, starting/stopping contrast`
+          );
+          if (this.isDynamicContrastEnabled) {
+            console.log(`🔧 [CHECKBOX] Starting dynamic contrast...`);
+            this.startDynamicContrast();
+          } else {
+            console.log(`🔧 [CHECKBOX] Stopping dynamic contrast...`);
+            this.stopDynamicContrast();
+          }
+        } else {
+          console.log(
+            `🔧 [CHECKBOX] Reading mode is not active, settings saved for later`
+          );
+        }
+      });
+
+      const behaviorPresetSelect = this.floatingMenu.querySelector(
+        ".behavior-preset-select"
+      );
+      behaviorPresetSelect.addEventListener("change", (e) => {
+        this.behaviorPreset = e.target.value;
+        // 首次选择自定义时以当前参数为起点
+        if (this.behaviorPreset === "custom" && !this.customBehavior) {
+          this.customBehavior = this.getBehaviorValues();
+        }
+        this.applyBehaviorPreset();
+        this.saveSettings();
+      });
+
+      this.floatingMenu
+        .querySelectorAll(".behavior-custom-fields input")
+        .forEach((input) => {
+          input.addEventListener("change", (e) => {
+            const value = parseFloat(e.target.value);
+            if (!Number.isFinite(value)) return;
+
+            this.customBehavior = {
+              ...this.customBehavior,
+              [e.target.dataset.key]: Math.max(
+                parseFloat(e.target.min),
+                Math.min(parseFloat(e.target.max), value)
+              ),
+            };
+            this.applyBehaviorPreset();
+            this.saveSettings();
+          });
+        });
+
+      const visualAngleCheckbox = this.floatingMenu.querySelector(
+        ".visual-angle-checkbox"
+      );
+      visualAngleCheckbox.addEventListener("change", (e) => {
+        this.isVisualAngleEnabled = e.target.checked;
+        this.saveSettings();
+
+        if (
+          this.isVisualAngleEnabled &&
+          !DisplayGeometryManager.getGeometry()
+        ) {
+          this.showSuccessMessage("当前屏幕尚未测量，建议进行屏幕尺寸校准");
+        }
+        this.restartDynamicFeatures();
+      });
+
+      const absoluteDistanceCheckbox = this.floatingMenu.querySelector(
+        ".absolute-distance-checkbox"
+      );
+      absoluteDistanceCheckbox.addEventListener("change", (e) => {
+        this.isAbsoluteDistanceEnabled = e.target.checked;
+        this.saveSettings();
+        this.restartDistanceDetection();
+        this.showSuccessMessage("距离模式已更改");
+      });
+
+      const workerInferenceCheckbox = this.floatingMenu.querySelector(
+        ".worker-inference-checkbox"
+      );
+      workerInferenceCheckbox.addEventListener("change", (e) => {
+        this.isWorkerInferenceEnabled = e.target.checked;
+        this.saveSettings();
+        this.restartDistanceDetection();
+        this.showSuccessMessage("推理方式已更改");
+      });
+
+      const debugOverlayCheckbox = this.floatingMenu.querySelector(
+        ".debug-overlay-checkbox"
+      );
+      debugOverlayCheckbox.addEventListener("change", (e) => {
+        this.isDebugOverlayEnabled = e.target.checked;
+        this.saveSettings();
+
+        const camera = this.distanceSources.camera;
+        if (camera)
+          camera.source.lease.fullLandmarks = this.isDebugOverlayEnabled;
+        DistanceDetectorService.applyLeases();
+
+        if (this.isDebugOverlayEnabled) {
+          this.showDebugPreview();
+        } else {
+          this.hideDebugPreview();
+        }
+      });
+
+      const distanceSourceSelect = this.floatingMenu.querySelector(
+        ".distance-source-select"
+      );
+      distanceSourceSelect.addEventListener("change", (e) => {
+        if (e.target.value === "external") {
+          const input = window.prompt(
+            "请输入外部距离来源的WebSocket地址（留空则接收页面postMessage消息）",
+            this.externalDistance.url || "ws://localhost:8765"
+          );
+          if (input === null) {
+            e.target.value = this.distanceSource;
+            return;
+          }
+          const url = input.trim();
+          this.externalDistance = {
+            transport: url ? "websocket" : "postmessage",
+            url,
+          };
+        }
+
+        this.distanceSource = e.target.value;
+        this.saveSettings();
+        this.restartDynamicFeatures();
+      });
+
+      const faceSelectionSelect = this.floatingMenu.querySelector(
+        ".face-selection-select"
+      );
+      faceSelectionSelect.addEventListener("change", (e) => {
+        this.faceSelection = e.target.value;
+        this.saveSettings();
+
+        // 校准对话框打开时其租约的人脸选择优先
+        DistanceDetectorService.applyLeases();
+      });
+
+      const cameraSelect = this.floatingMenu.querySelector(".camera-select");
+      cameraSelect.addEventListener("change", (e) => {
+        CameraDeviceManager.setSelectedCamera(
+          CameraDeviceManager.getSelectionFromSelect(e.target)
+        );
+        this.onCameraChanged();
+      });
+
+      const resolutionSelect = this.floatingMenu.querySelector(
+        ".camera-resolution-select"
+      );
+      resolutionSelect.addEventListener("change", (e) => {
+        CameraDeviceManager.setSelectedCamera({ resolution: e.target.value });
+        // 与校准对话框一致，按切换摄像头处理并重新载入校准
+        this.onCameraChanged();
+      });
+
+      const assetSourceSelect = this.floatingMenu.querySelector(
+        ".asset-source-select"
+      );
+      assetSourceSelect.addEventListener("change", (e) => {
+        const source = e.target.value;
+        let baseUrl = this.mediapipeAssets.baseUrl || "";
+
+        if (source === "local") {
+          const input = window.prompt(
+            "请输入存放face_mesh模型文件的目录地址",
+            baseUrl || "http://localhost:8080/mediapipe/"
+          );
+          if (!input) {
+            e.target.value = this.mediapipeAssets.source || "cdn";
+            return;
+          }
+          baseUrl = input.trim();
+        }
+
+        this.mediapipeAssets = { ...this.mediapipeAssets, source, baseUrl };
+        this.saveSettings();
+        this.restartDistanceDetection();
+        this.showSuccessMessage("模型来源已更改");
+      });
+
+      const detectionFpsSelect = this.floatingMenu.querySelector(
+        ".detection-fps-select"
+      );
+      detectionFpsSelect.addEventListener("change", (e) => {
+        this.detectionFps = parseInt(e.target.value, 10);
+        this.saveSettings();
+
+        const camera = this.distanceSources.camera;
+        if (camera) camera.source.lease.targetFps = this.detectionFps;
+        DistanceDetectorService.applyLeases();
+      });
+
+      const calibrationBtn =
+        this.floatingMenu.querySelector(".calibration-btn");
+      calibrationBtn.addEventListener("click", () => {
+        this.openCalibrationDialog();
+        this.hideFloatingMenu();
+      });
+
+      const curveEditorBtn =
+        this.floatingMenu.querySelector(".curve-editor-btn");
+      curveEditorBtn.addEventListener("click", () => {
+        this.openCurveEditor();
+        this.hideFloatingMenu();
+      });
+
+      const displayRulerBtn =
+        this.floatingMenu.querySelector(".display-ruler-btn");
+      displayRulerBtn.addEventListener("click", () => {
+        this.openDisplayRulerDialog();
+        this.hideFloatingMenu();
+      });
+
+      const diagnosticsBtn =
+        this.floatingMenu.querySelector(".diagnostics-btn");
+      diagnosticsBtn.addEventListener("click", () => {
+        this.toggleDiagnosticsPanel();
+        this.hideFloatingMenu();
+      });
+
+      const traceRecordBtn =
+        this.floatingMenu.querySelector(".trace-record-btn");
+      traceRecordBtn.addEventListener("click", () => {
+        this.toggleTraceRecording();
+        this.hideFloatingMenu();
+      });
+
+      const traceReplayBtn =
+        this.floatingMenu.querySelector(".trace-replay-btn");
+      traceReplayBtn.addEventListener("click", () => {
+        if (this.traceReplay) {
+          this.traceReplay.stop();
+        } else {
+          this.chooseTraceFile();
+        }
+        this.hideFloatingMenu();
+      });
+
+      const traceSpeedSelect = this.floatingMenu.querySelector(
+        ".trace-speed-select"
+      );
+      traceSpeedSelect.addEventListener("change", (e) => {
+        this.traceReplaySpeed = Number(e.target.value);
+      });
+
+      this.globalClickHandler = (e) => {
+        if (
+          this.floatingMenu &&
+          this.floatingButton &&
+          !this.floatingMenu.contains(e.target) &&
+          !this.floatingButton.contains(e.target)
+        ) {
+          this.hideFloatingMenu();
+        }
+      };
+      document.addEventListener("click", this.globalClickHandler);
+
+      this.globalKeyHandler = (e) => {
+        if (e.key === "Escape" && this.isReadingMode) {
+          this.exitReadingMode();
+          return;
+        }
+        this.handleManualDistanceKey(e);
+      };
+      document.addEventListener("keydown", this.globalKeyHandler);
+    }
+
+    toggleFloatingMenu() {
+      this.floatingMenu.classList.toggle("show");
+      this.floatingButton.classList.toggle("active");
+
+      if (this.floatingMenu.classList.contains("show")) {
+        this.refreshCameraOptions();
+        this.refreshCalibrationQuality();
+        this.refreshProfileOptions();
+      }
+    }
+
+    refreshProfileOptions() {
+      ProfileManager.populateSelect(
+        this.floatingMenu.querySelector(".profile-select")
+      );
+      this.floatingMenu.querySelector(".theme-select").value =
+        ProfileManager.getActiveProfile().theme;
+      this.floatingMenu.querySelector(".profile-auto-select-checkbox").checked =
+        ProfileManager.isAutoSelectEnabled();
+    }
+
+    applyProfileTheme() {
+      const theme =
+        READING_THEMES[ProfileManager.getActiveProfile().theme] ||
+        READING_THEMES.sepia;
+      this.baseBackgroundColor = theme.background;
+      this.baseTextColor = theme.text;
+      this.currentBackgroundColor = theme.background;
+      this.currentTextColor = theme.text;
+      this.updateContrast();
+    }
+
+    getBehaviorValues() {
+      return Object.keys(ADAPTATION_BEHAVIOR_PRESETS.balanced).reduce(
+        (values, key) => ({ ...values, [key]: this[key] }),
+        {}
+      );
+    }
+
+    applyBehaviorPreset() {
+      const behavior =
+        this.behaviorPreset === "custom"
+          ? { ...ADAPTATION_BEHAVIOR_PRESETS.balanced, ...this.customBehavior }
+          : ADAPTATION_BEHAVIOR_PRESETS[this.behaviorPreset] ||
+            ADAPTATION_BEHAVIOR_PRESETS.balanced;
+      Object.keys(ADAPTATION_BEHAVIOR_PRESETS.balanced).forEach((key) => {
+        this[key] = behavior[key];
+      });
+      console.log(
+        `🌊 [BEHAVIOR] Applied "${this.behaviorPreset}" preset:`,
+        behavior
+      );
+
+      this.floatingMenu.querySelector(".behavior-preset-select").value =
+        this.behaviorPreset;
+      const fields = this.floatingMenu.querySelector(".behavior-custom-fields");
+      fields.classList.toggle("visible", this.behaviorPreset === "custom");
+      fields.querySelectorAll("input").forEach((input) => {
+        input.value = String(behavior[input.dataset.key]);
+      });
+    }
+
+    loadAdaptationCurves() {
+      const curves = ProfileManager.getActiveProfile().curves || {};
+      this.adaptationCurves = {
+        font: AdaptationCurve.normalize(
+          curves.font,
+          ADAPTATION_CURVE_LIMITS.font
+        ),
+        contrast: AdaptationCurve.normalize(
+          curves.contrast,
+          ADAPTATION_CURVE_LIMITS.contrast
+        ),
+      };
+    }
+
+    // 未自定义时的字体曲线：多点校准拟合出的曲线按控制点采样，否则为默认曲线
+    getDefaultFontCurvePoints() {
+      if (!this.fontCurve) return DEFAULT_ADAPTATION_CURVES.font;
+
+      const limits = ADAPTATION_CURVE_LIMITS.font;
+      return [-50, -25, 0, 50, 100, 150].map((offset) => ({
+        offset,
+        value:
+          Math.round(
+            Math.max(
+              limits.minValue,
+              Math.min(
+                limits.maxValue,
+                DistanceCurve.evaluate(
+                  this.fontCurve,
+                  1 + offset / this.distanceScale
+                )
+              )
+            ) * 100
+          ) / 100,
+      }));
+    }
+
+    getContrastCurvePoints() {
+      return (
+        this.adaptationCurves.contrast || DEFAULT_ADAPTATION_CURVES.contrast
+      );
+    }
+
+    getContrastBaseRatio() {
+      return AdaptationCurve.evaluate(this.getContrastCurvePoints(), 0);
+    }
+
+    openCurveEditor() {
+      const defaults = {
+        font: this.getDefaultFontCurvePoints(),
+        contrast: DEFAULT_ADAPTATION_CURVES.contrast,
+      };
+
+      const editor = new CurveEditor({
+        curves: {
+          font: this.adaptationCurves.font || defaults.font,
+          contrast: this.getContrastCurvePoints(),
+        },
+        defaults,
+        previewOffset: this.currentDistance,
+        getPreview: (curves, offset) => {
+          const ratio = AdaptationCurve.evaluate(curves.contrast, offset);
+          const colors = this.getContrastColorsForRatio(
+            ratio,
+            AdaptationCurve.evaluate(curves.contrast, 0)
+          );
+          return {
+            fontSize: Math.max(
+              12,
+              Math.min(
+                32,
+                this.baseFontSize *
+                  AdaptationCurve.evaluate(curves.font, offset)
+              )
+            ),
+            background: colors.background,
+            text: colors.text,
+            ratio: colors.ratio,
+          };
+        },
+        // 与默认相同的曲线不保存，多点校准重新拟合后仍能生效
+        onSave: (curves) => {
+          const changed = (kind) =>
+            JSON.stringify(curves[kind]) !== JSON.stringify(defaults[kind]);
+          ProfileManager.updateProfile(ProfileManager.getActiveProfileId(), {
+            curves: {
+              font: changed("font") ? curves.font : null,
+              contrast: changed("contrast") ? curves.contrast : null,
+            },
+          });
+          this.loadAdaptationCurves();
+          this.lastStableDistance = 0;
+          this.showSuccessMessage("自适应曲线已保存");
+        },
+      });
+      editor.open();
+    }
+
+    // 换用档案的主题和校准；手动切换时重启动态功能，
+    // 自动切换发生在检测过程中，只把新校准载入正在运行的检测器
+    switchProfile(profileId, automatic = false) {
+      if (!ProfileManager.setActiveProfile(profileId)) return;
+
+      const profile = ProfileManager.getActiveProfile();
+      const calibrationData = CalibrationManager.getCalibration();
+      console.log(
+        `🧑 [PROFILE] Switched to profile "${profile.name}"${
+          automatic ? " (auto)" : ""
+        }`
+      );
+
+      this.applyProfileTheme();
+      this.loadAdaptationCurves();
+      this.resetFontBaseline(calibrationData);
+      this.updateFontSize();
+      this.refreshProfileOptions();
+
+      if (automatic) {
+        if (this.distanceDetector && calibrationData) {
+          this.distanceDetector.loadCalibration(calibrationData);
+        }
+        this.showSuccessMessage(`已识别读者：${profile.name}`);
+      } else {
+        this.restartDynamicFeatures();
+        this.showSuccessMessage(`已切换到档案：${profile.name}`);
+      }
+    }
+
+    createProfile() {
+      const input = window.prompt("请输入新档案的名称", "");
+      const name = input && input.trim();
+      if (!name) return;
+
+      const profile = ProfileManager.createProfile(name);
+      this.switchProfile(profile.id);
+
+      if (window.confirm("新档案尚未校准，是否现在进行校准？")) {
+        this.hideFloatingMenu();
+        this.openCalibrationDialog();
+      }
+    }
+
+    renameActiveProfile() {
+      const profile = ProfileManager.getActiveProfile();
+      const input = window.prompt("请输入档案名称", profile.name);
+      const name = input && input.trim();
+      if (!name) return;
+
+      ProfileManager.updateProfile(profile.id, { name });
+      this.refreshProfileOptions();
+    }
+
+    deleteActiveProfile() {
+      const profile = ProfileManager.getActiveProfile();
+      if (profile.id === DEFAULT_PROFILE_ID) return;
+      if (!window.confirm(`删除档案「${profile.name}」及其校准数据？`)) return;
+
+      ProfileManager.deleteProfile(profile.id);
+      this.switchProfile(DEFAULT_PROFILE_ID);
+    }
+
+    // 人脸出现（或刚开启自动切换）时开始收集特征；校准期间不切换，以免校准数据存入别的档案
+    startProfileMatching() {
+      if (
+        !ProfileManager.isAutoSelectEnabled() ||
+        ProfileManager.getProfiles().length < 2 ||
+        DistanceDetectorService.isCalibrating()
+      ) {
+        return;
+      }
+      this.profileMatchSamples = [];
+    }
+
+    collectProfileSignature(frame) {
+      if (!this.profileMatchSamples || !frame.landmarks) return;
+      if (!this.distanceDetector) return;
+      if (DistanceDetectorService.isCalibrating()) {
+        this.profileMatchSamples = null;
+        return;
+      }
+
+      const signature = this.distanceDetector.calculateFaceSignature(
+        frame.landmarks,
+        frame.imageWidth,
+        frame.imageHeight
+      );
+      if (signature) this.profileMatchSamples.push(signature);
+      if (this.profileMatchSamples.length < PROFILE_AUTO_SELECT.samples) return;
+
+      const samples = this.profileMatchSamples;
+      this.profileMatchSamples = null;
+
+      const median = (values) => {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2
+          ? sorted[middle]
+          : (sorted[middle - 1] + sorted[middle]) / 2;
+      };
+      const faceSignature = samples[0].map((_, i) =>
+        median(samples.map((sample) => sample[i]))
+      );
+
+      const match = ProfileManager.findMatchingProfile(faceSignature, (a, b) =>
+        this.distanceDetector.compareFaceSignatures(a, b)
+      );
+      if (!match) {
+        console.log("🧑 [PROFILE] No profile matches the current face");
+        return;
+      }
+      if (match.profile.id !== ProfileManager.getActiveProfileId()) {
+        console.log(
+          `🧑 [PROFILE] Face matches "${
+            match.profile.name
+          }" (difference ${match.difference.toFixed(3)})`
+        );
+        this.switchProfile(match.profile.id, true);
+      }
+    }
+
+    refreshCalibrationQuality() {
+      const badge = this.floatingMenu.querySelector(
+        ".calibration-quality-badge"
+      );
+      const calibrationData = CalibrationManager.getCalibration();
+      const quality = calibrationData && calibrationData.quality;
+
+      if (!quality) {
+        badge.className = "calibration-quality-badge";
+        badge.textContent = "";
+        badge.title = "";
+        return;
+      }
+
+      badge.className = `calibration-quality-badge ${CalibrationManager.getQualityLevel(
+        quality.score
+      )}`;
+      badge.textContent = `${quality.score}分`;
+      badge.title = CalibrationManager.formatQuality(quality);
+    }
+
+    async refreshCameraOptions() {
+      const cameraSelect = this.floatingMenu.querySelector(".camera-select");
+      const resolutionSelect = this.floatingMenu.querySelector(
+        ".camera-resolution-select"
+      );
+      await CameraDeviceManager.populateSelect(cameraSelect);
+      resolutionSelect.value =
+        CameraDeviceManager.getSelectedCamera().resolution;
+    }
+
+    // 切换摄像头或分辨率后载入对应的校准数据，没有时提示校准
+    async onCameraChanged() {
+      const calibrationData = CalibrationManager.getCalibration();
+
+      if (!calibrationData) {
+        if (window.confirm("该摄像头尚未校准，是否现在进行校准？")) {
+          this.hideFloatingMenu();
+          this.openCalibrationDialog();
+        }
+      } else {
+        this.baseFontSize = calibrationData.referenceFontSize || 16;
+        this.fontCurve = calibrationData.fontCurve || null;
+        this.visualAngle = this.getVisualAngleTarget(calibrationData);
+        this.showSuccessMessage("已载入该摄像头的校准数据");
+      }
+
+      await this.restartDistanceDetection();
+    }
+
+    restartDynamicFeatures() {
+      if (!this.isReadingMode) return;
+
+      if (this.isDynamicFontEnabled) {
+        this.stopDynamicFont();
+        this.startDynamicFont();
+      }
+      if (this.isDynamicContrastEnabled) {
+        this.stopDynamicContrast();
+        this.startDynamicContrast();
+      }
+    }
+
+    async restartDistanceDetection() {
+      if (!this.distanceDetector) return;
+
+      await DistanceDetectorService.restart();
+
+      const calibrationData = CalibrationManager.getCalibration();
+      if (calibrationData) {
+        this.distanceDetector.loadCalibration(calibrationData);
+      } else {
+        this.distanceDetector.resetCalibration();
+      }
+    }
+
+    hideFloatingMenu() {
+      this.floatingMenu.classList.remove("show");
+      this.floatingButton.classList.remove("active");
+    }
+
+    toggleReadingMode() {
+      if (this.isReadingMode) {
+        this.exitReadingMode();
+      } else {
+        this.enterReadingMode();
+      }
+    }
+
+    enterReadingMode() {
+      this.isReadingMode = true;
+      this.originalContent = document.body.innerHTML;
+
+      const articleContent = this.extractArticleContent();
+      this.createReadingModeContainer(articleContent);
+
+      document.body.style.overflow = "hidden";
+
+      const toggleBtn = this.floatingMenu.querySelector(
+        ".reading-mode-toggle-btn .menu-text"
+      );
+      toggleBtn.textContent = "退出阅读模式";
+
+      this.currentBackgroundColor = this.baseBackgroundColor;
+      this.currentTextColor = this.baseTextColor;
+      this.updateContrast();
+      this.updateFontSize();
+
+      this.startReadingTimer();
+
+      if (this.isDynamicFontEnabled) {
+        this.startDynamicFont();
+      }
+      if (this.isDynamicContrastEnabled) {
+        this.startDynamicContrast();
+      }
+    }
+
+    exitReadingMode() {
+      this.isReadingMode = false;
+
+      this.stopReadingTimer();
+      if (this.traceReplay) {
+        this.traceReplay.stop();
+      }
+      this.stopDynamicFont();
+      this.stopDynamicContrast();
+
+      // 清理动态字体样式
+      const dynamicFontStyle = document.getElementById("dynamic-font-style");
+      if (dynamicFontStyle) {
+        dynamicFontStyle.remove();
+        console.log("🧹 [CLEANUP] Removed dynamic font CSS");
+      }
+
+      if (this.readingContainer) {
+        this.readingContainer.remove();
+        this.readingContainer = null;
+      }
+
+      if (this.originalContent) {
+        document.body.innerHTML = this.originalContent;
+        this.originalContent = null;
+
+        this.floatingButton = null;
+        this.floatingMenu = null;
+
+        setTimeout(() => {
+          this.init();
+        }, 100);
+      }
+
+      document.body.style.overflow = "";
+
+      setTimeout(() => {
+        const toggleBtn = document.querySelector(
+          ".reading-mode-toggle-btn .menu-text"
+        );
+        if (toggleBtn) {
+          toggleBtn.textContent = "进入阅读模式";
+        }
+      }, 150);
+    }
+
+    extractArticleContent() {
+      const titleElement = document.querySelector(".title, h1");
+      const contentElement = document.querySelector(".content, main, article");
+
+      const title = titleElement ? titleElement.textContent.trim() : "文章标题";
+      const content = contentElement
+        ? contentElement.innerHTML
+        : "<p>未找到文章内容</p>";
+
+      return { title, content };
+    }
+
+    createReadingModeContainer(articleContent) {
+      const wordCount = this.calculateWordCount(articleContent.content);
+      const readingTime = this.calculateReadingTime(wordCount);
+
+      this.readingContainer = document.createElement("div");
+      this.readingContainer.className = "reading-mode-container";
+      this.readingContainer.innerHTML = `
+                <div class="reading-mode-header">
+                    <button class="reading-mode-close-btn">×</button>
+                    <div class="reading-mode-title">${
+                      articleContent.title
+                    }</div>
+                </div>
+                <div class="reading-mode-content">
+                    <div class="reading-article-content" id="readingArticleContent">
+                        ${articleContent.content}
+                    </div>
+                </div>
+                <div class="reading-mode-footer">
+                    <div class="reading-mode-info">
+                        <div class="reading-mode-info-left">
+                            <span class="font-size-info">字体大小: <span id="currentFontSizeDisplay">${this.currentFontSize.toFixed(
+                              1
+                            )}px</span></span>
+                            ${
+                              this.isDynamicFontEnabled
+                                ? '<span class="dynamic-font-status">动态字体调整已启用</span>'
+                                : ""
+                            }
+                            ${
+                              this.isDynamicContrastEnabled
+                                ? '<span class="dynamic-contrast-status">动态对比度调整已启用</span>'
+                                : ""
+                            }
+                            ${
+                              this.isAbsoluteDistanceEnabled
+                                ? '<span class="distance-info">距离: <span id="currentDistanceDisplay">--</span></span>'
+                                : ""
+                            }
+                        </div>
+                        <div class="reading-mode-info-right">
+                            <span class="word-count-info">字数: ${wordCount}</span>
+                            <span class="reading-time-info">阅读时间: ${readingTime}</span>
+                            <span class="reading-timer-info">已阅读: <span id="readingTimer">00:00</span></span>
+
+                        </div>
+                    </div>
+                </div>
+            `;
+
+      document.body.appendChild(this.readingContainer);
+
+      const closeBtn = this.readingContainer.querySelector(
+        ".reading-mode-close-btn"
+      );
+      closeBtn.addEventListener("click", () => {
+        this.exitReadingMode();
+      });
+
+      // 调试按钮已移除
+    }
+
+    calculateWordCount(htmlContent) {
+      const tempDiv = document.createElement("div");
+      tempDiv.innerHTML = htmlContent;
+      const textContent = tempDiv.textContent || tempDiv.innerText || "";
+      const chineseChars = (textContent.match(/[\u4e00-\u9fa5]/g) || []).length;
+      const englishWords = (textContent.match(/[a-zA-Z]+/g) || []).length;
+      return chineseChars + englishWords;
+    }
+
+    calculateReadingTime(wordCount) {
+      const readingSpeed = 225;
+      const minutes = Math.ceil(wordCount / readingSpeed);
+      return minutes < 1
+        ? "< 1分钟"
+        : minutes === 1
+        ? "1分钟"
+        : `${minutes}分钟`;
+    }
+
+    async startDynamicFont() {
+      if (!this.isDynamicFontEnabled || !this.isReadingMode) return;
+
+      try {
+        const calibrationData = CalibrationManager.getCalibration();
+        if (this.distanceSource === "camera" && !calibrationData) {
+          this.showCalibrationRequiredDialog();
+          return;
+        }
+
+        console.log(
+          `📱 Starting dynamic font (${this.distanceSource}) with calibration data:`,
+          calibrationData
+        );
+        this.resetFontBaseline(calibrationData);
+        this.updateFontSize();
+
+        if (await this.startDistanceSource("font")) {
+          console.log("✅ Dynamic font started successfully");
+        }
+      } catch (error) {
+        console.error("❌ Dynamic font startup failed:", error);
+        this.onDynamicFontError(error);
+      }
+    }
+
+    stopDynamicFont() {
+      console.log("⏹️ Stopping dynamic font adjustment");
+
+      this.currentFontSize = this.baseFontSize;
+      this.updateFontSize();
+      this.updateDynamicFontStatus("已停止");
+
+      this.lastStableDistance = 0;
+      this.currentDistance = 0;
+
+      this.stopDistanceSource("font");
+    }
+
+    createDistanceSource(kind) {
+      if (kind === "manual") {
+        return new ManualDistanceSource({
+          offset: this.manualDistanceOffset,
+          distanceScale: this.distanceScale,
+        });
+      }
+      if (kind === "external") {
+        const calibrationData = CalibrationManager.getCalibration();
+        return new ExternalDistanceSource({
+          ...this.externalDistance,
+          referenceDistanceCm:
+            (calibrationData && calibrationData.referenceDistance) || undefined,
+          distanceScale: this.distanceScale,
+        });
+      }
+      return new CameraDistanceSource({
+        targetFps: this.detectionFps,
+        fullLandmarks: this.isDebugOverlayEnabled,
+      });
+    }
+
+    // 字体和对比度共用同一类型的距离来源，事件订阅只建立一次，最后一个使用方停止后关闭。
+    // 摄像头无法启动时该功能改用手动距离
+    async startDistanceSource(feature, kind = this.distanceSource, status) {
+      let entry = this.distanceSources[kind];
+      if (!entry) {
+        const source = this.createDistanceSource(kind);
+        entry = {
+          source,
+          features: new Set(),
+          subscriptions: this.subscribeDistanceSource(kind, source),
+        };
+        this.distanceSources[kind] = entry;
+        if (kind === "manual") {
+          this.showManualDistanceControl();
+        }
+      }
+      entry.features.add(feature);
+
+      const started = await entry.source.start();
+      if (
+        this.distanceSources[kind] !== entry ||
+        !entry.features.has(feature)
+      ) {
+        return false; // 启动期间已停止
+      }
+
+      if (started === false) {
+        // 失败原因已通过error事件显示
+        this.stopDistanceSource(feature);
+        if (kind !== "camera") return false;
+        return this.startDistanceSource(
+          feature,
+          "manual",
+          `${this.getDetectorFailureStatus()}，已切换为手动`
+        );
+      }
+
+      if (kind === "camera") {
+        this.distanceDetector = entry.source.detector;
+        const calibrationData = CalibrationManager.getCalibration();
+        if (calibrationData) {
+          this.distanceDetector.loadCalibration(calibrationData);
+        }
+        if (this.isDebugOverlayEnabled) {
+          this.showDebugPreview();
+        }
+      }
+
+      this.setDistanceFeatureStatus(
+        feature,
+        status ||
+          this.getDistanceSourceLabel(kind, { state: entry.source.state })
+      );
+      return true;
+    }
+
+    stopDistanceSource(feature) {
+      Object.entries(this.distanceSources).forEach(([kind, entry]) => {
+        if (!entry.features.delete(feature) || entry.features.size > 0) return;
+
+        delete this.distanceSources[kind];
+        entry.subscriptions.forEach((unsubscribe) => unsubscribe());
+        entry.source.stop();
+
+        if (kind === "camera") {
+          console.log("🔴 Releasing shared distance detector");
+          this.distanceDetector = null;
+          this.hideDebugPreview();
+        } else if (kind === "manual") {
+          this.hideManualDistanceControl();
+        }
+      });
+    }
+
+    subscribeDistanceSource(kind, source) {
+      return [
+        source.on("distance", (distanceData) => {
+          if (this.traceReplay) return;
+          this.onDistanceUpdate(distanceData);
+          // 摄像头来源的诊断数据由frame事件记录
+          if (kind !== "camera") {
+            this.recordDiagnostics({ landmarks: null, distanceData });
+          }
+        }),
+        source.on("face-lost", () => this.onFaceLost()),
+        source.on("face-found", () => {
+          if (!this.traceReplay) this.startProfileMatching();
+        }),
+        source.on("state", (change) =>
+          this.onDistanceSourceState(kind, change)
+        ),
+        source.on("error", (error) => this.onDynamicError(error)),
+        source.on("calibration-warning", (warning) =>
+          this.showCalibrationWarning(warning)
+        ),
+        source.on("frame", (frame) => {
+          if (this.traceReplay) return;
+          this.recordDiagnostics(frame);
+          this.collectProfileSignature(frame);
+        }),
+        source.on("timing", (timing) => this.diagnostics.recordTiming(timing)),
+      ];
+    }
+
+    // 阅读模式下的浮动调试预览，只在检测器运行时显示
+    showDebugPreview() {
+      if (this.debugPreview || !this.distanceDetector) return;
+
+      const container = document.createElement("div");
+      container.className = "debug-preview";
+      const video = document.createElement("video");
+      video.className = "debug-preview-video";
+      video.autoplay = true;
+      video.muted = true;
+      video.playsInline = true;
+      video.srcObject = this.distanceDetector.stream;
+      container.appendChild(video);
+      document.body.appendChild(container);
+
+      const overlay = new DebugOverlay(container);
+      this.debugPreview = {
+        container,
+        overlay,
+        subscriptions: [
+          DistanceDetectorService.on("frame", (frame) =>
+            overlay.render(
+              frame,
+              DistanceDetectorService.getDetector().config.calibrationFrame
+            )
+          ),
+          DistanceDetectorService.on("camera", ({ stream }) => {
+            video.srcObject = stream;
+          }),
+        ],
+      };
+    }
+
+    hideDebugPreview() {
+      if (!this.debugPreview) return;
+
+      this.debugPreview.subscriptions.forEach((unsubscribe) => unsubscribe());
+      this.debugPreview.overlay.destroy();
+      this.debugPreview.container.remove();
+      this.debugPreview = null;
+    }
+
+    recordDiagnostics(frame) {
+      const distanceData = frame.distanceData;
+      this.diagnostics.record({
+        t: Date.now(),
+        rawOffset: frame.landmarks ? frame.rawOffset : null,
+        offset: distanceData ? distanceData.offset : null,
+        fontSize: this.isDynamicFontEnabled ? this.currentFontSize : null,
+        contrastRatio: this.isDynamicContrastEnabled
+          ? this.currentContrastRatio
+          : null,
+      });
+    }
+
+    toggleDiagnosticsPanel() {
+      if (!this.diagnosticsPanel) {
+        this.diagnosticsPanel = new DiagnosticsPanel(this.diagnostics, () => {
+          const config = DistanceDetectorService.getDetector().config;
+          return {
+            deadZoneRadius: this.deadZoneRadius,
+            deadZoneStableTime: this.deadZoneStableTime,
+            fontChangeThreshold: this.fontChangeThreshold,
+            minFontSizeChange: this.minFontSizeChange,
+            settleTime: this.settleTime,
+            behaviorPreset: this.behaviorPreset,
+            adaptationCurves: {
+              font:
+                this.adaptationCurves.font || this.getDefaultFontCurvePoints(),
+              contrast: this.getContrastCurvePoints(),
+            },
+            smoothingWindow: config.smoothingWindow,
+            filter: config.filter,
+            detectionFps: this.detectionFps,
+            faceSelection: this.faceSelection,
+            distanceMode: config.distanceMode,
+          };
+        });
+      }
+
+      if (this.diagnosticsPanel.isOpen()) {
+        this.diagnosticsPanel.close();
+      } else {
+        this.diagnosticsPanel.open();
+      }
+    }
+
+    toggleTraceRecording() {
+      const detector = this.distanceDetector;
+      const label = this.floatingMenu.querySelector(
+        ".trace-record-btn .menu-text"
+      );
+
+      if (detector && detector.isRecording()) {
+        const trace = detector.stopRecording();
+        label.textContent = "录制轨迹";
+        downloadJSON(trace, `reading-mode-trace-${trace.startedAt}.json`);
+        this.showSuccessMessage(`已导出 ${trace.frames.length} 帧轨迹`);
+        return;
+      }
+
+      if (!detector) {
+        this.showErrorMessage("请先在阅读模式中开启动态字体或对比度");
+        return;
+      }
+
+      // 附上完整校准（含字体曲线），回放时按相同基准调整字体
+      detector.startRecording({
+        calibration: CalibrationManager.getCalibration() || {
+          ...detector.calibration,
+        },
+      });
+      label.textContent = "停止录制并导出";
+    }
+
+    chooseTraceFile() {
+      if (!this.isReadingMode) {
+        this.showErrorMessage("请先进入阅读模式");
+        return;
+      }
+
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = "application/json,.json";
+      input.addEventListener("change", async () => {
+        const file = input.files[0];
+        if (!file) return;
+
+        try {
+          this.startTraceReplay(JSON.parse(await file.text()));
+        } catch (error) {
+          console.error("❌ [TRACE] Failed to load trace:", error);
+          this.showErrorMessage(`无法回放轨迹: ${error.message}`);
+        }
+      });
+      input.click();
+    }
+
+    // 回放期间忽略实时距离，从校准基准开始重放字体/对比度调整
+    startTraceReplay(trace) {
+      const replay = new TraceReplaySource(trace, {
+        speed: this.traceReplaySpeed,
+      });
+
+      this.resetFontBaseline(trace.calibration);
+      this.updateFontSize();
+      this.diagnostics.clear();
+
+      replay.on("distance", (distanceData) => {
+        this.onDistanceUpdate(distanceData);
+        this.recordDiagnostics({ landmarks: null, distanceData });
+      });
+      replay.on("face-lost", () => this.onFaceLost());
+      replay.on("end", ({ completed, framesPlayed }) => {
+        this.traceReplay = null;
+        // 回到当前校准的基准，实时距离从头建立死区
+        this.resetFontBaseline(CalibrationManager.getCalibration());
+        this.updateFontSize();
+        this.floatingMenu.querySelector(
+          ".trace-replay-btn .menu-text"
+        ).textContent = "回放轨迹";
+        if (completed) {
+          this.showSuccessMessage(`轨迹回放完成（${framesPlayed} 帧）`);
+        }
+      });
+
+      this.traceReplay = replay;
+      this.floatingMenu.querySelector(
+        ".trace-replay-btn .menu-text"
+      ).textContent = "停止回放";
+      replay.start();
+    }
+
+    getDetectorFailureStatus() {
+      return DistanceDetectorService.getDetector().loadError
+        ? "模型加载失败"
+        : "启动失败";
+    }
+
+    getDistanceSourceLabel(kind, { state, reason }) {
+      const labels = {
+        camera: {
+          loading: reason === "recovery" ? "重新连接中" : "启动中",
+          running: "运行中",
+          paused: "已暂停",
+          error: reason === "track-ended" ? "摄像头已断开" : "错误",
+        },
+        manual: { manual: "手动" },
+        external: {
+          connecting: "连接外部设备中",
+          connected: "外部设备",
+          listening: "等待外部数据",
+          disconnected: "外部设备已断开",
+        },
+      };
+      return labels[kind][state] || null;
+    }
+
+    onDistanceSourceState(kind, change) {
+      const entry = this.distanceSources[kind];
+      const label = this.getDistanceSourceLabel(kind, change);
+      if (!entry || !label) return;
+
+      entry.features.forEach((feature) =>
+        this.setDistanceFeatureStatus(feature, label)
+      );
+    }
+
+    setDistanceFeatureStatus(feature, status) {
+      if (feature === "font") {
+        this.updateDynamicFontStatus(status);
+      } else {
+        this.updateDynamicContrastStatus(status);
+      }
+    }
+
+    onFaceLost() {
+      this.profileMatchSamples = null;
+      const distanceDisplay = document.getElementById("currentDistanceDisplay");
+      if (distanceDisplay) {
+        distanceDisplay.textContent = "--";
+      }
+    }
+
+    onDistanceUpdate(distanceData) {
+      if (!this.isReadingMode) return;
+
+      console.log("📏 [DISTANCE] Distance update:", distanceData);
+      console.log(
+        `🔧 [DEBUG] isDynamicFontEnabled: ${this.isDynamicFontEnabled}, isDynamicContrastEnabled: ${this.isDynamicContrastEnabled}`
+      );
+
+      this.currentDistance = distanceData.offset;
+
+      const distanceDisplay = document.getElementById("currentDistanceDisplay");
+      if (distanceDisplay) {
+        distanceDisplay.textContent =
+          distanceData.distanceCm != null
+            ? `${distanceData.distanceCm.toFixed(0)}cm`
+            : "--";
+      }
+
+      // 大角度转头（看副屏、笔记本）时宽度估计不可靠，保持当前字体
+      if (distanceData.poseReliable === false) {
+        console.log(
+          `🧭 [POSE] Head turned (yaw ${distanceData.headPose.yaw.toFixed(
+            1
+          )}°), holding current adjustment`
+        );
+        return;
+      }
+
+      if (this.isDynamicFontEnabled) {
+        console.log("📝 [FONT] Processing font adjustment...");
+        console.log(
+          `📝 [FONT] Current font size before adjustment: ${this.currentFontSize}px`
+        );
+        // 手动距离是用户明确给出的，直接应用，不经过死区与稳定判断
+        if (distanceData.source === "manual") {
+          this.setDynamicFontSize(
+            this.calculateTargetFontSize(distanceData.offset)
+          );
+        } else {
+          this.handleStableFontAdjustment(
+            distanceData.offset,
+            distanceData.timestamp
+          );
+        }
+        console.log(
+          `📝 [FONT] Current font size after adjustment: ${this.currentFontSize}px`
+        );
+      }
+
+      if (this.isDynamicContrastEnabled) {
+        console.log("🎨 [CONTRAST] Processing contrast adjustment...");
+        const targetRatio = this.calculateContrastAdjustment(
+          distanceData.offset
+        );
+
+        console.log(
+          `🎨 [CONTRAST] Contrast calculation: offset=${distanceData.offset.toFixed(
+            2
+          )}, targetRatio=${targetRatio.toFixed(2)}:1`
+        );
+
+        const contrastColors = this.getContrastColorsForRatio(targetRatio);
+
+        const prevBgColor = this.currentBackgroundColor;
+        const prevTextColor = this.currentTextColor;
+
+        this.currentBackgroundColor = contrastColors.background;
+        this.currentTextColor = contrastColors.text;
+        this.currentContrastRatio = contrastColors.ratio;
+
+        console.log(
+          `🎨 [CONTRAST] Color change: bg ${prevBgColor} → ${this.currentBackgroundColor}, text ${prevTextColor} → ${this.currentTextColor}`
+        );
+        console.log(
+          `🎨 [CONTRAST] Smooth contrast: ${contrastColors.ratio.toFixed(
+            2
+          )}:1 (target: ${targetRatio.toFixed(2)}:1)`
+        );
+
+        this.updateContrast();
+      }
+    }
+
+    handleStableFontAdjustment(distance, now = Date.now()) {
+      console.log(
+        `🔍 [FONT-ADJ] Starting font adjustment: distance=${distance}, lastStableDistance=${this.lastStableDistance}`
+      );
+
+      // 死区逻辑：检查是否在死区范围内
+      const distanceFromDeadZoneCenter = Math.abs(
+        distance - this.deadZoneCenter
+      );
+      const currentTime = now;
+
+      console.log(
+        `⚡ [DEADZONE] Distance=${distance.toFixed(
+          2
+        )}, DeadZoneCenter=${this.deadZoneCenter.toFixed(
+          2
+        )}, DistanceFromCenter=${distanceFromDeadZoneCenter.toFixed(
+          2
+        )}, DeadZoneRadius=${this.deadZoneRadius}`
+      );
+
+      // 如果在死区内，不进行字体调整
+      if (distanceFromDeadZoneCenter <= this.deadZoneRadius) {
+        this.settlingDistance = null;
+        console.log(
+          `🚫 [DEADZONE] Distance within dead zone (${distanceFromDeadZoneCenter.toFixed(
+            2
+          )} <= ${this.deadZoneRadius}), skipping adjustment`
+        );
+        return;
+      }
+
+      // settleTime大于0时，离开死区后需在新位置（死区半径内）停留settleTime才调整字体，
+      // 短暂的前倾、后仰不会改变字号
+      if (this.settleTime > 0) {
+        if (
+          this.settlingDistance === null ||
+          Math.abs(distance - this.settlingDistance) > this.deadZoneRadius
+        ) {
+          this.settlingDistance = distance;
+          this.settleSince = currentTime;
+        }
+        const settledFor = currentTime - this.settleSince;
+        if (settledFor < this.settleTime) {
+          console.log(
+            `⏳ [DEADZONE] Settling at ${distance.toFixed(
+              2
+            )} (${settledFor}ms / ${this.settleTime}ms)`
+          );
+          return;
+        }
+        this.settlingDistance = null;
+      }
+
+      // 更新死区中心（如果距离变化稳定一段时间）
+      if (currentTime - this.lastDistanceChangeTime > this.deadZoneStableTime) {
+        const oldCenter = this.deadZoneCenter;
+        this.deadZoneCenter = distance;
+        console.log(
+          `🎯 [DEADZONE] Updated dead zone center: ${oldCenter.toFixed(
+            2
+          )} → ${this.deadZoneCenter.toFixed(2)}`
+        );
+      }
+      this.lastDistanceChangeTime = currentTime;
+
+      const distanceChange = Math.abs(distance - this.lastStableDistance);
+      console.log(
+        `🔍 [FONT-ADJ] Distance change: ${distanceChange}, threshold: ${this.fontChangeThreshold}`
+      );
+
+      if (distanceChange >= this.fontChangeThreshold) {
+        console.log(
+          `✅ [FONT-ADJ] Distance change sufficient, calculating new font size...`
+        );
+
+        const newFontSize = this.calculateTargetFontSize(distance);
+        console.log(
+          `🔍 [FONT-ADJ] New font size calculated: ${newFontSize}, current: ${this.currentFontSize}`
+        );
+
+        const fontSizeChange = Math.abs(newFontSize - this.currentFontSize);
+        console.log(
+          `🔍 [FONT-ADJ] Font size change: ${fontSizeChange}, minimum required: ${this.minFontSizeChange}`
+        );
+
+        if (fontSizeChange >= this.minFontSizeChange) {
+          console.log(
+            `✅ [FONT-ADJ] Font size change sufficient, updating font...`
+          );
+          this.setDynamicFontSize(newFontSize);
+          this.lastStableDistance = distance;
+
+          console.log(
+            `📝 [FONT] Font size updated to: ${this.currentFontSize.toFixed(
+              1
+            )}px (distance change: ${distanceChange.toFixed(2)}, threshold: ${
+              this.fontChangeThreshold
+            })`
+          );
+        } else {
+          console.log(
+            `❌ [FONT-ADJ] Font size change too small (${fontSizeChange}), skipping update`
+          );
+        }
+      } else {
+        console.log(
+          `❌ [FONT-ADJ] Distance change too small (${distanceChange}), skipping adjustment`
+        );
+      }
+    }
+
+    // 按当前模式（视角或倍率曲线）求出该距离下的字号，限制在12–32px
+    calculateTargetFontSize(distance) {
+      let targetFontSize;
+      if (this.isVisualAngleEnabled && this.visualAngle) {
+        targetFontSize = this.calculateVisualAngleFontSize(distance);
+      } else {
+        const fontSizeMultiplier = this.calculateFontSizeMultiplier(distance);
+        console.log(
+          `🔍 [FONT-ADJ] Font multiplier: ${fontSizeMultiplier}, baseFontSize: ${this.baseFontSize}`
+        );
+        targetFontSize = this.baseFontSize * fontSizeMultiplier;
+      }
+      return Math.max(12, Math.min(32, targetFontSize));
+    }
+
+    setDynamicFontSize(fontSize) {
+      this.currentFontSize = fontSize;
+      this.updateFontSize();
+
+      const fontSizeDisplay = document.getElementById("currentFontSizeDisplay");
+      if (fontSizeDisplay) {
+        fontSizeDisplay.textContent = `${this.currentFontSize.toFixed(1)}px`;
+      }
+    }
+
+    injectDynamicFontCSS(fontSize) {
+      // 移除之前的动态字体样式
+      const existingStyle = document.getElementById("dynamic-font-style");
+      if (existingStyle) {
+        existingStyle.remove();
+      }
+
+      // 创建新的动态字体样式，使用最高优先级
+      const style = document.createElement("style");
+      style.id = "dynamic-font-style";
+      style.textContent = `
+        /* 动态字体样式 - 最高优先级 */
+        #readingArticleContent,
+        #readingArticleContent *,
+        .reading-article-content,
+        .reading-article-content * {
+          font-size: ${fontSize}px !important;
+        }
+        
+        /* 特别针对常见文本元素 */
+        #readingArticleContent p,
+        #readingArticleContent span,
+        #readingArticleContent div,
+        #readingArticleContent a,
+        #readingArticleContent strong,
+        #readingArticleContent em,
+        #readingArticleContent b,
+        #readingArticleContent i,
+        .reading-article-content p,
+        .reading-article-content span,
+        .reading-article-content div,
+        .reading-article-content a,
+        .reading-article-content strong,
+        .reading-article-content em,
+        .reading-article-content b,
+        .reading-article-content i {
+          font-size: ${fontSize}px !important;
+        }
+        
+        /* 标题元素使用相对比例 */
+        #readingArticleContent h1,
+        .reading-article-content h1 {
+          font-size: ${fontSize * 1.5}px !important;
+        }
+        
+        #readingArticleContent h2,
+        .reading-article-content h2 {
+          font-size: ${fontSize * 1.3}px !important;
+        }
+        
+        #readingArticleContent h3,
+        .reading-article-content h3 {
+          font-size: ${fontSize * 1.1}px !important;
+        }
+        
+        #readingArticleContent h4,
+        #readingArticleContent h5,
+        #readingArticleContent h6,
+        .reading-article-content h4,
+        .reading-article-content h5,
+        .reading-article-content h6 {
+          font-size: ${fontSize}px !important;
+        }
+      `;
+
+      // 插入到head中，确保高优先级
+      document.head.appendChild(style);
+
+      console.log(
+        `🎨 [FONT] Injected dynamic CSS with font-size: ${fontSize}px`
+      );
+    }
+
+    // 优先使用档案中自定义的曲线，其次是多点校准拟合的曲线；
+    // 自定义曲线按编辑器的取值范围限制，校准曲线与默认公式保持原来的0.6–2.5倍
+    calculateFontSizeMultiplier(distance) {
+      let limits = { minValue: 0.6, maxValue: 2.5 };
+      let multiplier;
+      if (this.adaptationCurves.font) {
+        limits = ADAPTATION_CURVE_LIMITS.font;
+        multiplier = AdaptationCurve.evaluate(
+          this.adaptationCurves.font,
+          distance
+        );
+      } else if (this.fontCurve) {
+        const relativeDistance = 1 + distance / this.distanceScale;
+        multiplier = DistanceCurve.evaluate(this.fontCurve, relativeDistance);
+      } else {
+        multiplier = AdaptationCurve.evaluate(
+          DEFAULT_ADAPTATION_CURVES.font,
+          distance
+        );
+      }
+      const result = Math.max(
+        limits.minValue,
+        Math.min(limits.maxValue, multiplier)
+      );
+
+      console.log(
+        `📝 [FONT] Distance=${distance.toFixed(2)}, multiplier=${result.toFixed(
+          2
+        )} (${
+          distance > 0 ? "更远→更大" : distance < 0 ? "更近→更小" : "基准"
+        })`
+      );
+
+      return result;
+    }
+
+    updateFontSize() {
+      console.log(
+        `🔍 [FONT] updateFontSize called with size: ${this.currentFontSize}px`
+      );
+
+      const contentElement = document.getElementById("readingArticleContent");
+      console.log(`🔍 [FONT] contentElement found:`, contentElement);
+
+      if (contentElement) {
+        // 记录设置前的字体大小
+        const beforeSize = window.getComputedStyle(contentElement).fontSize;
+        console.log(
+          `🔍 [FONT] Before setting - computed fontSize: ${beforeSize}`
+        );
+
+        // 设置容器的字体大小，使用多重策略强制覆盖网站CSS
+        contentElement.style.transition = "font-size 0.3s ease";
+
+        // 方法1: 直接设置style属性，最高优先级
+        contentElement.style.setProperty(
+          "font-size",
+          `${this.currentFontSize}px`,
+          "important"
+        );
+
+        // 方法2: 设置所有文本元素的字体大小
+        const textElements = contentElement.querySelectorAll("*");
+        textElements.forEach((element) => {
+          // 只对文本元素设置字体大小，避免影响按钮等UI元素
+          const tagName = element.tagName.toLowerCase();
+          if (
+            [
+              "p",
+              "span",
+              "div",
+              "a",
+              "strong",
+              "em",
+              "b",
+              "i",
+              "small",
+              "label",
+              "li",
+              "h1",
+              "h2",
+              "h3",
+              "h4",
+              "h5",
+              "h6",
+            ].includes(tagName)
+          ) {
+            element.style.setProperty(
+              "font-size",
+              `${this.currentFontSize}px`,
+              "important"
+            );
+          }
+        });
+
+        // 方法3: 通过动态CSS规则强制覆盖
+        this.injectDynamicFontCSS(this.currentFontSize);
+
+        // 验证设置是否成功
+        setTimeout(() => {
+          const afterSize = window.getComputedStyle(contentElement).fontSize;
+          console.log(
+            `🔍 [FONT] After setting - computed fontSize: ${afterSize}`
+          );
+          console.log(
+            `🔍 [FONT] Element style fontSize: ${contentElement.style.fontSize}`
+          );
+        }, 50);
+
+        console.log(
+          `📝 [FONT] Updated font size to ${this.currentFontSize.toFixed(
+            1
+          )}px with !important`
+        );
+      } else {
+        console.error("❌ [FONT] readingArticleContent element not found!");
+        // 尝试查找其他可能的元素
+        const allElements = document.querySelectorAll(
+          '[id*="reading"], [class*="reading"], [id*="article"], [class*="article"]'
+        );
+        console.log("🔍 [FONT] Found reading/article elements:", allElements);
+      }
+
+      // 更新字体大小显示
+      const fontSizeDisplay = document.getElementById("currentFontSizeDisplay");
+      if (fontSizeDisplay) {
+        fontSizeDisplay.textContent = `${this.currentFontSize.toFixed(1)}px`;
+      }
+    }
+
+    onDynamicFontError(error) {
+      console.error("Dynamic font error:", error);
+      this.onDynamicError(error);
+    }
+
+    updateDynamicFontStatus(status) {
+      const statusElement = document.querySelector(".dynamic-font-status");
+      if (statusElement) {
+        statusElement.textContent = `动态字体: ${status}`;
+      }
+    }
+
+    async startDynamicContrast() {
+      if (!this.isDynamicContrastEnabled || !this.isReadingMode) return;
+
+      console.log("🎨 [CONTRAST] Starting dynamic contrast adjustment");
+
+      this.currentBackgroundColor = this.baseBackgroundColor;
+      this.currentTextColor = this.baseTextColor;
+
+      this.updateContrast();
+
+      try {
+        if (
+          this.distanceSource === "camera" &&
+          !CalibrationManager.getCalibration()
+        ) {
+          this.showCalibrationRequiredDialog();
+          return;
+        }
+
+        if (await this.startDistanceSource("contrast")) {
+          console.log("✅ [CONTRAST] Dynamic contrast started successfully");
+        }
+      } catch (error) {
+        console.error("❌ [CONTRAST] Dynamic contrast startup failed:", error);
+        this.onDynamicError(error);
+      }
+    }
+
+    stopDynamicContrast() {
+      console.log("⏹️ Stopping dynamic contrast adjustment");
+
+      this.currentBackgroundColor = this.baseBackgroundColor;
+      this.currentTextColor = this.baseTextColor;
+      this.updateContrast();
+      this.updateDynamicContrastStatus("已停止");
+
+      this.stopDistanceSource("contrast");
+    }
+
+    // 从校准记录恢复字体基准并重新建立死区，各距离来源启动时使用
+    resetFontBaseline(calibrationData) {
+      this.baseFontSize =
+        (calibrationData && calibrationData.referenceFontSize) || 16;
+      this.fontCurve = (calibrationData && calibrationData.fontCurve) || null;
+      this.visualAngle = this.getVisualAngleTarget(calibrationData);
+      // 视角模式下基准位置的字号也随屏幕像素密度换算
+      this.currentFontSize = this.isVisualAngleEnabled
+        ? Math.max(12, Math.min(32, this.calculateVisualAngleFontSize(0)))
+        : this.baseFontSize;
+      this.lastStableDistance = 0;
+      this.currentDistance = 0;
+      this.deadZoneCenter = 0;
+      this.settlingDistance = null;
+      this.lastDistanceChangeTime = 0;
+    }
+
+    // 校准字号在校准距离、校准时屏幕上所张的视角；
+    // 校准时屏幕未测量则按当前屏幕换算
+    getVisualAngleTarget(calibrationData) {
+      const data = calibrationData || {};
+      const referenceDistanceCm =
+        data.referenceDistance || DEFAULT_VIEWING_DISTANCE_CM;
+      const pxPerMm = data.display
+        ? data.display.pxPerMm
+        : DisplayGeometryManager.getPxPerMm();
+
+      return {
+        referenceDistanceCm,
+        arcMinutes: DisplayGeometryManager.fontSizeToArcMinutes(
+          data.referenceFontSize || 16,
+          referenceDistanceCm,
+          pxPerMm
+        ),
+      };
+    }
+
+    // 由offset还原实际距离，按当前屏幕的像素密度求出保持目标视角的字号
+    calculateVisualAngleFontSize(distance) {
+      const { arcMinutes, referenceDistanceCm } = this.visualAngle;
+      const distanceCm = Math.max(
+        1,
+        referenceDistanceCm * (1 + distance / this.distanceScale)
+      );
+      const fontSize = DisplayGeometryManager.arcMinutesToFontSize(
+        arcMinutes,
+        distanceCm,
+        DisplayGeometryManager.getPxPerMm()
+      );
+
+      console.log(
+        `📐 [FONT] Visual angle ${arcMinutes.toFixed(
+          1
+        )}′ at ${distanceCm.toFixed(1)}cm → ${fontSize.toFixed(1)}px`
+      );
+      return fontSize;
+    }
+
+    setManualDistance(offset) {
+      this.manualDistanceOffset = Math.max(
+        MANUAL_DISTANCE_RANGE.min,
+        Math.min(MANUAL_DISTANCE_RANGE.max, Math.round(offset))
+      );
+      this.saveSettings();
+      this.updateManualDistanceControl();
+      this.applyManualDistance();
+    }
+
+    applyManualDistance() {
+      const manual = this.distanceSources.manual;
+      if (manual) {
+        manual.source.setOffset(this.manualDistanceOffset);
+      }
+    }
+
+    handleManualDistanceKey(e) {
+      if (!this.isReadingMode || !this.distanceSources.manual) return;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+      const target = e.target;
+      if (
+        target &&
+        (target.isContentEditable ||
+          ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+      ) {
+        return;
+      }
+
+      // [ 前倾（更近），] 后仰（更远），数字键切换姿势预设
+      const preset = MANUAL_DISTANCE_PRESETS[parseInt(e.key, 10) - 1];
+      if (e.key === "[") {
+        this.setManualDistance(
+          this.manualDistanceOffset - MANUAL_DISTANCE_RANGE.step
+        );
+      } else if (e.key === "]") {
+        this.setManualDistance(
+          this.manualDistanceOffset + MANUAL_DISTANCE_RANGE.step
+        );
+      } else if (preset) {
+        this.setManualDistance(preset.offset);
+      } else {
+        return;
+      }
+      e.preventDefault();
+    }
+
+    showManualDistanceControl() {
+      if (this.manualDistanceControl || !this.readingContainer) return;
+
+      const footer = this.readingContainer.querySelector(
+        ".reading-mode-footer"
+      );
+      if (!footer) return;
+
+      const control = document.createElement("div");
+      control.className = "manual-distance-control";
+      control.innerHTML = `
+        <span class="manual-distance-label">手动距离</span>
+        ${MANUAL_DISTANCE_PRESETS.map(
+          (preset, index) =>
+            `<button class="manual-distance-preset" data-offset="${
+              preset.offset
+            }" title="快捷键 ${index + 1}">${preset.icon} ${
+              preset.label
+            }</button>`
+        ).join("")}
+        <span class="manual-distance-edge">近</span>
+        <input type="range" class="manual-distance-slider"
+               min="${MANUAL_DISTANCE_RANGE.min}" max="${
+        MANUAL_DISTANCE_RANGE.max
+      }" step="5">
+        <span class="manual-distance-edge">远</span>
+        <span class="manual-distance-value"></span>
+        <span class="manual-distance-hint">[ / ] 前倾/后仰</span>
+      `;
+      footer.appendChild(control);
+
+      control
+        .querySelector(".manual-distance-slider")
+        .addEventListener("input", (e) => {
+          this.setManualDistance(parseFloat(e.target.value));
+        });
+      control.querySelectorAll(".manual-distance-preset").forEach((button) => {
+        button.addEventListener("click", () => {
+          this.setManualDistance(parseFloat(button.dataset.offset));
+        });
+      });
+
+      this.manualDistanceControl = control;
+      this.updateManualDistanceControl();
+    }
+
+    updateManualDistanceControl() {
+      const control = this.manualDistanceControl;
+      if (!control) return;
+
+      const offset = this.manualDistanceOffset;
+      control.querySelector(".manual-distance-slider").value = String(offset);
+      control.querySelector(".manual-distance-value").textContent = `${
+        offset > 0 ? "+" : ""
+      }${offset}%`;
+      control.querySelectorAll(".manual-distance-preset").forEach((button) => {
+        button.classList.toggle(
+          "active",
+          parseFloat(button.dataset.offset) === offset
+        );
+      });
+    }
+
+    hideManualDistanceControl() {
+      if (!this.manualDistanceControl) return;
+
+      this.manualDistanceControl.remove();
+      this.manualDistanceControl = null;
+    }
+
+    calculateContrastAdjustment(distance) {
+      const targetRatio = AdaptationCurve.evaluate(
+        this.getContrastCurvePoints(),
+        distance
+      );
+
+      console.log(
+        `🔢 [CONTRAST] Curve calculation: distance=${distance.toFixed(
+          2
+        )}, targetRatio=${targetRatio.toFixed(2)}:1`
+      );
+
+      return targetRatio;
+    }
+
+    updateContrast() {
+      if (!this.isReadingMode) return;
+
+      const container = document.querySelector(".reading-mode-container");
+      if (!container) {
+        console.log("🔍 [CONTRAST] Container not found");
+        return;
+      }
+
+      console.log(
+        "🎨 [CONTRAST] Updating contrast:",
+        this.currentBackgroundColor,
+        this.currentTextColor
+      );
+
+      // First update the main container itself
+      container.style.setProperty(
+        "background-color",
+        this.currentBackgroundColor,
+        "important"
+      );
+      container.style.setProperty(
+        "background",
+        this.currentBackgroundColor,
+        "important"
+      );
+
+      const backgroundElements = [
+        ".reading-mode-header",
+        ".reading-mode-content",
+        ".reading-mode-footer",
+      ];
+
+      console.log(`🎨 [CONTRAST] Updating container and child elements`);
+
+      backgroundElements.forEach((selector) => {
+        const elements = container.querySelectorAll(selector);
+        console.log(
+          `🎨 [CONTRAST] Updating ${elements.length} elements for ${selector}`
+        );
+        elements.forEach((element) => {
+          element.style.setProperty(
+            "background-color",
+            this.currentBackgroundColor,
+            "important"
+          );
+          element.style.setProperty(
+            "background",
+            this.currentBackgroundColor,
+            "important"
+          );
+        });
+      });
+
+      const textElements = [
+        ".reading-mode-title",
+        ".reading-mode-close-btn",
+        ".reading-mode-header",
+        ".reading-mode-header *",
+        ".reading-article-content",
+        ".reading-article-content *",
+        ".reading-mode-footer",
+        ".reading-mode-footer *",
+        ".reading-mode-info",
+        ".reading-mode-info-left",
+        ".reading-mode-info-right",
+        ".font-size-info",
+        ".word-count-info",
+        ".reading-time-info",
+        ".dynamic-font-status",
+        ".dynamic-contrast-status",
+      ];
+
+      textElements.forEach((selector) => {
+        const elements = container.querySelectorAll(selector);
+        console.log(
+          `🔤 [CONTRAST] Updating text for ${elements.length} elements: ${selector}`
+        );
+        elements.forEach((element) => {
+          element.style.setProperty(
+            "color",
+            this.currentTextColor,
+            "important"
+          );
+        });
+      });
+
+      const allElements = container.querySelectorAll("*");
+      console.log(
+        `🔤 [CONTRAST] Updating ${allElements.length} total child elements`
+      );
+      allElements.forEach((element) => {
+        if (
           !element.classList.contains("menu-close-btn") &&
           !element.classList.contains("float-btn-icon")
         ) {
@@ -1647,938 +6260,2382 @@
         }
       });
 
-      console.log("✅ [CONTRAST] Contrast update completed");
+      console.log("✅ [CONTRAST] Contrast update completed");
+
+      setTimeout(() => {
+        const containerStyle = window.getComputedStyle(container);
+        const titleElement = container.querySelector(".reading-mode-title");
+        const contentElement = container.querySelector(
+          ".reading-article-content"
+        );
+
+        console.log(
+          `🔍 [VERIFY] Container computed bg: ${containerStyle.backgroundColor}`
+        );
+        console.log(
+          `🔍 [VERIFY] Container computed color: ${containerStyle.color}`
+        );
+
+        if (titleElement) {
+          const titleStyle = window.getComputedStyle(titleElement);
+          console.log(`🔍 [VERIFY] Title computed color: ${titleStyle.color}`);
+        }
+
+        if (contentElement) {
+          const contentStyle = window.getComputedStyle(contentElement);
+          console.log(
+            `🔍 [VERIFY] Content computed color: ${contentStyle.color}`
+          );
+        }
+      }, 100);
+    }
+
+    calculateRelativeLuminance(hex) {
+      const r = parseInt(hex.substr(1, 2), 16) / 255;
+      const g = parseInt(hex.substr(3, 2), 16) / 255;
+      const b = parseInt(hex.substr(5, 2), 16) / 255;
+
+      const rLinear =
+        r <= 0.03928 ? r / 12.92 : Math.pow((r + 0.055) / 1.055, 2.4);
+      const gLinear =
+        g <= 0.03928 ? g / 12.92 : Math.pow((g + 0.055) / 1.055, 2.4);
+      const bLinear =
+        b <= 0.03928 ? b / 12.92 : Math.pow((b + 0.055) / 1.055, 2.4);
+
+      return 0.2126 * rLinear + 0.7152 * gLinear + 0.0722 * bLinear;
+    }
+
+    calculateContrastRatio(color1, color2) {
+      const l1 = this.calculateRelativeLuminance(color1);
+      const l2 = this.calculateRelativeLuminance(color2);
+
+      const lighter = Math.max(l1, l2);
+      const darker = Math.min(l1, l2);
+
+      return (lighter + 0.05) / (darker + 0.05);
+    }
+
+    adjustColorForContrast(
+      baseColor,
+      targetColor,
+      targetRatio,
+      adjustBackground = true
+    ) {
+      const baseLuminance = this.calculateRelativeLuminance(baseColor);
+      const targetLuminance = this.calculateRelativeLuminance(targetColor);
+
+      let newLuminance;
+      if (adjustBackground) {
+        if (baseLuminance > targetLuminance) {
+          newLuminance = (baseLuminance + 0.05) * targetRatio - 0.05;
+        } else {
+          newLuminance = (baseLuminance + 0.05) / targetRatio - 0.05;
+        }
+      } else {
+        if (targetLuminance > baseLuminance) {
+          newLuminance = (targetLuminance + 0.05) / targetRatio - 0.05;
+        } else {
+          newLuminance = (targetLuminance + 0.05) * targetRatio - 0.05;
+        }
+      }
+
+      newLuminance = Math.max(0, Math.min(1, newLuminance));
+
+      return this.luminanceToColor(newLuminance, targetColor);
+    }
+
+    luminanceToColor(targetLuminance, baseColor) {
+      targetLuminance = Math.max(0, Math.min(1, targetLuminance));
+
+      const r = parseInt(baseColor.substr(1, 2), 16);
+      const g = parseInt(baseColor.substr(3, 2), 16);
+      const b = parseInt(baseColor.substr(5, 2), 16);
+
+      const currentLuminance = this.calculateRelativeLuminance(baseColor);
+
+      if (Math.abs(targetLuminance - currentLuminance) < 0.001) {
+        return baseColor;
+      }
+
+      let factor;
+      if (targetLuminance > currentLuminance) {
+        factor = Math.pow(targetLuminance / currentLuminance, 0.4);
+      } else {
+        factor = Math.pow(targetLuminance / currentLuminance, 0.6);
+      }
+
+      const newR = Math.round(Math.max(0, Math.min(255, r * factor)));
+      const newG = Math.round(Math.max(0, Math.min(255, g * factor)));
+      const newB = Math.round(Math.max(0, Math.min(255, b * factor)));
+
+      const result = `#${newR.toString(16).padStart(2, "0")}${newG
+        .toString(16)
+        .padStart(2, "0")}${newB.toString(16).padStart(2, "0")}`;
+
+      console.log(
+        `🎨 [COLOR] Luminance conversion: ${baseColor} (${currentLuminance.toFixed(
+          3
+        )}) → ${result} (${this.calculateRelativeLuminance(result).toFixed(
+          3
+        )}) target: ${targetLuminance.toFixed(3)}`
+      );
+
+      return result;
+    }
+
+    // baseRatio为校准位置的对比度，背景只在偏离它时调亮或调暗
+    getContrastColorsForRatio(
+      targetRatio,
+      baseRatio = this.getContrastBaseRatio()
+    ) {
+      const baseBackground = this.baseBackgroundColor;
+      const baseText = this.baseTextColor;
+
+      const adjustedText = this.adjustColorForContrast(
+        baseText,
+        baseBackground,
+        targetRatio,
+        false
+      );
+
+      let adjustedBackground = baseBackground;
+
+      if (targetRatio < baseRatio) {
+        // 低对比度：调亮背景
+        const factor = 1 + (baseRatio - targetRatio) * 0.03; // 增加变化幅度
+        adjustedBackground = this.adjustBrightness(baseBackground, factor);
+      } else if (targetRatio > baseRatio) {
+        // 高对比度：调暗背景
+        const factor = 1 - (targetRatio - baseRatio) * 0.02; // 增加变化幅度
+        adjustedBackground = this.adjustBrightness(baseBackground, factor);
+      }
+
+      const finalRatio = this.calculateContrastRatio(
+        adjustedText,
+        adjustedBackground
+      );
+
+      let description;
+      if (finalRatio < 4.5) {
+        description = "低对比度 (未达标)";
+      } else if (finalRatio < 7.0) {
+        description = "中等对比度 (AA标准)";
+      } else {
+        description = "高对比度 (AAA标准)";
+      }
+
+      console.log(
+        `🎨 [CONTRAST] Smooth ratio: target=${targetRatio.toFixed(
+          2
+        )}:1, actual=${finalRatio.toFixed(2)}:1 (${description})`
+      );
+
+      return {
+        background: adjustedBackground,
+        text: adjustedText,
+        ratio: finalRatio,
+        description: description,
+      };
+    }
+
+    adjustBrightness(hex, factor) {
+      const r = parseInt(hex.substr(1, 2), 16);
+      const g = parseInt(hex.substr(3, 2), 16);
+      const b = parseInt(hex.substr(5, 2), 16);
+
+      const newR = Math.round(Math.max(0, Math.min(255, r * factor)));
+      const newG = Math.round(Math.max(0, Math.min(255, g * factor)));
+      const newB = Math.round(Math.max(0, Math.min(255, b * factor)));
+
+      return `#${newR.toString(16).padStart(2, "0")}${newG
+        .toString(16)
+        .padStart(2, "0")}${newB.toString(16).padStart(2, "0")}`;
+    }
+
+    updateDynamicContrastStatus(status) {
+      const statusElement = document.querySelector(".dynamic-contrast-status");
+      if (statusElement) {
+        statusElement.textContent = `动态对比度: ${status}`;
+      }
+    }
+
+    openCalibrationDialog() {
+      // Create complete calibration dialog
+      const dialog = document.createElement("div");
+      dialog.className = "calibration-dialog-overlay";
+      dialog.innerHTML = `
+        <div class="calibration-dialog-full">
+          <div class="calibration-dialog-header">
+            <h3>📏 字体校准</h3>
+            <button class="calibration-close-btn">×</button>
+          </div>
+          
+          <div class="calibration-dialog-body">
+            <div class="calibration-description">
+              <p>请将您的脸部对准摄像头，保持在方形框内，系统将自动校准您的阅读距离。</p>
+            </div>
+            
+            <div class="calibration-container">
+              <div class="calibration-left">
+                <div class="video-container" id="calibrationVideoContainer">
+                  <video id="calibrationVideo" class="video-preview" autoplay muted></video>
+                  <div class="calibration-overlay" id="calibrationOverlay">
+                    <div class="calibration-instruction" id="calibrationInstruction">
+                      请将脸部对准框内
+                    </div>
+                    <svg class="calibration-progress-ring" id="calibrationProgressRing" viewBox="0 0 36 36">
+                      <circle class="progress-ring-track" cx="18" cy="18" r="15.9155" />
+                      <circle class="progress-ring-fill" cx="18" cy="18" r="15.9155" />
+                    </svg>
+                  </div>
+                </div>
+                <label class="debug-toggle">
+                  <input type="checkbox" id="debugOverlayToggle" />
+                  显示关键点与调试数据
+                </label>
+              </div>
+              
+              <div class="calibration-right">
+                <div class="status-indicator waiting" id="calibrationStatus">
+                  <div class="status-dot"></div>
+                  <span id="statusText">等待摄像头启动...</span>
+                </div>
+                <div class="calibration-quality" id="calibrationQuality"></div>
+                
+                <div class="control-group">
+                  <label class="control-label">摄像头</label>
+                  <div class="camera-select-row">
+                    <select id="cameraSelect" class="calibration-select">
+                      <option value="">系统默认</option>
+                    </select>
+                    <select id="cameraResolutionSelect" class="calibration-select">
+                      <option value="640x480">640×480</option>
+                      <option value="1280x720">1280×720</option>
+                      <option value="1920x1080">1920×1080</option>
+                    </select>
+                  </div>
+                  <div class="control-hint">
+                    每个摄像头的校准数据单独保存，切换摄像头会自动载入对应的校准
+                  </div>
+                </div>
+                
+                <div class="control-group">
+                  <label class="control-label">基准字体大小</label>
+                  <div class="slider-container">
+                    <input type="range" id="baseFontSize" class="slider" min="10" max="32" value="16" step="0.5" />
+                    <span class="slider-value" id="baseFontValue">16px</span>
+                  </div>
+                  <div class="control-hint">
+                    设置阅读模式的基准字体大小。动态调整范围：12px - 32px
+                  </div>
+                </div>
+                
+                <div class="control-group">
+                  <label class="control-label">字体预览</label>
+                  <div class="font-preview" id="fontPreview">
+                    这是基准字体大小的预览效果
+                  </div>
+                </div>
+                
+                <div class="control-group">
+                  <label class="control-label">清晰度测试（可选）</label>
+                  <div class="legibility-sample" id="legibilitySample"></div>
+                  <div class="legibility-row">
+                    <input type="text" id="legibilityInput" class="legibility-input" placeholder="输入看到的字母" autocomplete="off" disabled />
+                    <button id="legibilityAnswerBtn" class="btn btn-primary" disabled>确认</button>
+                    <button id="legibilityGiveUpBtn" class="btn btn-secondary" disabled>看不清</button>
+                    <button id="legibilityStartBtn" class="btn btn-secondary">开始测试</button>
+                  </div>
+                  <div class="control-hint" id="legibilityHint">
+                    在正常阅读距离下读出逐渐变小的字母，根据能看清的最小字号推荐基准字体大小
+                  </div>
+                </div>
+                
+                <div class="control-group">
+                  <label class="control-label">自动校准</label>
+                  <div class="auto-calibrate-row">
+                    <label class="debug-toggle">
+                      <input type="checkbox" id="autoCalibrateToggle" />
+                      对准后自动校准并保存
+                    </label>
+                    <select id="autoCalibrateHold" class="calibration-select">
+                      <option value="1000">保持1秒</option>
+                      <option value="1500">保持1.5秒</option>
+                      <option value="3000">保持3秒</option>
+                    </select>
+                  </div>
+                  <div class="control-hint">
+                    对准校准框并保持不动，进度环走满后自动完成校准，无需点击按钮
+                  </div>
+                </div>
+                
+                <div class="control-group">
+                  <label class="control-label">多点校准（可选）</label>
+                  <div class="multi-point-steps" id="multiPointSteps">
+                    <span class="multi-point-step" data-step="normal">正常</span>
+                    <span class="multi-point-step" data-step="near">靠近</span>
+                    <span class="multi-point-step" data-step="far">远离</span>
+                  </div>
+                  <div class="control-hint" id="multiPointHint">
+                    在三个位置分别设置舒适的字体大小，拟合出符合您习惯的字体曲线
+                  </div>
+                </div>
+                
+                <div class="calibration-buttons">
+                  <button id="startCameraBtn" class="btn btn-secondary">启动摄像头</button>
+                  <button id="startCalibrationBtn" class="btn btn-primary" disabled>开始校准</button>
+                  <button id="multiPointBtn" class="btn btn-secondary" disabled>多点校准</button>
+                  <button id="captureSampleBtn" class="btn btn-primary" disabled>采集当前位置</button>
+                  <button id="saveCalibrationBtn" class="btn btn-primary" disabled>保存校准</button>
+                  <button id="resetCalibrationBtn" class="btn btn-danger">重置校准</button>
+                </div>
+              </div>
+            </div>
+            
+            <div class="calibration-info">
+              <h4>📖 校准说明</h4>
+              <ul>
+                <li>确保您的脸部完全在方形框内</li>
+                <li>保持正常的阅读距离（约50-70厘米）</li>
+                <li>调整基准字体大小到您感觉舒适的大小，或用清晰度测试得出推荐值</li>
+                <li>点击"开始校准"按钮，保持姿势3秒钟</li>
+                <li>校准完成后点击"保存校准"</li>
+                <li>多点校准：依次在正常、靠近、远离位置调整字体并点击"采集当前位置"</li>
+                <li>自动校准：勾选后对准校准框并保持不动，进度环走满即自动校准，质量达标时自动保存</li>
+              </ul>
+            </div>
+          </div>
+        </div>
+      `;
+
+      document.body.appendChild(dialog);
+
+      // Initialize calibration manager
+      const calibrationManager = new CalibrationDialogManager(dialog);
+
+      // Handle dialog close
+      const closeBtn = dialog.querySelector(".calibration-close-btn");
+      closeBtn.addEventListener("click", () => {
+        calibrationManager.cleanup();
+        dialog.remove();
+      });
+
+      dialog.addEventListener("click", (e) => {
+        if (e.target === dialog) {
+          calibrationManager.cleanup();
+          dialog.remove();
+        }
+      });
+    }
+
+    // 屏幕尺寸校准：把实体卡片贴在屏幕上比对方框宽度，或直接输入对角线尺寸
+    openDisplayRulerDialog() {
+      const displayKey = DisplayGeometryManager.getDisplayKey();
+      const geometry = DisplayGeometryManager.getGeometry();
+
+      const dialog = document.createElement("div");
+      dialog.className = "calibration-dialog-overlay";
+      dialog.innerHTML = `
+        <div class="calibration-dialog-full display-ruler-dialog">
+          <div class="calibration-dialog-header">
+            <h3>📐 屏幕尺寸校准</h3>
+            <button class="calibration-close-btn">×</button>
+          </div>
+          <div class="calibration-dialog-body">
+            <div class="calibration-description">
+              <p>将一张银行卡或身份证贴在屏幕上，拖动滑块直到方框与卡片宽度完全一致。</p>
+            </div>
+            <div class="ruler-card-area">
+              <div class="ruler-card"></div>
+            </div>
+            <div class="control-group">
+              <div class="slider-container">
+                <input type="range" class="slider ruler-slider" min="150" max="900" step="1" />
+                <span class="slider-value ruler-value"></span>
+              </div>
+              <label class="control-label">或输入屏幕对角线尺寸（英寸）</label>
+              <input type="number" class="ruler-diagonal-input" min="5" max="100" step="0.1" placeholder="例如 14 或 27" />
+              <div class="control-hint ruler-hint"></div>
+            </div>
+            <div class="ruler-buttons">
+              <button class="btn btn-secondary ruler-cancel-btn">取消</button>
+              <button class="btn btn-primary ruler-save-btn">保存</button>
+            </div>
+          </div>
+        </div>
+      `;
+
+      const card = dialog.querySelector(".ruler-card");
+      const slider = dialog.querySelector(".ruler-slider");
+      const valueLabel = dialog.querySelector(".ruler-value");
+      const diagonalInput = dialog.querySelector(".ruler-diagonal-input");
+      const hint = dialog.querySelector(".ruler-hint");
+
+      const showCardWidth = (width) => {
+        card.style.width = `${width}px`;
+        card.style.height = `${
+          (width * CREDIT_CARD_HEIGHT_MM) / CREDIT_CARD_WIDTH_MM
+        }px`;
+        valueLabel.textContent = `${Math.round(width)}px`;
+      };
+
+      slider.value = String(
+        Math.round(DisplayGeometryManager.getPxPerMm() * CREDIT_CARD_WIDTH_MM)
+      );
+      showCardWidth(Number(slider.value));
+      hint.textContent = geometry
+        ? `当前屏幕（${displayKey}）已测量：${geometry.pxPerMm.toFixed(
+            2
+          )} 像素/毫米`
+        : `当前屏幕（${displayKey}）尚未测量，按标准像素密度估算`;
+
+      slider.addEventListener("input", () => {
+        diagonalInput.value = "";
+        showCardWidth(Number(slider.value));
+      });
+      diagonalInput.addEventListener("input", () => {
+        const inches = parseFloat(diagonalInput.value);
+        if (inches > 0) {
+          showCardWidth(
+            DisplayGeometryManager.pxPerMmFromDiagonal(inches) *
+              CREDIT_CARD_WIDTH_MM
+          );
+        }
+      });
+
+      const close = () => dialog.remove();
+      dialog
+        .querySelector(".calibration-close-btn")
+        .addEventListener("click", close);
+      dialog
+        .querySelector(".ruler-cancel-btn")
+        .addEventListener("click", close);
+      dialog.addEventListener("click", (e) => {
+        if (e.target === dialog) close();
+      });
+
+      dialog.querySelector(".ruler-save-btn").addEventListener("click", () => {
+        const inches = parseFloat(diagonalInput.value);
+        if (inches > 0) {
+          DisplayGeometryManager.saveGeometry(
+            DisplayGeometryManager.pxPerMmFromDiagonal(inches),
+            "diagonal"
+          );
+        } else {
+          DisplayGeometryManager.saveGeometry(
+            Number(slider.value) / CREDIT_CARD_WIDTH_MM,
+            "card"
+          );
+        }
+        close();
+        this.showSuccessMessage("屏幕尺寸已保存");
+
+        if (this.isVisualAngleEnabled) {
+          this.restartDynamicFeatures();
+        }
+      });
+
+      document.body.appendChild(dialog);
+    }
+
+    showCalibrationRequiredDialog() {
+      console.log("⚠️ Showing calibration required dialog");
+
+      const calibrationData = CalibrationManager.getCalibration();
+      let message = "请先在校准页面进行校准后再使用动态字体调整功能";
+
+      if (calibrationData) {
+        if (!calibrationData.referenceFaceWidth) {
+          message = "校准数据不完整，请重新进行校准";
+        } else {
+          message = "校准数据可能已过期，请重新进行校准";
+        }
+      }
+
+      this.showErrorMessage(message);
+
+      const checkbox = this.floatingMenu.querySelector(
+        ".dynamic-font-checkbox"
+      );
+      if (checkbox) {
+        checkbox.checked = false;
+        this.isDynamicFontEnabled = false;
+        this.saveSettings();
+      }
+    }
+
+    // 校准可能失效时说明原因，由用户决定是否重新校准；
+    // "忽略"按校准时间和问题类型记住，检测器重建后也不再提示
+    showCalibrationWarning({ issues: reported, calibrationTimestamp }) {
+      const dismissed =
+        StorageManager.get("reading-mode-dismissed-warnings") || [];
+      const keyOf = (issue) => `${calibrationTimestamp}:${issue.code}`;
+      const issues = reported.filter(
+        (issue) => !dismissed.includes(keyOf(issue))
+      );
+      if (issues.length === 0) return;
+
+      this.hideCalibrationWarning();
+
+      const notice = document.createElement("div");
+      notice.className = "calibration-warning";
+      notice.innerHTML = `
+        <div class="calibration-warning-title">⚠️ 校准可能已失效，字体大小可能不准确</div>
+        <ul class="calibration-warning-list"></ul>
+        <div class="calibration-warning-actions">
+          <button class="calibration-warning-recalibrate">重新校准</button>
+          <button class="calibration-warning-dismiss">忽略</button>
+        </div>
+      `;
+      const list = notice.querySelector(".calibration-warning-list");
+      issues.forEach((issue) => {
+        const item = document.createElement("li");
+        item.textContent = issue.message;
+        list.appendChild(item);
+      });
+
+      notice
+        .querySelector(".calibration-warning-recalibrate")
+        .addEventListener("click", () => {
+          this.hideCalibrationWarning();
+          this.openCalibrationDialog();
+        });
+      notice
+        .querySelector(".calibration-warning-dismiss")
+        .addEventListener("click", () => {
+          this.hideCalibrationWarning();
+          const keys = issues.map(keyOf);
+          StorageManager.set(
+            "reading-mode-dismissed-warnings",
+            dismissed
+              .filter((key) => !keys.includes(key))
+              .concat(keys)
+              .slice(-MAX_DISMISSED_WARNINGS)
+          );
+        });
+
+      document.body.appendChild(notice);
+      this.calibrationWarning = notice;
+    }
+
+    hideCalibrationWarning() {
+      if (this.calibrationWarning) {
+        this.calibrationWarning.remove();
+        this.calibrationWarning = null;
+      }
+    }
+
+    showErrorMessage(message) {
+      const toast = document.createElement("div");
+      toast.className = "error-toast";
+      toast.textContent = message;
+
+      document.body.appendChild(toast);
+
+      setTimeout(() => {
+        toast.remove();
+      }, 3000);
+    }
+
+    loadSettings() {
+      console.log(`🔧 [LOAD-SETTINGS] Loading settings from storage...`);
+      const parsed = StorageManager.get("reading-mode-settings");
+
+      if (parsed) {
+        console.log(`🔧 [LOAD-SETTINGS] Parsed settings:`, parsed);
+
+        this.isDynamicFontEnabled = parsed.isDynamicFontEnabled || false;
+        this.isDynamicContrastEnabled =
+          parsed.isDynamicContrastEnabled || false;
+        this.isAbsoluteDistanceEnabled =
+          parsed.isAbsoluteDistanceEnabled || false;
+        this.isVisualAngleEnabled = parsed.isVisualAngleEnabled || false;
+        this.behaviorPreset = parsed.behaviorPreset || "balanced";
+        this.customBehavior = parsed.customBehavior || null;
+        this.detectionFps = parsed.detectionFps || 15;
+        this.faceSelection = parsed.faceSelection || "primary";
+        this.distanceSource = parsed.distanceSource || "camera";
+        this.manualDistanceOffset = parsed.manualDistanceOffset || 0;
+        this.externalDistance = parsed.externalDistance || {};
+        this.isWorkerInferenceEnabled =
+          parsed.isWorkerInferenceEnabled || false;
+        this.isDebugOverlayEnabled = parsed.isDebugOverlayEnabled || false;
+        this.mediapipeAssets = parsed.mediapipeAssets || {};
+
+        console.log(
+          `🔧 [LOAD-SETTINGS] Set isDynamicFontEnabled: ${this.isDynamicFontEnabled}`
+        );
+        console.log(
+          `🔧 [LOAD-SETTINGS] Set isDynamicContrastEnabled: ${this.isDynamicContrastEnabled}`
+        );
+
+        const dynamicFontCheckbox = this.floatingMenu.querySelector(
+          ".dynamic-font-checkbox"
+        );
+        if (dynamicFontCheckbox) {
+          dynamicFontCheckbox.checked = this.isDynamicFontEnabled;
+          console.log(
+            `🔧 [LOAD-SETTINGS] Font checkbox set to: ${dynamicFontCheckbox.checked}`
+          );
+        }
+        const dynamicContrastCheckbox = this.floatingMenu.querySelector(
+          ".dynamic-contrast-checkbox"
+        );
+        if (dynamicContrastCheckbox) {
+          dynamicContrastCheckbox.checked = this.isDynamicContrastEnabled;
+          console.log(
+            `🔧 [LOAD-SETTINGS] Contrast checkbox set to: ${dynamicContrastCheckbox.checked}`
+          );
+        }
+        const absoluteDistanceCheckbox = this.floatingMenu.querySelector(
+          ".absolute-distance-checkbox"
+        );
+        if (absoluteDistanceCheckbox) {
+          absoluteDistanceCheckbox.checked = this.isAbsoluteDistanceEnabled;
+        }
+        const visualAngleCheckbox = this.floatingMenu.querySelector(
+          ".visual-angle-checkbox"
+        );
+        if (visualAngleCheckbox) {
+          visualAngleCheckbox.checked = this.isVisualAngleEnabled;
+        }
+        const workerInferenceCheckbox = this.floatingMenu.querySelector(
+          ".worker-inference-checkbox"
+        );
+        if (workerInferenceCheckbox) {
+          workerInferenceCheckbox.checked = this.isWorkerInferenceEnabled;
+        }
+        const debugOverlayCheckbox = this.floatingMenu.querySelector(
+          ".debug-overlay-checkbox"
+        );
+        if (debugOverlayCheckbox) {
+          debugOverlayCheckbox.checked = this.isDebugOverlayEnabled;
+        }
+        const faceSelectionSelect = this.floatingMenu.querySelector(
+          ".face-selection-select"
+        );
+        if (faceSelectionSelect) {
+          faceSelectionSelect.value = this.faceSelection;
+        }
+        const distanceSourceSelect = this.floatingMenu.querySelector(
+          ".distance-source-select"
+        );
+        if (distanceSourceSelect) {
+          distanceSourceSelect.value = this.distanceSource;
+        }
+        const assetSourceSelect = this.floatingMenu.querySelector(
+          ".asset-source-select"
+        );
+        if (assetSourceSelect) {
+          assetSourceSelect.value = this.mediapipeAssets.source || "cdn";
+        }
+        const detectionFpsSelect = this.floatingMenu.querySelector(
+          ".detection-fps-select"
+        );
+        if (detectionFpsSelect) {
+          detectionFpsSelect.value = String(this.detectionFps);
+        }
+      } else {
+        console.log(`🔧 [LOAD-SETTINGS] No settings found, using defaults`);
+      }
+    }
+
+    saveSettings() {
+      const settings = {
+        isDynamicFontEnabled: this.isDynamicFontEnabled,
+        isDynamicContrastEnabled: this.isDynamicContrastEnabled,
+        isAbsoluteDistanceEnabled: this.isAbsoluteDistanceEnabled,
+        isVisualAngleEnabled: this.isVisualAngleEnabled,
+        behaviorPreset: this.behaviorPreset,
+        customBehavior: this.customBehavior,
+        detectionFps: this.detectionFps,
+        faceSelection: this.faceSelection,
+        distanceSource: this.distanceSource,
+        manualDistanceOffset: this.manualDistanceOffset,
+        externalDistance: this.externalDistance,
+        isWorkerInferenceEnabled: this.isWorkerInferenceEnabled,
+        isDebugOverlayEnabled: this.isDebugOverlayEnabled,
+        mediapipeAssets: this.mediapipeAssets,
+      };
+      StorageManager.set("reading-mode-settings", settings);
+    }
+
+    onDynamicError(error) {
+      console.error("❌ Dynamic features error:", error);
+
+      this.updateDynamicFontStatus("错误");
+      this.updateDynamicContrastStatus("错误");
+
+      const errorMessage = error.message || "动态功能启动失败";
+      const statusContainer = document.querySelector(".reading-mode-info-left");
+      if (statusContainer) {
+        const errorSpan = document.createElement("span");
+        errorSpan.className = "dynamic-error-status";
+        errorSpan.style.color = "#ff4444";
+        errorSpan.textContent = `错误: ${errorMessage}`;
+        statusContainer.appendChild(errorSpan);
+
+        setTimeout(() => {
+          if (errorSpan.parentNode) {
+            errorSpan.parentNode.removeChild(errorSpan);
+          }
+        }, 5000);
+      }
+    }
+
+    startReadingTimer() {
+      this.startTime = Date.now();
+      this.timerElement = document.getElementById("readingTimer");
+
+      if (this.timerElement) {
+        this.timerInterval = setInterval(() => {
+          this.updateTimerDisplay();
+        }, 1000);
+
+        console.log("⏱️ Reading timer started");
+      }
+    }
+
+    stopReadingTimer() {
+      if (this.timerInterval) {
+        clearInterval(this.timerInterval);
+        this.timerInterval = null;
+      }
+
+      if (this.startTime) {
+        const readingDuration = Date.now() - this.startTime;
+
+        // 只显示阅读时长，不保存下载文件
+        console.log(
+          `⏱️ Reading timer stopped. Duration: ${this.formatTime(
+            readingDuration
+          )}`
+        );
+
+        this.startTime = null;
+        this.timerElement = null;
+      }
+    }
+
+    updateTimerDisplay() {
+      if (this.startTime && this.timerElement) {
+        const elapsed = Date.now() - this.startTime;
+        this.timerElement.textContent = this.formatTime(elapsed);
+      }
+    }
+
+    formatTime(milliseconds) {
+      const totalSeconds = Math.floor(milliseconds / 1000);
+      const minutes = Math.floor(totalSeconds / 60);
+      const seconds = totalSeconds % 60;
+      return `${minutes.toString().padStart(2, "0")}:${seconds
+        .toString()
+        .padStart(2, "0")}`;
+    }
+
+    getCurrentArticleNumber() {
+      const urlMatch = window.location.pathname.match(/article-(\d+)\.html/);
+      if (urlMatch) {
+        return urlMatch[1];
+      }
+
+      const activeMenuItem = document.querySelector(".menu-item.active");
+      if (activeMenuItem) {
+        const hrefMatch = activeMenuItem.href.match(/article-(\d+)\.html/);
+        if (hrefMatch) {
+          return hrefMatch[1];
+        }
+      }
+
+      const titleMatch = document.title.match(/^(\d+)\./);
+      if (titleMatch) {
+        return titleMatch[1];
+      }
+
+      return "unknown";
+    }
+
+    saveReadingTime(duration) {
+      const articleNumber = this.getCurrentArticleNumber();
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const filename = `article-${articleNumber}-${timestamp}.txt`;
+      const readingTimeFormatted = this.formatTime(duration);
+
+      const content = `Article: ${articleNumber}
+Reading Duration: ${readingTimeFormatted}
+Start Time: ${new Date(this.startTime).toLocaleString()}
+End Time: ${new Date().toLocaleString()}
+Total Seconds: ${Math.floor(duration / 1000)}`;
+
+      try {
+        const blob = new Blob([content], { type: "text/plain" });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = filename;
+        a.style.display = "none";
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        console.log(`💾 Reading time saved to ${filename}`);
+
+        this.showSuccessMessage(`阅读时间已保存: ${readingTimeFormatted}`);
+      } catch (error) {
+        console.error("❌ Error saving reading time:", error);
+        this.showErrorMessage("保存阅读时间失败");
+      }
+    }
+
+    showSuccessMessage(message) {
+      const toast = document.createElement("div");
+      toast.className = "success-toast";
+      toast.textContent = message;
+
+      document.body.appendChild(toast);
 
       setTimeout(() => {
-        const containerStyle = window.getComputedStyle(container);
-        const titleElement = container.querySelector(".reading-mode-title");
-        const contentElement = container.querySelector(
-          ".reading-article-content"
+        toast.remove();
+      }, 3000);
+    }
+  }
+
+  // ===== 校准对话框管理器 =====
+  // 自动校准：对准状态持续holdTime（毫秒）后自动开始采集，质量分达到minScore时自动保存
+  const DEFAULT_AUTO_CALIBRATION = {
+    enabled: false,
+    holdTime: 1500,
+    minScore: 75,
+  };
+
+  // 清晰度测试：以递减的字号显示随机字母，同一字号连续答错attemptsPerSize次即结束；
+  // 能读出的最小字号乘以comfortFactor作为推荐的基准字体（阅读需要数倍于视力极限的余量）。
+  // 正常视力在60cm处约能读出5px，字号阶梯需低于此才能区分不同读者；
+  // 样本以renderSize渲染后缩放，不受浏览器最小字号设置限制
+  const LEGIBILITY_TEST = {
+    sizes: [20, 16, 13, 11, 9, 8, 7, 6, 5, 4],
+    renderSize: 20,
+    letters: "CDHKNORSVZ",
+    length: 5,
+    attemptsPerSize: 2,
+    comfortFactor: 2.5,
+  };
+
+  class CalibrationDialogManager {
+    constructor(dialogElement) {
+      this.dialog = dialogElement;
+      this.videoElement = dialogElement.querySelector("#calibrationVideo");
+      this.videoContainer = dialogElement.querySelector(
+        "#calibrationVideoContainer"
+      );
+      this.debugOverlayToggle = dialogElement.querySelector(
+        "#debugOverlayToggle"
+      );
+      this.statusIndicator = dialogElement.querySelector("#calibrationStatus");
+      this.statusText = dialogElement.querySelector("#statusText");
+      this.qualityElement = dialogElement.querySelector("#calibrationQuality");
+      this.fontPreview = dialogElement.querySelector("#fontPreview");
+      this.baseFontSize = dialogElement.querySelector("#baseFontSize");
+      this.baseFontValue = dialogElement.querySelector("#baseFontValue");
+      this.startCameraBtn = dialogElement.querySelector("#startCameraBtn");
+      this.cameraSelect = dialogElement.querySelector("#cameraSelect");
+      this.cameraResolutionSelect = dialogElement.querySelector(
+        "#cameraResolutionSelect"
+      );
+      this.startCalibrationBtn = dialogElement.querySelector(
+        "#startCalibrationBtn"
+      );
+      this.saveCalibrationBtn = dialogElement.querySelector(
+        "#saveCalibrationBtn"
+      );
+      this.resetCalibrationBtn = dialogElement.querySelector(
+        "#resetCalibrationBtn"
+      );
+      this.multiPointBtn = dialogElement.querySelector("#multiPointBtn");
+      this.captureSampleBtn = dialogElement.querySelector("#captureSampleBtn");
+      this.multiPointSteps = dialogElement.querySelector("#multiPointSteps");
+      this.multiPointHint = dialogElement.querySelector("#multiPointHint");
+      this.calibrationOverlay = dialogElement.querySelector(
+        "#calibrationOverlay"
+      );
+      this.calibrationInstruction = dialogElement.querySelector(
+        "#calibrationInstruction"
+      );
+      this.progressRing = dialogElement.querySelector(
+        "#calibrationProgressRing"
+      );
+      this.autoCalibrateToggle = dialogElement.querySelector(
+        "#autoCalibrateToggle"
+      );
+      this.autoCalibrateHold =
+        dialogElement.querySelector("#autoCalibrateHold");
+      this.legibilitySample = dialogElement.querySelector("#legibilitySample");
+      this.legibilityInput = dialogElement.querySelector("#legibilityInput");
+      this.legibilityAnswerBtn = dialogElement.querySelector(
+        "#legibilityAnswerBtn"
+      );
+      this.legibilityGiveUpBtn = dialogElement.querySelector(
+        "#legibilityGiveUpBtn"
+      );
+      this.legibilityStartBtn = dialogElement.querySelector(
+        "#legibilityStartBtn"
+      );
+      this.legibilityHint = dialogElement.querySelector("#legibilityHint");
+
+      this.distanceDetector = null;
+      // 校准时需要即时反馈，固定使用较高帧率
+      this.detectorLease = {
+        targetFps: 30,
+        adaptiveFps: false,
+        responsiveAlignment: true,
+        faceSelection: "closest", // 校准时以离屏幕最近的人为准
+        statusThrottleDelay: 50,
+        calibration: true,
+      };
+      this.detectorSubscriptions = [];
+      this.debugOverlay = null;
+      this.debugOverlaySubscription = null;
+      this.isCalibrating = false;
+      this.calibrationCountdown = 3; // 秒
+      this.countdownTimer = null;
+      this.calibrationData = null;
+      this.currentDistance = 0;
+      this.currentDistanceCm = null;
+      this.alignmentStatus = null; // 摄像头启动后最近一次对准状态
+      this.autoCalibration = {
+        ...DEFAULT_AUTO_CALIBRATION,
+        ...(StorageManager.get("reading-mode-auto-calibration") || {}),
+      };
+      this.autoPhase = "idle"; // idle | holding | capturing | done
+      this.autoPhaseSince = 0;
+      this.baseFontSizeValue = 16;
+      this.legibilityTest = null; // 进行中的清晰度测试
+      this.legibilityResult = null;
+
+      // 多点校准：依次采集正常、靠近、远离三个位置
+      this.multiPointStepDefs = [
+        { key: "normal", label: "正常阅读距离" },
+        { key: "near", label: "靠近屏幕的位置" },
+        { key: "far", label: "远离屏幕的位置" },
+      ];
+      this.multiPointStepIndex = -1;
+      this.multiPointSamples = [];
+      this.multiPointReference = null;
+
+      this.init();
+    }
+
+    init() {
+      // Base font size slider
+      this.baseFontSize.addEventListener("input", (e) => {
+        this.baseFontSizeValue = parseFloat(e.target.value);
+        this.baseFontValue.textContent = this.baseFontSizeValue + "px";
+        this.updateFontPreview();
+      });
+
+      this.debugOverlayToggle.addEventListener("change", (e) =>
+        this.setDebugOverlayEnabled(e.target.checked)
+      );
+
+      this.autoCalibrateToggle.checked = this.autoCalibration.enabled;
+      this.autoCalibrateHold.value = String(this.autoCalibration.holdTime);
+      this.autoCalibrateToggle.addEventListener("change", (e) => {
+        this.setAutoCalibration({ enabled: e.target.checked });
+        if (e.target.checked && !this.distanceDetector) {
+          this.startCamera();
+        }
+      });
+      this.autoCalibrateHold.addEventListener("change", (e) => {
+        this.setAutoCalibration({ holdTime: parseInt(e.target.value, 10) });
+      });
+
+      // Camera selection
+      CameraDeviceManager.populateSelect(this.cameraSelect);
+      this.cameraResolutionSelect.value =
+        CameraDeviceManager.getSelectedCamera().resolution;
+      this.cameraSelect.addEventListener("change", (e) => {
+        CameraDeviceManager.setSelectedCamera(
+          CameraDeviceManager.getSelectionFromSelect(e.target)
         );
+        this.onCameraChanged();
+      });
+      this.cameraResolutionSelect.addEventListener("change", (e) => {
+        CameraDeviceManager.setSelectedCamera({ resolution: e.target.value });
+        this.onCameraChanged();
+      });
 
-        console.log(
-          `🔍 [VERIFY] Container computed bg: ${containerStyle.backgroundColor}`
+      // Button events
+      this.startCameraBtn.addEventListener("click", () => this.startCamera());
+      this.startCalibrationBtn.addEventListener("click", () =>
+        this.startCalibration()
+      );
+      this.saveCalibrationBtn.addEventListener("click", () =>
+        this.saveCalibration()
+      );
+      this.resetCalibrationBtn.addEventListener("click", () =>
+        this.resetCalibration()
+      );
+      this.multiPointBtn.addEventListener("click", () =>
+        this.startMultiPointCalibration()
+      );
+      this.captureSampleBtn.addEventListener("click", () =>
+        this.captureMultiPointSample()
+      );
+      this.legibilityStartBtn.addEventListener("click", () =>
+        this.startLegibilityTest()
+      );
+      this.legibilityAnswerBtn.addEventListener("click", () =>
+        this.answerLegibilityTrial(this.legibilityInput.value)
+      );
+      this.legibilityGiveUpBtn.addEventListener("click", () =>
+        this.answerLegibilityTrial("")
+      );
+      this.legibilityInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+          this.answerLegibilityTrial(this.legibilityInput.value);
+        }
+      });
+
+      // Check existing calibration
+      this.checkExistingCalibration();
+
+      // Initialize button states
+      this.startCameraBtn.disabled = false;
+      this.startCalibrationBtn.disabled = true;
+      this.saveCalibrationBtn.disabled = true;
+
+      // 自动模式下省去"启动摄像头"这一步
+      if (this.autoCalibration.enabled) {
+        this.startCamera();
+      }
+
+      console.log("🎯 Calibration dialog initialized");
+    }
+
+    async startCamera() {
+      try {
+        this.startCameraBtn.disabled = true;
+        this.startCameraBtn.textContent = "启动中...";
+        this.updateStatus("detecting", "正在启动摄像头...");
+
+        // 阅读模式已开启摄像头时直接复用同一个检测器
+        this.subscribeDetector();
+        const detector = await DistanceDetectorService.acquire(
+          this.detectorLease
         );
-        console.log(
-          `🔍 [VERIFY] Container computed color: ${containerStyle.color}`
+
+        if (detector) {
+          this.distanceDetector = detector;
+          this.videoElement.srcObject = detector.video.srcObject;
+          this.updateStatus("aligned", "摄像头已启动，请调整位置");
+
+          this.calibrationOverlay.classList.add("active", "no-face");
+          this.calibrationInstruction.textContent = "请将脸部对准框内";
+
+          this.startCameraBtn.textContent = "摄像头已启动";
+          this.startCameraBtn.disabled = true;
+          this.multiPointBtn.disabled = false;
+
+          // 获得摄像头权限后才能显示设备名称
+          CameraDeviceManager.populateSelect(this.cameraSelect);
+
+          console.log("✅ Camera started successfully in calibration dialog");
+        } else {
+          // 失败原因已通过error事件显示
+          this.unsubscribeDetector();
+          this.startCameraBtn.disabled = false;
+          this.startCameraBtn.textContent = "启动摄像头";
+        }
+      } catch (error) {
+        console.error("❌ Camera initialization failed:", error);
+        this.updateStatus("error", "摄像头启动失败，请检查权限设置");
+        this.showToast("摄像头启动失败，请检查权限设置", "error");
+
+        this.startCameraBtn.disabled = false;
+        this.startCameraBtn.textContent = "启动摄像头";
+      }
+    }
+
+    subscribeDetector() {
+      if (this.detectorSubscriptions.length > 0) return;
+
+      this.detectorSubscriptions = [
+        DistanceDetectorService.on("distance", (distance) =>
+          this.onDistanceUpdate(distance)
+        ),
+        DistanceDetectorService.on("alignment", (status) =>
+          this.onCalibrationFrameStatus(status)
+        ),
+        // 人脸离开时不一定有alignment事件，清除对准状态以免清晰度测试继续计分
+        DistanceDetectorService.on("face-lost", () => {
+          this.alignmentStatus = "no-face";
+        }),
+        // 摄像头重启（如切换设备）后更新预览
+        DistanceDetectorService.on("camera", ({ stream }) => {
+          this.videoElement.srcObject = stream;
+        }),
+        DistanceDetectorService.on("state", ({ state, reason }) => {
+          if (!this.distanceDetector) return;
+          if (state === "loading" && reason === "recovery") {
+            this.updateStatus("detecting", "正在重新连接摄像头...");
+          } else if (state === "running" && reason === "recovered") {
+            this.updateStatus("aligned", "摄像头已恢复，请调整位置");
+          }
+        }),
+        DistanceDetectorService.on("error", (error) => this.onError(error)),
+      ];
+    }
+
+    unsubscribeDetector() {
+      this.detectorSubscriptions.forEach((unsubscribe) => unsubscribe());
+      this.detectorSubscriptions = [];
+    }
+
+    setDebugOverlayEnabled(enabled) {
+      this.detectorLease.fullLandmarks = enabled;
+      DistanceDetectorService.applyLeases();
+
+      if (enabled && !this.debugOverlay) {
+        const overlay = new DebugOverlay(this.videoContainer);
+        this.debugOverlay = overlay;
+        this.debugOverlaySubscription = DistanceDetectorService.on(
+          "frame",
+          (frame) =>
+            overlay.render(
+              frame,
+              DistanceDetectorService.getDetector().config.calibrationFrame
+            )
         );
+      } else if (!enabled && this.debugOverlay) {
+        this.debugOverlaySubscription();
+        this.debugOverlaySubscription = null;
+        this.debugOverlay.destroy();
+        this.debugOverlay = null;
+      }
+    }
 
-        if (titleElement) {
-          const titleStyle = window.getComputedStyle(titleElement);
-          console.log(`🔍 [VERIFY] Title computed color: ${titleStyle.color}`);
+    onDistanceUpdate(distanceData) {
+      if (!distanceData) return;
+      this.currentDistance = distanceData.offset;
+      this.currentDistanceCm =
+        distanceData.distanceCm != null ? distanceData.distanceCm : null;
+    }
+
+    // 切换摄像头：载入该摄像头的校准数据，摄像头已启动时用新设备重新启动
+    async onCameraChanged() {
+      this.calibrationData = null;
+      this.saveCalibrationBtn.disabled = true;
+      this.multiPointSamples = [];
+      this.setMultiPointStep(-1);
+      this.checkExistingCalibration();
+      if (!this.calibrationData) {
+        this.updateStatus("waiting", "该摄像头尚未校准，请进行校准");
+      }
+
+      if (this.distanceDetector) {
+        // 与阅读模式共用摄像头，切换后两者都使用新设备
+        await DistanceDetectorService.restart();
+        if (this.calibrationData) {
+          this.distanceDetector.loadCalibration(this.calibrationData);
+        } else {
+          this.distanceDetector.resetCalibration();
         }
+      }
+    }
 
-        if (contentElement) {
-          const contentStyle = window.getComputedStyle(contentElement);
-          console.log(
-            `🔍 [VERIFY] Content computed color: ${contentStyle.color}`
-          );
+    onCalibrationFrameStatus(status) {
+      console.log("📊 [CALIBRATION DIALOG] Frame status update:", status);
+      console.log("📊 [CALIBRATION DIALOG] Status value:", status.status);
+      this.alignmentStatus = status.status;
+
+      if (!this.calibrationOverlay || !this.calibrationInstruction) {
+        console.error("❌ Calibration overlay elements not found!");
+        return;
+      }
+
+      this.calibrationOverlay.className = "calibration-overlay active";
+
+      let instructionText = "请将脸部对准框内";
+
+      if (status.status === "no-face") {
+        this.calibrationOverlay.classList.add("no-face");
+        instructionText = "请将脸部放入框内";
+      } else if (
+        status.status === "align" ||
+        status.status === "too-left" ||
+        status.status === "too-right" ||
+        status.status === "too-high" ||
+        status.status === "too-low"
+      ) {
+        this.calibrationOverlay.classList.add("align");
+
+        // 根据具体状态给出精确指导
+        if (status.status === "too-left") {
+          instructionText = "请向右移动";
+        } else if (status.status === "too-right") {
+          instructionText = "请向左移动";
+        } else if (status.status === "too-high") {
+          instructionText = "请向下移动";
+        } else if (status.status === "too-low") {
+          instructionText = "请向上移动";
+        } else {
+          instructionText = "请调整位置对准框内";
         }
-      }, 100);
+      } else if (status.status === "good") {
+        this.calibrationOverlay.classList.add("ready");
+        instructionText = "位置完美！可以开始校准";
+      } else if (status.status === "too-close") {
+        this.calibrationOverlay.classList.add("too-close");
+        instructionText = "请远离一些";
+      } else if (status.status === "too-far") {
+        this.calibrationOverlay.classList.add("too-far");
+        instructionText = "请靠近一些";
+      }
+
+      this.calibrationInstruction.textContent = instructionText;
+      this.updateStatus(this.getStatusType(status.status), instructionText);
+      this.updateAutoCalibration(status.status);
+
+      const shouldEnable = status.status === "good";
+      this.startCalibrationBtn.disabled = !shouldEnable;
+
+      if (this.multiPointStepIndex >= 0) {
+        // 正常位置需对准框；靠近/远离位置只要检测到人脸即可采集
+        const step = this.multiPointStepDefs[this.multiPointStepIndex];
+        this.captureSampleBtn.disabled =
+          step.key === "normal" ? !shouldEnable : status.status === "no-face";
+      }
+
+      console.log("🎯 Button state update:", {
+        status: status.status,
+        shouldEnable: shouldEnable,
+        buttonDisabled: this.startCalibrationBtn.disabled,
+      });
     }
 
-    calculateRelativeLuminance(hex) {
-      const r = parseInt(hex.substr(1, 2), 16) / 255;
-      const g = parseInt(hex.substr(3, 2), 16) / 255;
-      const b = parseInt(hex.substr(5, 2), 16) / 255;
+    getStatusType(status) {
+      const types = {
+        "no-face": "waiting",
+        align: "detecting",
+        "too-left": "detecting",
+        "too-right": "detecting",
+        "too-high": "detecting",
+        "too-low": "detecting",
+        "too-close": "error",
+        "too-far": "error",
+        good: "aligned",
+      };
+      return types[status] || "waiting";
+    }
 
-      const rLinear =
-        r <= 0.03928 ? r / 12.92 : Math.pow((r + 0.055) / 1.055, 2.4);
-      const gLinear =
-        g <= 0.03928 ? g / 12.92 : Math.pow((g + 0.055) / 1.055, 2.4);
-      const bLinear =
-        b <= 0.03928 ? b / 12.92 : Math.pow((b + 0.055) / 1.055, 2.4);
+    updateFontPreview() {
+      this.fontPreview.style.fontSize = this.baseFontSizeValue + "px";
+    }
 
-      return 0.2126 * rLinear + 0.7152 * gLinear + 0.0722 * bLinear;
+    setBaseFontSize(size) {
+      this.baseFontSize.value = size;
+      this.baseFontValue.textContent = size + "px";
+      this.baseFontSizeValue = size;
+      this.updateFontPreview();
     }
 
-    calculateContrastRatio(color1, color2) {
-      const l1 = this.calculateRelativeLuminance(color1);
-      const l2 = this.calculateRelativeLuminance(color2);
+    startLegibilityTest() {
+      this.legibilityTest = { sizeIndex: 0, misses: 0, smallestReadable: null };
+      this.setLegibilityControlsEnabled(true);
+      this.legibilityStartBtn.textContent = "重新测试";
+      this.showLegibilityTrial();
+    }
 
-      const lighter = Math.max(l1, l2);
-      const darker = Math.min(l1, l2);
+    setLegibilityControlsEnabled(enabled) {
+      this.legibilityInput.disabled = !enabled;
+      this.legibilityAnswerBtn.disabled = !enabled;
+      this.legibilityGiveUpBtn.disabled = !enabled;
+    }
 
-      return (lighter + 0.05) / (darker + 0.05);
+    showLegibilityTrial() {
+      const test = this.legibilityTest;
+      const size = LEGIBILITY_TEST.sizes[test.sizeIndex];
+      const { letters } = LEGIBILITY_TEST;
+
+      let text;
+      do {
+        text = Array.from(
+          { length: LEGIBILITY_TEST.length },
+          () => letters[Math.floor(Math.random() * letters.length)]
+        ).join("");
+      } while (text === test.expected);
+      test.expected = text;
+
+      const sample = document.createElement("span");
+      sample.textContent = text;
+      sample.style.fontSize = LEGIBILITY_TEST.renderSize + "px";
+      sample.style.transform = `scale(${size / LEGIBILITY_TEST.renderSize})`;
+      this.legibilitySample.replaceChildren(sample);
+      this.legibilityInput.value = "";
+      this.legibilityInput.focus();
+      this.legibilityHint.textContent = `第${test.sizeIndex + 1}/${
+        LEGIBILITY_TEST.sizes.length
+      }级（${size}px）：请保持正常阅读距离，输入看到的字母`;
     }
 
-    adjustColorForContrast(
-      baseColor,
-      targetColor,
-      targetRatio,
-      adjustBackground = true
-    ) {
-      const baseLuminance = this.calculateRelativeLuminance(baseColor);
-      const targetLuminance = this.calculateRelativeLuminance(targetColor);
+    // 摄像头已启动时只在对准校准框（即校准距离）时计分，结果才与校准距离对应
+    answerLegibilityTrial(answer) {
+      const test = this.legibilityTest;
+      if (!test) return;
 
-      let newLuminance;
-      if (adjustBackground) {
-        if (baseLuminance > targetLuminance) {
-          newLuminance = (baseLuminance + 0.05) * targetRatio - 0.05;
-        } else {
-          newLuminance = (baseLuminance + 0.05) / targetRatio - 0.05;
-        }
-      } else {
-        if (targetLuminance > baseLuminance) {
-          newLuminance = (targetLuminance + 0.05) / targetRatio - 0.05;
-        } else {
-          newLuminance = (targetLuminance + 0.05) * targetRatio - 0.05;
-        }
+      if (this.distanceDetector && this.alignmentStatus !== "good") {
+        this.legibilityHint.textContent =
+          "请先回到校准框内的正常阅读位置，再输入看到的字母";
+        this.legibilityInput.focus();
+        return;
       }
 
-      newLuminance = Math.max(0, Math.min(1, newLuminance));
+      if (answer.trim().toUpperCase() === test.expected) {
+        test.smallestReadable = LEGIBILITY_TEST.sizes[test.sizeIndex];
+        test.readableAt = this.distanceDetector
+          ? { distanceCm: this.currentDistanceCm, offset: this.currentDistance }
+          : null;
+        test.sizeIndex++;
+        test.misses = 0;
+        if (test.sizeIndex >= LEGIBILITY_TEST.sizes.length) {
+          this.finishLegibilityTest();
+          return;
+        }
+      } else if (++test.misses >= LEGIBILITY_TEST.attemptsPerSize) {
+        this.finishLegibilityTest();
+        return;
+      }
 
-      return this.luminanceToColor(newLuminance, targetColor);
+      this.showLegibilityTrial();
     }
 
-    luminanceToColor(targetLuminance, baseColor) {
-      targetLuminance = Math.max(0, Math.min(1, targetLuminance));
+    finishLegibilityTest() {
+      const { smallestReadable, readableAt } = this.legibilityTest;
+      this.legibilityTest = null;
+      this.setLegibilityControlsEnabled(false);
+      this.legibilitySample.textContent = "";
 
-      const r = parseInt(baseColor.substr(1, 2), 16);
-      const g = parseInt(baseColor.substr(3, 2), 16);
-      const b = parseInt(baseColor.substr(5, 2), 16);
+      if (!smallestReadable) {
+        this.legibilityHint.textContent =
+          "最大的字母也未能读出，请确认距离和光线后重新测试";
+        return;
+      }
 
-      const currentLuminance = this.calculateRelativeLuminance(baseColor);
+      const min = parseFloat(this.baseFontSize.min);
+      const max = parseFloat(this.baseFontSize.max);
+      const proposed = Math.max(
+        min,
+        Math.min(
+          max,
+          Math.round(smallestReadable * LEGIBILITY_TEST.comfortFactor * 2) / 2
+        )
+      );
+      // 未开启摄像头时距离未知，distanceCm/offset为null
+      this.legibilityResult = {
+        smallestReadableSize: smallestReadable,
+        proposedFontSize: proposed,
+        distanceCm: readableAt ? readableAt.distanceCm : null,
+        offset: readableAt ? readableAt.offset : null,
+        timestamp: Date.now(),
+      };
+      console.log("👓 Legibility test result:", this.legibilityResult);
 
-      if (Math.abs(targetLuminance - currentLuminance) < 0.001) {
-        return baseColor;
-      }
+      this.setBaseFontSize(proposed);
+      this.legibilityHint.textContent = `能看清的最小字号为${smallestReadable}px，推荐基准字体${proposed}px（已应用，可继续微调）`;
 
-      let factor;
-      if (targetLuminance > currentLuminance) {
-        factor = Math.pow(targetLuminance / currentLuminance, 0.4);
-      } else {
-        factor = Math.pow(targetLuminance / currentLuminance, 0.6);
+      // 已有校准时直接更新其基准字体，保存后生效
+      if (this.calibrationData) {
+        this.calibrationData = {
+          ...this.calibrationData,
+          referenceFontSize: proposed,
+          legibility: this.legibilityResult,
+        };
+        this.saveCalibrationBtn.disabled = false;
       }
+    }
 
-      const newR = Math.round(Math.max(0, Math.min(255, r * factor)));
-      const newG = Math.round(Math.max(0, Math.min(255, g * factor)));
-      const newB = Math.round(Math.max(0, Math.min(255, b * factor)));
+    async startCalibration() {
+      if (!this.distanceDetector) {
+        this.showToast("请先启动摄像头", "error");
+        return;
+      }
 
-      const result = `#${newR.toString(16).padStart(2, "0")}${newG
-        .toString(16)
-        .padStart(2, "0")}${newB.toString(16).padStart(2, "0")}`;
+      this.isCalibrating = true;
+      this.startCalibrationBtn.disabled = true;
+      this.showCalibrationQuality(null);
+      this.updateStatus("detecting", "校准中... 请保持位置不动");
+      this.distanceDetector.beginCalibrationCapture();
 
-      console.log(
-        `🎨 [COLOR] Luminance conversion: ${baseColor} (${currentLuminance.toFixed(
-          3
-        )}) → ${result} (${this.calculateRelativeLuminance(result).toFixed(
-          3
-        )}) target: ${targetLuminance.toFixed(3)}`
-      );
+      let countdown = this.calibrationCountdown;
+      this.countdownTimer = setInterval(() => {
+        this.updateStatus("detecting", `校准中... ${countdown}秒`);
+        countdown--;
 
-      return result;
+        if (countdown < 0) {
+          clearInterval(this.countdownTimer);
+          this.countdownTimer = null;
+          this.completeCalibration();
+        }
+      }, 1000);
     }
 
-    getContrastColorsForRatio(targetRatio) {
-      const baseBackground = this.baseBackgroundColor;
-      const baseText = this.baseTextColor;
+    setAutoCalibration(changes) {
+      this.autoCalibration = { ...this.autoCalibration, ...changes };
+      StorageManager.set("reading-mode-auto-calibration", this.autoCalibration);
+      if (this.autoPhase !== "capturing") {
+        this.setAutoPhase("idle");
+      }
+    }
 
-      const adjustedText = this.adjustColorForContrast(
-        baseText,
-        baseBackground,
-        targetRatio,
-        false
+    setAutoPhase(phase) {
+      this.autoPhase = phase;
+      this.autoPhaseSince = Date.now();
+      this.updateProgressRing(
+        phase === "holding" || phase === "capturing" ? 0 : null
       );
+    }
 
-      let adjustedBackground = baseBackground;
-      const baseRatio = 6.0;
-
-      if (targetRatio < baseRatio) {
-        // 低对比度：调亮背景
-        const factor = 1 + (baseRatio - targetRatio) * 0.03; // 增加变化幅度
-        adjustedBackground = this.adjustBrightness(baseBackground, factor);
-      } else if (targetRatio > baseRatio) {
-        // 高对比度：调暗背景
-        const factor = 1 - (targetRatio - baseRatio) * 0.02; // 增加变化幅度
-        adjustedBackground = this.adjustBrightness(baseBackground, factor);
+    // 由逐帧的对准状态驱动：good持续holdTime后开始采集；
+    // 采集期间即使偏离也继续，由质量评估决定是否接受
+    updateAutoCalibration(status) {
+      if (
+        !this.autoCalibration.enabled ||
+        !this.distanceDetector ||
+        this.multiPointStepIndex >= 0 ||
+        this.autoPhase === "done"
+      ) {
+        return;
       }
 
-      const finalRatio = this.calculateContrastRatio(
-        adjustedText,
-        adjustedBackground
-      );
+      const elapsed = Date.now() - this.autoPhaseSince;
 
-      let description;
-      if (finalRatio < 4.5) {
-        description = "低对比度 (未达标)";
-      } else if (finalRatio < 7.0) {
-        description = "中等对比度 (AA标准)";
-      } else {
-        description = "高对比度 (AAA标准)";
+      if (this.autoPhase === "capturing") {
+        const duration = (this.calibrationCountdown + 1) * 1000;
+        this.updateProgressRing(elapsed / duration);
+        this.calibrationInstruction.textContent = "正在校准，请保持不动";
+        return;
       }
+      if (this.isCalibrating) return; // 手动校准进行中
 
-      console.log(
-        `🎨 [CONTRAST] Smooth ratio: target=${targetRatio.toFixed(
-          2
-        )}:1, actual=${finalRatio.toFixed(2)}:1 (${description})`
-      );
+      if (status !== "good") {
+        if (this.autoPhase !== "idle") this.setAutoPhase("idle");
+        return;
+      }
 
-      return {
-        background: adjustedBackground,
-        text: adjustedText,
-        ratio: finalRatio,
-        description: description,
-      };
+      if (this.autoPhase === "idle") {
+        this.setAutoPhase("holding");
+      } else if (elapsed >= this.autoCalibration.holdTime) {
+        this.setAutoPhase("capturing");
+        this.startCalibration();
+        return;
+      } else {
+        this.updateProgressRing(elapsed / this.autoCalibration.holdTime);
+      }
+      this.calibrationInstruction.textContent = "保持不动，即将自动校准";
     }
 
-    adjustBrightness(hex, factor) {
-      const r = parseInt(hex.substr(1, 2), 16);
-      const g = parseInt(hex.substr(3, 2), 16);
-      const b = parseInt(hex.substr(5, 2), 16);
+    // progress为null时隐藏
+    updateProgressRing(progress) {
+      if (!this.progressRing) return;
 
-      const newR = Math.round(Math.max(0, Math.min(255, r * factor)));
-      const newG = Math.round(Math.max(0, Math.min(255, g * factor)));
-      const newB = Math.round(Math.max(0, Math.min(255, b * factor)));
+      if (progress === null) {
+        this.progressRing.setAttribute("class", "calibration-progress-ring");
+        return;
+      }
 
-      return `#${newR.toString(16).padStart(2, "0")}${newG
-        .toString(16)
-        .padStart(2, "0")}${newB.toString(16).padStart(2, "0")}`;
+      this.progressRing.setAttribute(
+        "class",
+        `calibration-progress-ring visible ${this.autoPhase}`
+      );
+      this.progressRing
+        .querySelector(".progress-ring-fill")
+        .style.setProperty(
+          "stroke-dashoffset",
+          String(100 * (1 - Math.min(1, progress)))
+        );
     }
 
-    updateDynamicContrastStatus(status) {
-      const statusElement = document.querySelector(".dynamic-contrast-status");
-      if (statusElement) {
-        statusElement.textContent = `动态对比度: ${status}`;
+    finishAutoCalibration(quality) {
+      if (quality && quality.score >= this.autoCalibration.minScore) {
+        this.setAutoPhase("done");
+        this.saveCalibration();
+        return;
       }
-    }
-
-    openCalibrationDialog() {
-      // Create complete calibration dialog
-      const dialog = document.createElement("div");
-      dialog.className = "calibration-dialog-overlay";
-      dialog.innerHTML = `
-        <div class="calibration-dialog-full">
-          <div class="calibration-dialog-header">
-            <h3>📏 字体校准</h3>
-            <button class="calibration-close-btn">×</button>
-          </div>
-          
-          <div class="calibration-dialog-body">
-            <div class="calibration-description">
-              <p>请将您的脸部对准摄像头，保持在方形框内，系统将自动校准您的阅读距离。</p>
-            </div>
-            
-            <div class="calibration-container">
-              <div class="calibration-left">
-                <div class="video-container">
-                  <video id="calibrationVideo" class="video-preview" autoplay muted></video>
-                  <div class="calibration-overlay" id="calibrationOverlay">
-                    <div class="calibration-instruction" id="calibrationInstruction">
-                      请将脸部对准框内
-                    </div>
-                  </div>
-                </div>
-              </div>
-              
-              <div class="calibration-right">
-                <div class="status-indicator waiting" id="calibrationStatus">
-                  <div class="status-dot"></div>
-                  <span id="statusText">等待摄像头启动...</span>
-                </div>
-                
-                <div class="control-group">
-                  <label class="control-label">基准字体大小</label>
-                  <div class="slider-container">
-                    <input type="range" id="baseFontSize" class="slider" min="10" max="32" value="16" step="0.5" />
-                    <span class="slider-value" id="baseFontValue">16px</span>
-                  </div>
-                  <div class="control-hint">
-                    设置阅读模式的基准字体大小。动态调整范围：12px - 32px
-                  </div>
-                </div>
-                
-                <div class="control-group">
-                  <label class="control-label">字体预览</label>
-                  <div class="font-preview" id="fontPreview">
-                    这是基准字体大小的预览效果
-                  </div>
-                </div>
-                
-                <div class="calibration-buttons">
-                  <button id="startCameraBtn" class="btn btn-secondary">启动摄像头</button>
-                  <button id="startCalibrationBtn" class="btn btn-primary" disabled>开始校准</button>
-                  <button id="saveCalibrationBtn" class="btn btn-primary" disabled>保存校准</button>
-                  <button id="resetCalibrationBtn" class="btn btn-danger">重置校准</button>
-                </div>
-              </div>
-            </div>
-            
-            <div class="calibration-info">
-              <h4>📖 校准说明</h4>
-              <ul>
-                <li>确保您的脸部完全在方形框内</li>
-                <li>保持正常的阅读距离（约50-70厘米）</li>
-                <li>调整基准字体大小到您感觉舒适的大小</li>
-                <li>点击"开始校准"按钮，保持姿势3秒钟</li>
-                <li>校准完成后点击"保存校准"</li>
-              </ul>
-            </div>
-          </div>
-        </div>
-      `;
-
-      document.body.appendChild(dialog);
-
-      // Initialize calibration manager
-      const calibrationManager = new CalibrationDialogManager(dialog);
-
-      // Handle dialog close
-      const closeBtn = dialog.querySelector(".calibration-close-btn");
-      closeBtn.addEventListener("click", () => {
-        calibrationManager.cleanup();
-        dialog.remove();
-      });
 
-      dialog.addEventListener("click", (e) => {
-        if (e.target === dialog) {
-          calibrationManager.cleanup();
-          dialog.remove();
-        }
-      });
+      this.setAutoPhase("idle");
+      if (quality) {
+        this.showToast(
+          `校准质量${quality.score}分，低于自动保存要求（${this.autoCalibration.minScore}分），将重新校准`,
+          "info"
+        );
+      }
     }
 
-    showCalibrationRequiredDialog() {
-      console.log("⚠️ Showing calibration required dialog");
+    async completeCalibration() {
+      let quality = null;
+      try {
+        const calibrationResult = await this.distanceDetector.calibrate(
+          this.baseFontSizeValue
+        );
+        quality = calibrationResult.quality;
 
-      const calibrationData = CalibrationManager.getCalibration();
-      let message = "请先在校准页面进行校准后再使用动态字体调整功能";
+        this.calibrationData = {
+          referenceFaceWidth: calibrationResult.referenceFaceWidth,
+          referenceDistance: calibrationResult.referenceDistance,
+          referenceFontSize: calibrationResult.referenceFontSize,
+          faceSignature: calibrationResult.faceSignature,
+          environment: calibrationResult.environment,
+          quality: calibrationResult.quality,
+          legibility: this.legibilityResult,
+          timestamp: calibrationResult.timestamp,
+        };
 
-      if (calibrationData) {
-        if (!calibrationData.referenceFaceWidth) {
-          message = "校准数据不完整，请重新进行校准";
-        } else {
-          message = "校准数据可能已过期，请重新进行校准";
-        }
+        this.updateStatus("aligned", "校准完成！请点击保存校准");
+        this.showCalibrationQuality(calibrationResult.quality);
+        this.saveCalibrationBtn.disabled = false;
+        this.showToast("校准完成！", "success");
+      } catch (error) {
+        console.error("❌ Calibration failed:", error);
+        this.updateStatus("error", `校准失败：${error.message}`);
+        this.showCalibrationQuality(error.quality || null);
+        this.showToast(`校准失败，${error.message}`, "error");
       }
 
-      this.showErrorMessage(message);
+      this.isCalibrating = false;
+      this.startCalibrationBtn.disabled = false;
 
-      const checkbox = this.floatingMenu.querySelector(
-        ".dynamic-font-checkbox"
-      );
-      if (checkbox) {
-        checkbox.checked = false;
-        this.isDynamicFontEnabled = false;
-        this.saveSettings();
+      if (this.autoPhase === "capturing") {
+        this.finishAutoCalibration(quality);
       }
     }
 
-    showErrorMessage(message) {
-      const toast = document.createElement("div");
-      toast.className = "error-toast";
-      toast.textContent = message;
-
-      document.body.appendChild(toast);
+    startMultiPointCalibration() {
+      if (!this.distanceDetector) {
+        this.showToast("请先启动摄像头", "error");
+        return;
+      }
 
-      setTimeout(() => {
-        toast.remove();
-      }, 3000);
+      this.multiPointSamples = [];
+      this.calibrationData = null;
+      this.saveCalibrationBtn.disabled = true;
+      this.multiPointBtn.textContent = "重新开始";
+      this.setMultiPointStep(0);
     }
 
-    loadSettings() {
-      console.log(`🔧 [LOAD-SETTINGS] Loading settings from localStorage...`);
-      const settings = localStorage.getItem("reading-mode-settings");
-      console.log(`🔧 [LOAD-SETTINGS] Raw settings:`, settings);
+    setMultiPointStep(index) {
+      this.multiPointStepIndex = index;
+      this.captureSampleBtn.disabled = true;
 
-      if (settings) {
-        const parsed = JSON.parse(settings);
-        console.log(`🔧 [LOAD-SETTINGS] Parsed settings:`, parsed);
+      this.multiPointSteps
+        .querySelectorAll(".multi-point-step")
+        .forEach((element, i) => {
+          element.classList.toggle("active", i === index);
+          element.classList.toggle("done", i < index);
+        });
 
-        this.isDynamicFontEnabled = parsed.isDynamicFontEnabled || false;
-        this.isDynamicContrastEnabled =
-          parsed.isDynamicContrastEnabled || false;
+      if (index < 0) return;
 
-        console.log(
-          `🔧 [LOAD-SETTINGS] Set isDynamicFontEnabled: ${this.isDynamicFontEnabled}`
-        );
-        console.log(
-          `🔧 [LOAD-SETTINGS] Set isDynamicContrastEnabled: ${this.isDynamicContrastEnabled}`
-        );
+      const step = this.multiPointStepDefs[index];
+      this.multiPointHint.textContent = `第${index + 1}/3步：请移动到${
+        step.label
+      }，调整基准字体大小到舒适后点击"采集当前位置"`;
+    }
 
-        const dynamicFontCheckbox = this.floatingMenu.querySelector(
-          ".dynamic-font-checkbox"
-        );
-        if (dynamicFontCheckbox) {
-          dynamicFontCheckbox.checked = this.isDynamicFontEnabled;
-          console.log(
-            `🔧 [LOAD-SETTINGS] Font checkbox set to: ${dynamicFontCheckbox.checked}`
+    async captureMultiPointSample() {
+      const step = this.multiPointStepDefs[this.multiPointStepIndex];
+      if (!step) return;
+
+      try {
+        let faceWidth;
+        if (step.key === "normal") {
+          // 正常位置即参考位置，沿用单点校准的对准检查
+          const result = await this.distanceDetector.calibrate(
+            this.baseFontSizeValue
           );
-        }
-        const dynamicContrastCheckbox = this.floatingMenu.querySelector(
-          ".dynamic-contrast-checkbox"
-        );
-        if (dynamicContrastCheckbox) {
-          dynamicContrastCheckbox.checked = this.isDynamicContrastEnabled;
-          console.log(
-            `🔧 [LOAD-SETTINGS] Contrast checkbox set to: ${dynamicContrastCheckbox.checked}`
+          faceWidth = result.referenceFaceWidth;
+          this.multiPointReference = result;
+        } else {
+          faceWidth = this.distanceDetector.getDistanceFaceWidth(
+            this.distanceDetector.captureSample()
           );
+          const referenceWidth = this.multiPointReference.referenceFaceWidth;
+
+          if (step.key === "near" && faceWidth < referenceWidth * 1.05) {
+            throw new Error("请比正常位置更靠近屏幕后重新采集");
+          }
+          if (step.key === "far" && faceWidth > referenceWidth * 0.95) {
+            throw new Error("请比正常位置更远离屏幕后重新采集");
+          }
         }
-      } else {
-        console.log(`🔧 [LOAD-SETTINGS] No settings found, using defaults`);
+
+        this.multiPointSamples.push({
+          position: step.key,
+          faceWidth,
+          fontSize: this.baseFontSizeValue,
+        });
+        this.showToast(`已采集${step.label}`, "success");
+
+        if (this.multiPointStepIndex < this.multiPointStepDefs.length - 1) {
+          this.setMultiPointStep(this.multiPointStepIndex + 1);
+        } else {
+          this.completeMultiPointCalibration();
+        }
+      } catch (error) {
+        console.error("❌ Multi-point sample failed:", error);
+        this.showToast(error.message, "error");
       }
     }
 
-    saveSettings() {
-      const settings = {
-        isDynamicFontEnabled: this.isDynamicFontEnabled,
-        isDynamicContrastEnabled: this.isDynamicContrastEnabled,
+    completeMultiPointCalibration() {
+      const reference = this.multiPointReference;
+      const curve = DistanceCurve.fit(
+        this.multiPointSamples.map((sample) => ({
+          relativeDistance: reference.referenceFaceWidth / sample.faceWidth,
+          fontScale: sample.fontSize / reference.referenceFontSize,
+        }))
+      );
+
+      this.calibrationData = {
+        referenceFaceWidth: reference.referenceFaceWidth,
+        referenceDistance: reference.referenceDistance,
+        referenceFontSize: reference.referenceFontSize,
+        fontCurve: curve,
+        faceSignature: reference.faceSignature,
+        environment: reference.environment,
+        quality: reference.quality,
+        legibility: this.legibilityResult,
+        timestamp: reference.timestamp,
       };
-      localStorage.setItem("reading-mode-settings", JSON.stringify(settings));
+
+      // 滑块恢复为参考位置的字体大小
+      this.setBaseFontSize(reference.referenceFontSize);
+
+      this.setMultiPointStep(-1);
+      this.multiPointSteps
+        .querySelectorAll(".multi-point-step")
+        .forEach((element) => element.classList.add("done"));
+      this.multiPointHint.textContent = `曲线拟合完成（指数 ${curve.exponent.toFixed(
+        2
+      )}），请点击保存校准`;
+      this.multiPointBtn.textContent = "多点校准";
+
+      this.updateStatus("aligned", "多点校准完成！请点击保存校准");
+      this.saveCalibrationBtn.disabled = false;
     }
 
-    onDynamicError(error) {
-      console.error("❌ Dynamic features error:", error);
+    saveCalibration() {
+      if (!this.calibrationData) {
+        this.showToast("请先完成校准", "error");
+        return;
+      }
 
-      this.updateDynamicFontStatus("错误");
-      this.updateDynamicContrastStatus("错误");
+      // 记录校准时屏幕的像素密度，视角模式据此在其他屏幕上换算字号
+      const geometry = DisplayGeometryManager.getGeometry();
+      if (geometry) {
+        this.calibrationData = {
+          ...this.calibrationData,
+          display: {
+            key: DisplayGeometryManager.getDisplayKey(),
+            pxPerMm: geometry.pxPerMm,
+          },
+        };
+      }
 
-      const errorMessage = error.message || "动态功能启动失败";
-      const statusContainer = document.querySelector(".reading-mode-info-left");
-      if (statusContainer) {
-        const errorSpan = document.createElement("span");
-        errorSpan.className = "dynamic-error-status";
-        errorSpan.style.color = "#ff4444";
-        errorSpan.textContent = `错误: ${errorMessage}`;
-        statusContainer.appendChild(errorSpan);
+      try {
+        CalibrationManager.saveCalibration(this.calibrationData);
+        if (this.distanceDetector) {
+          this.distanceDetector.loadCalibration(this.calibrationData);
+        }
+        this.showToast("校准数据已保存！", "success");
+        this.saveCalibrationBtn.disabled = true;
+        this.updateStatus("aligned", "校准数据已保存，可以使用动态字体功能");
 
+        // Close dialog after successful save
         setTimeout(() => {
-          if (errorSpan.parentNode) {
-            errorSpan.parentNode.removeChild(errorSpan);
-          }
-        }, 5000);
+          this.cleanup();
+          this.dialog.remove();
+        }, 1500);
+      } catch (error) {
+        console.error("❌ Failed to save calibration:", error);
+        this.showToast("保存失败，请重试", "error");
       }
     }
 
-    startReadingTimer() {
-      this.startTime = Date.now();
-      this.timerElement = document.getElementById("readingTimer");
-
-      if (this.timerElement) {
-        this.timerInterval = setInterval(() => {
-          this.updateTimerDisplay();
-        }, 1000);
+    resetCalibration() {
+      try {
+        CalibrationManager.clearCalibration();
+        this.calibrationData = null;
+        this.multiPointSamples = [];
+        this.setMultiPointStep(-1);
+        this.saveCalibrationBtn.disabled = true;
+        this.showCalibrationQuality(null);
+        this.updateStatus("waiting", "校准数据已清除");
+        this.showToast("校准数据已清除", "success");
 
-        console.log("⏱️ Reading timer started");
+        if (this.distanceDetector) {
+          this.distanceDetector.resetCalibration();
+        }
+      } catch (error) {
+        console.error("❌ Failed to reset calibration:", error);
+        this.showToast("重置失败，请重试", "error");
       }
     }
 
-    stopReadingTimer() {
-      if (this.timerInterval) {
-        clearInterval(this.timerInterval);
-        this.timerInterval = null;
+    checkExistingCalibration() {
+      try {
+        const saved = CalibrationManager.getCalibration();
+        this.showCalibrationQuality(saved && saved.quality);
+        if (saved) {
+          this.calibrationData = saved;
+          if (this.calibrationData.referenceFontSize) {
+            this.setBaseFontSize(this.calibrationData.referenceFontSize);
+          }
+          this.updateStatus("aligned", "检测到已保存的校准数据");
+        }
+      } catch (error) {
+        console.error("❌ Failed to load calibration:", error);
       }
+    }
 
-      if (this.startTime) {
-        const readingDuration = Date.now() - this.startTime;
-
-        // 只显示阅读时长，不保存下载文件
-        console.log(
-          `⏱️ Reading timer stopped. Duration: ${this.formatTime(
-            readingDuration
-          )}`
-        );
-
-        this.startTime = null;
-        this.timerElement = null;
-      }
+    updateStatus(type, message) {
+      this.statusIndicator.className = `status-indicator ${type}`;
+      this.statusText.textContent = message;
     }
 
-    updateTimerDisplay() {
-      if (this.startTime && this.timerElement) {
-        const elapsed = Date.now() - this.startTime;
-        this.timerElement.textContent = this.formatTime(elapsed);
+    showCalibrationQuality(quality) {
+      if (!quality) {
+        this.qualityElement.className = "calibration-quality";
+        this.qualityElement.textContent = "";
+        return;
       }
+
+      this.qualityElement.className = `calibration-quality visible ${CalibrationManager.getQualityLevel(
+        quality.score
+      )}`;
+      this.qualityElement.textContent =
+        CalibrationManager.formatQuality(quality);
     }
 
-    formatTime(milliseconds) {
-      const totalSeconds = Math.floor(milliseconds / 1000);
-      const minutes = Math.floor(totalSeconds / 60);
-      const seconds = totalSeconds % 60;
-      return `${minutes.toString().padStart(2, "0")}:${seconds
-        .toString()
-        .padStart(2, "0")}`;
+    onError(error) {
+      console.error("❌ Distance detector error:", error);
+      this.updateStatus("error", "检测错误: " + error.message);
+      this.showToast("检测错误: " + error.message, "error");
     }
 
-    getCurrentArticleNumber() {
-      const urlMatch = window.location.pathname.match(/article-(\d+)\.html/);
-      if (urlMatch) {
-        return urlMatch[1];
-      }
+    showToast(message, type = "info") {
+      const toast = document.createElement("div");
+      toast.className = `calibration-toast ${type}`;
+      toast.textContent = message;
+      toast.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: ${
+          type === "error" ? "#ff4d4f" : type === "success" ? "#52c41a" : "#333"
+        };
+        color: white;
+        padding: 12px 20px;
+        border-radius: 6px;
+        z-index: 10003;
+        transform: translateX(100%);
+        transition: transform 0.3s ease;
+      `;
+      document.body.appendChild(toast);
 
-      const activeMenuItem = document.querySelector(".menu-item.active");
-      if (activeMenuItem) {
-        const hrefMatch = activeMenuItem.href.match(/article-(\d+)\.html/);
-        if (hrefMatch) {
-          return hrefMatch[1];
+      setTimeout(() => {
+        toast.style.transform = "translateX(0)";
+      }, 100);
+
+      setTimeout(() => {
+        toast.style.transform = "translateX(100%)";
+        setTimeout(() => {
+          if (toast.parentNode) {
+            document.body.removeChild(toast);
+          }
+        }, 300);
+      }, 3000);
+    }
+
+    cleanup() {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+      this.autoPhase = "done";
+      this.unsubscribeDetector();
+      this.setDebugOverlayEnabled(false);
+
+      if (this.distanceDetector) {
+        console.log("🧹 Releasing calibration dialog detector");
+        this.distanceDetector.endCalibrationCapture();
+        // 未保存的校准不应影响仍在运行的阅读模式
+        const saved = CalibrationManager.getCalibration();
+        if (saved) {
+          this.distanceDetector.loadCalibration(saved);
+        } else {
+          this.distanceDetector.resetCalibration();
         }
+        this.distanceDetector = null;
       }
+      DistanceDetectorService.release(this.detectorLease);
 
-      const titleMatch = document.title.match(/^(\d+)\./);
-      if (titleMatch) {
-        return titleMatch[1];
+      // 视频轨道属于共享检测器，这里只解除预览
+      if (this.videoElement) {
+        this.videoElement.srcObject = null;
       }
 
-      return "unknown";
+      console.log("✅ Calibration dialog cleanup complete");
     }
+  }
 
-    saveReadingTime(duration) {
-      const articleNumber = this.getCurrentArticleNumber();
-      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-      const filename = `article-${articleNumber}-${timestamp}.txt`;
-      const readingTimeFormatted = this.formatTime(duration);
+  // ===== 距离-字体曲线 =====
+  // 以幂函数 fontScale = coefficient × relativeDistance^exponent 拟合多点校准样本
+  // relativeDistance 为相对参考位置的距离倍数（参考位置为1）
+  class DistanceCurve {
+    static fit(samples) {
+      const points = samples.filter(
+        (sample) => sample.relativeDistance > 0 && sample.fontScale > 0
+      );
+      if (points.length === 0) {
+        throw new Error("没有可用的校准样本");
+      }
 
-      const content = `Article: ${articleNumber}
-Reading Duration: ${readingTimeFormatted}
-Start Time: ${new Date(this.startTime).toLocaleString()}
-End Time: ${new Date().toLocaleString()}
-Total Seconds: ${Math.floor(duration / 1000)}`;
+      // 对数空间中的最小二乘直线拟合
+      const xs = points.map((point) => Math.log(point.relativeDistance));
+      const ys = points.map((point) => Math.log(point.fontScale));
+      const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+      const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+      let covariance = 0;
+      let variance = 0;
+      xs.forEach((x, i) => {
+        covariance += (x - meanX) * (ys[i] - meanY);
+        variance += (x - meanX) * (x - meanX);
+      });
 
-      try {
-        const blob = new Blob([content], { type: "text/plain" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = filename;
-        a.style.display = "none";
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+      const exponent = variance > 0 ? covariance / variance : 0;
+      const coefficient = Math.exp(meanY - exponent * meanX);
 
-        console.log(`💾 Reading time saved to ${filename}`);
+      console.log(
+        `📈 [CURVE] Fitted font curve: scale = ${coefficient.toFixed(
+          3
+        )} × d^${exponent.toFixed(3)}`
+      );
 
-        this.showSuccessMessage(`阅读时间已保存: ${readingTimeFormatted}`);
-      } catch (error) {
-        console.error("❌ Error saving reading time:", error);
-        this.showErrorMessage("保存阅读时间失败");
-      }
+      return { type: "power", coefficient, exponent, samples: points };
     }
 
-    showSuccessMessage(message) {
-      const toast = document.createElement("div");
-      toast.className = "success-toast";
-      toast.textContent = message;
-
-      document.body.appendChild(toast);
-
-      setTimeout(() => {
-        toast.remove();
-      }, 3000);
+    static evaluate(curve, relativeDistance) {
+      const d = Math.max(0.1, relativeDistance);
+      return curve.coefficient * Math.pow(d, curve.exponent);
     }
   }
 
-  // ===== 校准对话框管理器 =====
-  class CalibrationDialogManager {
-    constructor(dialogElement) {
-      this.dialog = dialogElement;
-      this.videoElement = dialogElement.querySelector("#calibrationVideo");
-      this.statusIndicator = dialogElement.querySelector("#calibrationStatus");
-      this.statusText = dialogElement.querySelector("#statusText");
-      this.fontPreview = dialogElement.querySelector("#fontPreview");
-      this.baseFontSize = dialogElement.querySelector("#baseFontSize");
-      this.baseFontValue = dialogElement.querySelector("#baseFontValue");
-      this.startCameraBtn = dialogElement.querySelector("#startCameraBtn");
-      this.startCalibrationBtn = dialogElement.querySelector(
-        "#startCalibrationBtn"
-      );
-      this.saveCalibrationBtn = dialogElement.querySelector(
-        "#saveCalibrationBtn"
-      );
-      this.resetCalibrationBtn = dialogElement.querySelector(
-        "#resetCalibrationBtn"
-      );
-      this.calibrationOverlay = dialogElement.querySelector(
-        "#calibrationOverlay"
-      );
-      this.calibrationInstruction = dialogElement.querySelector(
-        "#calibrationInstruction"
-      );
-
-      this.distanceDetector = null;
-      this.isCalibrating = false;
-      this.calibrationData = null;
-      this.currentDistance = 0;
-      this.baseFontSizeValue = 16;
+  // ===== 读者档案 =====
+
+  const DEFAULT_PROFILE_ID = "default";
+
+  // 主题只决定基准配色，动态对比度在此基础上调整
+  const READING_THEMES = {
+    sepia: { name: "护眼", background: "#FBF0D9", text: "#5F4B32" },
+    light: { name: "明亮", background: "#FFFFFF", text: "#2B2B2B" },
+    dark: { name: "夜间", background: "#1F1F1F", text: "#D8D2C4" },
+  };
+
+  // 自动选择：人脸出现后取samples帧特征的中位数，与各档案校准时记录的特征比较
+  const PROFILE_AUTO_SELECT = { samples: 10, maxDifference: 0.05 };
+
+  // 每个档案有自己的主题和校准（含基准字体与距离-字体曲线），
+  // 默认档案的校准沿用原有存储键，升级前的数据无需迁移
+  class ProfileManager {
+    static load() {
+      const stored = StorageManager.get("reading-mode-profiles") || {};
+      const profiles = {
+        [DEFAULT_PROFILE_ID]: {
+          id: DEFAULT_PROFILE_ID,
+          name: "默认",
+          theme: "sepia",
+        },
+        ...(stored.profiles || {}),
+      };
+      return {
+        activeId: profiles[stored.activeId]
+          ? stored.activeId
+          : DEFAULT_PROFILE_ID,
+        autoSelect: stored.autoSelect || false,
+        profiles,
+      };
+    }
 
-      this.init();
+    static save(state) {
+      StorageManager.set("reading-mode-profiles", state);
     }
 
-    init() {
-      // Base font size slider
-      this.baseFontSize.addEventListener("input", (e) => {
-        this.baseFontSizeValue = parseFloat(e.target.value);
-        this.baseFontValue.textContent = this.baseFontSizeValue + "px";
-        this.updateFontPreview();
-      });
+    static getProfiles() {
+      return Object.values(this.load().profiles);
+    }
 
-      // Button events
-      this.startCameraBtn.addEventListener("click", () => this.startCamera());
-      this.startCalibrationBtn.addEventListener("click", () =>
-        this.startCalibration()
-      );
-      this.saveCalibrationBtn.addEventListener("click", () =>
-        this.saveCalibration()
-      );
-      this.resetCalibrationBtn.addEventListener("click", () =>
-        this.resetCalibration()
-      );
+    static getActiveProfileId() {
+      return this.load().activeId;
+    }
 
-      // Check existing calibration
-      this.checkExistingCalibration();
+    static getActiveProfile() {
+      const state = this.load();
+      return state.profiles[state.activeId];
+    }
 
-      // Initialize button states
-      this.startCameraBtn.disabled = false;
-      this.startCalibrationBtn.disabled = true;
-      this.saveCalibrationBtn.disabled = true;
+    static setActiveProfile(profileId) {
+      const state = this.load();
+      if (!state.profiles[profileId]) return false;
+      state.activeId = profileId;
+      this.save(state);
+      return true;
+    }
 
-      console.log("🎯 Calibration dialog initialized");
+    static createProfile(name) {
+      const state = this.load();
+      const profile = {
+        id: `profile-${Date.now().toString(36)}`,
+        name,
+        theme: state.profiles[state.activeId].theme,
+      };
+      state.profiles[profile.id] = profile;
+      this.save(state);
+      console.log("🧑 [PROFILE] Created profile:", profile);
+      return profile;
     }
 
-    async startCamera() {
-      try {
-        this.startCameraBtn.disabled = true;
-        this.startCameraBtn.textContent = "启动中...";
-        this.updateStatus("detecting", "正在启动摄像头...");
+    static updateProfile(profileId, changes) {
+      const state = this.load();
+      if (!state.profiles[profileId]) return;
+      state.profiles[profileId] = { ...state.profiles[profileId], ...changes };
+      this.save(state);
+    }
 
-        this.distanceDetector = new MediaPipeDistanceDetector({
-          onDistanceUpdate: (distance) => this.onDistanceUpdate(distance),
-          onError: (error) => this.onError(error),
-          onCalibrationFrameStatus: (status) =>
-            this.onCalibrationFrameStatus(status),
-          smoothingWindow: 5,
-          minConfidence: 0.5,
-          disableCamera: false,
-          basePath: "https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/",
-        });
+    // 默认档案不可删除；删除当前档案后回到默认档案
+    static deleteProfile(profileId) {
+      if (profileId === DEFAULT_PROFILE_ID) return false;
 
-        // 先初始化MediaPipe
-        await this.distanceDetector.initialize();
+      const state = this.load();
+      delete state.profiles[profileId];
+      if (state.activeId === profileId) {
+        state.activeId = DEFAULT_PROFILE_ID;
+      }
+      this.save(state);
+      CalibrationManager.clearProfileCalibrations(profileId);
+      console.log(`🗑️ [PROFILE] Deleted profile "${profileId}"`);
+      return true;
+    }
 
-        const success = await this.distanceDetector.startCamera();
+    static isAutoSelectEnabled() {
+      return this.load().autoSelect;
+    }
 
-        if (success) {
-          this.distanceDetector.statusThrottleDelay = 50;
-          this.distanceDetector.statusStabilityThreshold = 1;
+    static setAutoSelect(enabled) {
+      const state = this.load();
+      state.autoSelect = enabled;
+      this.save(state);
+    }
 
-          this.videoElement.srcObject = this.distanceDetector.video.srcObject;
-          this.updateStatus("aligned", "摄像头已启动，请调整位置");
+    // 在当前摄像头上校准过的档案中，找出人脸特征最接近且差异在阈值内的一个
+    static findMatchingProfile(
+      signature,
+      compareSignatures,
+      cameraKey = CameraDeviceManager.getCameraKey()
+    ) {
+      let best = null;
 
-          this.calibrationOverlay.classList.add("active", "no-face");
-          this.calibrationInstruction.textContent = "请将脸部对准框内";
+      this.getProfiles().forEach((profile) => {
+        const calibrationData = CalibrationManager.getCalibration(
+          cameraKey,
+          profile.id
+        );
+        if (!calibrationData || !calibrationData.faceSignature) return;
 
-          this.startCameraBtn.textContent = "摄像头已启动";
-          this.startCameraBtn.disabled = true;
+        const difference = compareSignatures(
+          signature,
+          calibrationData.faceSignature
+        );
+        if (
+          difference <= PROFILE_AUTO_SELECT.maxDifference &&
+          (!best || difference < best.difference)
+        ) {
+          best = { profile, difference };
+        }
+      });
 
-          // 启动MediaPipe检测循环
-          this.distanceDetector.startDetectionLoop();
+      return best;
+    }
 
-          console.log("✅ Camera started successfully in calibration dialog");
-        } else {
-          throw new Error("摄像头启动失败");
-        }
-      } catch (error) {
-        console.error("❌ Camera initialization failed:", error);
-        this.updateStatus("error", "摄像头启动失败，请检查权限设置");
-        this.showToast("摄像头启动失败，请检查权限设置", "error");
+    // 填充档案下拉框，档案之后是新建、重命名和删除操作
+    static populateSelect(select) {
+      const activeId = this.getActiveProfileId();
 
-        this.startCameraBtn.disabled = false;
-        this.startCameraBtn.textContent = "启动摄像头";
-      }
+      select.innerHTML = "";
+      this.getProfiles().forEach((profile) => {
+        select.appendChild(new Option(profile.name, profile.id));
+      });
+      select.appendChild(new Option("＋ 新建档案…", ":new"));
+      select.appendChild(new Option("重命名当前档案…", ":rename"));
+      const deleteOption = new Option("删除当前档案", ":delete");
+      deleteOption.disabled = activeId === DEFAULT_PROFILE_ID;
+      select.appendChild(deleteOption);
+      select.value = activeId;
     }
+  }
 
-    onDistanceUpdate(distanceData) {
-      if (!distanceData) return;
-      this.currentDistance = distanceData.offset;
+  // ===== 校准管理器 =====
+  // 校准按摄像头区分：默认摄像头沿用mediapipe-calibration，其余摄像头存于mediapipe-camera-calibrations
+  class CalibrationManager {
+    static getQualityLevel(score) {
+      if (score >= 80) return "good";
+      if (score >= 60) return "fair";
+      return "poor";
     }
 
-    onCalibrationFrameStatus(status) {
-      console.log("📊 [CALIBRATION DIALOG] Frame status update:", status);
-      console.log("📊 [CALIBRATION DIALOG] Status value:", status.status);
+    static formatQuality(quality) {
+      const percent = (value) => `${Math.round(value * 100)}%`;
+      return `质量 ${quality.score}分 · 稳定 ${percent(
+        quality.stability
+      )} · 检出 ${percent(quality.presence)} · 对准 ${percent(
+        quality.alignment
+      )}`;
+    }
 
-      if (!this.calibrationOverlay || !this.calibrationInstruction) {
-        console.error("❌ Calibration overlay elements not found!");
+    // 非默认档案的校准保存在reading-mode-profile-calibrations[档案][摄像头]
+    static saveCalibration(
+      data,
+      cameraKey = CameraDeviceManager.getCameraKey(),
+      profileId = ProfileManager.getActiveProfileId()
+    ) {
+      console.log(
+        `💾 Saving calibration data for camera "${cameraKey}" (profile "${profileId}"):`,
+        data
+      );
+      if (profileId !== DEFAULT_PROFILE_ID) {
+        const profileCalibrations =
+          StorageManager.get("reading-mode-profile-calibrations") || {};
+        profileCalibrations[profileId] = {
+          ...profileCalibrations[profileId],
+          [cameraKey]: data,
+        };
+        StorageManager.set(
+          "reading-mode-profile-calibrations",
+          profileCalibrations
+        );
         return;
       }
 
-      this.calibrationOverlay.className = "calibration-overlay active";
-
-      let instructionText = "请将脸部对准框内";
+      if (cameraKey === "default") {
+        StorageManager.set("mediapipe-calibration", data);
+        return;
+      }
 
-      if (status.status === "no-face") {
-        this.calibrationOverlay.classList.add("no-face");
-        instructionText = "请将脸部放入框内";
-      } else if (
-        status.status === "align" ||
-        status.status === "too-left" ||
-        status.status === "too-right" ||
-        status.status === "too-high" ||
-        status.status === "too-low"
-      ) {
-        this.calibrationOverlay.classList.add("align");
+      const calibrations =
+        StorageManager.get("mediapipe-camera-calibrations") || {};
+      calibrations[cameraKey] = data;
+      StorageManager.set("mediapipe-camera-calibrations", calibrations);
+    }
 
-        // 根据具体状态给出精确指导
-        if (status.status === "too-left") {
-          instructionText = "请向右移动";
-        } else if (status.status === "too-right") {
-          instructionText = "请向左移动";
-        } else if (status.status === "too-high") {
-          instructionText = "请向下移动";
-        } else if (status.status === "too-low") {
-          instructionText = "请向上移动";
+    static getCalibration(
+      cameraKey = CameraDeviceManager.getCameraKey(),
+      profileId = ProfileManager.getActiveProfileId()
+    ) {
+      try {
+        let calibrationData;
+        if (profileId !== DEFAULT_PROFILE_ID) {
+          calibrationData =
+            ((StorageManager.get("reading-mode-profile-calibrations") || {})[
+              profileId
+            ] || {})[cameraKey] || null;
         } else {
-          instructionText = "请调整位置对准框内";
+          calibrationData =
+            cameraKey === "default"
+              ? StorageManager.get("mediapipe-calibration")
+              : (StorageManager.get("mediapipe-camera-calibrations") || {})[
+                  cameraKey
+                ] || null;
         }
-      } else if (status.status === "good") {
-        this.calibrationOverlay.classList.add("ready");
-        instructionText = "位置完美！可以开始校准";
-      } else if (status.status === "too-close") {
-        this.calibrationOverlay.classList.add("too-close");
-        instructionText = "请远离一些";
-      } else if (status.status === "too-far") {
-        this.calibrationOverlay.classList.add("too-far");
-        instructionText = "请靠近一些";
+        console.log(
+          `📥 Loading calibration data for camera "${cameraKey}" (profile "${profileId}"):`,
+          calibrationData
+        );
+        return calibrationData;
+      } catch (error) {
+        console.error("❌ Error loading calibration data:", error);
+        return null;
       }
-
-      this.calibrationInstruction.textContent = instructionText;
-      this.updateStatus(this.getStatusType(status.status), instructionText);
-
-      const shouldEnable = status.status === "good";
-      this.startCalibrationBtn.disabled = !shouldEnable;
-
-      console.log("🎯 Button state update:", {
-        status: status.status,
-        shouldEnable: shouldEnable,
-        buttonDisabled: this.startCalibrationBtn.disabled,
-      });
-    }
-
-    getStatusType(status) {
-      const types = {
-        "no-face": "waiting",
-        align: "detecting",
-        "too-left": "detecting",
-        "too-right": "detecting",
-        "too-high": "detecting",
-        "too-low": "detecting",
-        "too-close": "error",
-        "too-far": "error",
-        good: "aligned",
-      };
-      return types[status] || "waiting";
     }
 
-    updateFontPreview() {
-      this.fontPreview.style.fontSize = this.baseFontSizeValue + "px";
+    static isCalibrated() {
+      const calibrationData = this.getCalibration();
+      const isCalibrated =
+        calibrationData && calibrationData.referenceFaceWidth;
+      console.log("🎯 Calibration status:", isCalibrated);
+      return isCalibrated;
     }
 
-    async startCalibration() {
-      if (!this.distanceDetector) {
-        this.showToast("请先启动摄像头", "error");
+    static clearCalibration(
+      cameraKey = CameraDeviceManager.getCameraKey(),
+      profileId = ProfileManager.getActiveProfileId()
+    ) {
+      console.log(
+        `🗑️ Clearing calibration data for camera "${cameraKey}" (profile "${profileId}")`
+      );
+      if (profileId !== DEFAULT_PROFILE_ID) {
+        const profileCalibrations =
+          StorageManager.get("reading-mode-profile-calibrations") || {};
+        if (profileCalibrations[profileId]) {
+          delete profileCalibrations[profileId][cameraKey];
+          StorageManager.set(
+            "reading-mode-profile-calibrations",
+            profileCalibrations
+          );
+        }
         return;
       }
 
-      this.isCalibrating = true;
-      this.startCalibrationBtn.disabled = true;
-      this.updateStatus("detecting", "校准中... 请保持位置不动");
+      if (cameraKey === "default") {
+        StorageManager.remove("mediapipe-calibration");
+        return;
+      }
 
-      let countdown = 3;
-      const countdownInterval = setInterval(() => {
-        this.updateStatus("detecting", `校准中... ${countdown}秒`);
-        countdown--;
+      const calibrations =
+        StorageManager.get("mediapipe-camera-calibrations") || {};
+      delete calibrations[cameraKey];
+      StorageManager.set("mediapipe-camera-calibrations", calibrations);
+    }
 
-        if (countdown < 0) {
-          clearInterval(countdownInterval);
-          this.completeCalibration();
-        }
-      }, 1000);
+    static clearProfileCalibrations(profileId) {
+      const profileCalibrations =
+        StorageManager.get("reading-mode-profile-calibrations") || {};
+      delete profileCalibrations[profileId];
+      StorageManager.set(
+        "reading-mode-profile-calibrations",
+        profileCalibrations
+      );
     }
+  }
 
-    async completeCalibration() {
-      try {
-        const calibrationResult = await this.distanceDetector.calibrate(
-          this.baseFontSizeValue
-        );
+  // ===== 摄像头设备管理 =====
+  // deviceId按站点隔离，跨站点共享选择和校准时以设备名称为准
+  class CameraDeviceManager {
+    static getSelectedCamera() {
+      return {
+        deviceId: "",
+        label: "",
+        resolution: "640x480",
+        ...(StorageManager.get("reading-mode-camera") || {}),
+      };
+    }
 
-        this.calibrationData = {
-          referenceFaceWidth: calibrationResult.referenceFaceWidth,
-          referenceFontSize: calibrationResult.referenceFontSize,
-          timestamp: calibrationResult.timestamp,
-        };
+    static setSelectedCamera(camera) {
+      StorageManager.set("reading-mode-camera", {
+        ...this.getSelectedCamera(),
+        ...camera,
+      });
+    }
 
-        this.updateStatus("aligned", "校准完成！请点击保存校准");
-        this.saveCalibrationBtn.disabled = false;
-        this.showToast("校准完成！", "success");
-      } catch (error) {
-        console.error("❌ Calibration failed:", error);
-        this.updateStatus("error", "校准失败，请重试");
-        this.showToast("校准失败，请确保人脸在检测范围内", "error");
-      }
+    static getCameraKey(camera = this.getSelectedCamera()) {
+      return camera.label || camera.deviceId || "default";
+    }
 
-      this.isCalibrating = false;
-      this.startCalibrationBtn.disabled = false;
+    static parseResolution(value) {
+      const [width, height] = String(value).split("x").map(Number);
+      return width && height ? { width, height } : { width: 640, height: 480 };
     }
 
-    saveCalibration() {
-      if (!this.calibrationData) {
-        this.showToast("请先完成校准", "error");
-        return;
+    // 未授权摄像头权限前浏览器不提供设备名称
+    static async listCameras() {
+      if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+        return [];
       }
 
       try {
-        localStorage.setItem(
-          "mediapipe-calibration",
-          JSON.stringify(this.calibrationData)
-        );
-        this.showToast("校准数据已保存！", "success");
-        this.saveCalibrationBtn.disabled = true;
-        this.updateStatus("aligned", "校准数据已保存，可以使用动态字体功能");
-
-        // Close dialog after successful save
-        setTimeout(() => {
-          this.cleanup();
-          this.dialog.remove();
-        }, 1500);
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+          .filter((device) => device.kind === "videoinput")
+          .map((device, index) => ({
+            deviceId: device.deviceId,
+            label: device.label,
+            displayName: device.label || `摄像头 ${index + 1}`,
+          }));
       } catch (error) {
-        console.error("❌ Failed to save calibration:", error);
-        this.showToast("保存失败，请重试", "error");
+        console.warn("⚠️ [CAMERA] Failed to enumerate devices:", error);
+        return [];
       }
     }
 
-    resetCalibration() {
-      try {
-        localStorage.removeItem("mediapipe-calibration");
-        this.calibrationData = null;
-        this.saveCalibrationBtn.disabled = true;
-        this.updateStatus("waiting", "校准数据已清除");
-        this.showToast("校准数据已清除", "success");
+    static findCamera(cameras, camera) {
+      return (
+        (camera.label && cameras.find((item) => item.label === camera.label)) ||
+        (camera.deviceId &&
+          cameras.find((item) => item.deviceId === camera.deviceId)) ||
+        null
+      );
+    }
 
-        if (this.distanceDetector) {
-          this.distanceDetector.calibration = {
-            isCalibrated: false,
-            referenceFaceWidth: null,
-            referenceDistance: 0,
-            timestamp: null,
-          };
-        }
-      } catch (error) {
-        console.error("❌ Failed to reset calibration:", error);
-        this.showToast("重置失败，请重试", "error");
-      }
+    static async resolveDeviceId(camera) {
+      if (!camera.deviceId && !camera.label) return null;
+      const match = this.findCamera(await this.listCameras(), camera);
+      return match ? match.deviceId : null;
     }
 
-    checkExistingCalibration() {
-      try {
-        const saved = localStorage.getItem("mediapipe-calibration");
-        if (saved) {
-          this.calibrationData = JSON.parse(saved);
-          if (this.calibrationData.referenceFontSize) {
-            this.baseFontSize.value = this.calibrationData.referenceFontSize;
-            this.baseFontValue.textContent =
-              this.calibrationData.referenceFontSize + "px";
-            this.baseFontSizeValue = this.calibrationData.referenceFontSize;
-            this.updateFontPreview();
-          }
-          this.updateStatus("aligned", "检测到已保存的校准数据");
-        }
-      } catch (error) {
-        console.error("❌ Failed to load calibration:", error);
-      }
+    // 填充摄像头下拉框，第一项为系统默认摄像头
+    static async populateSelect(select) {
+      const cameras = await this.listCameras();
+      const match = this.findCamera(cameras, this.getSelectedCamera());
+
+      select.innerHTML = "";
+      select.appendChild(new Option("系统默认", ""));
+      cameras.forEach((camera) => {
+        const option = new Option(camera.displayName, camera.deviceId);
+        option.dataset.label = camera.label;
+        select.appendChild(option);
+      });
+      select.value = match ? match.deviceId : "";
     }
 
-    updateStatus(type, message) {
-      this.statusIndicator.className = `status-indicator ${type}`;
-      this.statusText.textContent = message;
+    static getSelectionFromSelect(select) {
+      const option = select.selectedOptions[0];
+      return {
+        deviceId: select.value,
+        label: (select.value && option && option.dataset.label) || "",
+      };
     }
+  }
 
-    onError(error) {
-      console.error("❌ Distance detector error:", error);
-      this.updateStatus("error", "检测错误: " + error.message);
-      this.showToast("检测错误: " + error.message, "error");
+  // ===== 屏幕物理尺寸 =====
+
+  const CREDIT_CARD_WIDTH_MM = 85.6; // ISO/IEC 7810 ID-1卡片
+  const CREDIT_CARD_HEIGHT_MM = 53.98;
+  const CSS_PX_PER_MM = 96 / 25.4; // CSS规范假定的像素密度，屏幕未测量时使用
+  const DEFAULT_VIEWING_DISTANCE_CM = 50;
+
+  // 每块屏幕（按屏幕尺寸和缩放比例区分）单独保存一个CSS像素对应的物理长度，
+  // 视角模式据此把角度换算为字号
+  class DisplayGeometryManager {
+    static getDisplayKey() {
+      return `${window.screen.width}x${window.screen.height}@${
+        window.devicePixelRatio || 1
+      }`;
     }
 
-    showToast(message, type = "info") {
-      const toast = document.createElement("div");
-      toast.className = `calibration-toast ${type}`;
-      toast.textContent = message;
-      toast.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        background: ${
-          type === "error" ? "#ff4d4f" : type === "success" ? "#52c41a" : "#333"
-        };
-        color: white;
-        padding: 12px 20px;
-        border-radius: 6px;
-        z-index: 10003;
-        transform: translateX(100%);
-        transition: transform 0.3s ease;
-      `;
-      document.body.appendChild(toast);
+    static getGeometry(displayKey = this.getDisplayKey()) {
+      return (
+        (StorageManager.get("reading-mode-display-geometry") || {})[
+          displayKey
+        ] || null
+      );
+    }
 
-      setTimeout(() => {
-        toast.style.transform = "translateX(0)";
-      }, 100);
+    static saveGeometry(pxPerMm, method, displayKey = this.getDisplayKey()) {
+      const geometries =
+        StorageManager.get("reading-mode-display-geometry") || {};
+      geometries[displayKey] = { pxPerMm, method, timestamp: Date.now() };
+      StorageManager.set("reading-mode-display-geometry", geometries);
+      console.log(
+        `🖥️ Saved display geometry for "${displayKey}": ${pxPerMm.toFixed(
+          3
+        )} px/mm (${method})`
+      );
+    }
 
-      setTimeout(() => {
-        toast.style.transform = "translateX(100%)";
-        setTimeout(() => {
-          if (toast.parentNode) {
-            document.body.removeChild(toast);
-          }
-        }, 300);
-      }, 3000);
+    static getPxPerMm() {
+      const geometry = this.getGeometry();
+      return geometry ? geometry.pxPerMm : CSS_PX_PER_MM;
     }
 
-    cleanup() {
-      if (this.distanceDetector) {
-        console.log("🧹 Cleaning up calibration dialog detector");
-        this.distanceDetector.cleanup();
-        this.distanceDetector = null;
-      }
+    // 屏幕对角线以英寸计，页面需在该屏幕上显示
+    static pxPerMmFromDiagonal(inches) {
+      return (
+        Math.hypot(window.screen.width, window.screen.height) / (inches * 25.4)
+      );
+    }
 
-      // 额外清理视频元素
-      if (this.videoElement && this.videoElement.srcObject) {
-        const tracks = this.videoElement.srcObject.getTracks();
-        tracks.forEach((track) => track.stop());
-        this.videoElement.srcObject = null;
-      }
+    static fontSizeToArcMinutes(fontSize, distanceCm, pxPerMm) {
+      const sizeMm = fontSize / pxPerMm;
+      return (
+        ((2 * Math.atan(sizeMm / 2 / (distanceCm * 10)) * 180) / Math.PI) * 60
+      );
+    }
 
-      console.log("✅ Calibration dialog cleanup complete");
+    static arcMinutesToFontSize(arcMinutes, distanceCm, pxPerMm) {
+      const halfAngle = ((arcMinutes / 60) * Math.PI) / 180 / 2;
+      return 2 * distanceCm * 10 * Math.tan(halfAngle) * pxPerMm;
     }
   }
 
-  // ===== 校准管理器 =====
-  class CalibrationManager {
-    static saveCalibration(data) {
-      console.log("💾 Saving calibration data:", data);
-      localStorage.setItem("mediapipe-calibration", JSON.stringify(data));
+  // ===== 存储管理器 =====
+  // 优先使用用户脚本存储(GM_*)，校准与设置在所有站点间共享；不可用时回退到当前站点的localStorage
+  class StorageManager {
+    static isUserscriptStorageAvailable() {
+      return (
+        typeof GM_getValue === "function" &&
+        typeof GM_setValue === "function" &&
+        typeof GM_deleteValue === "function"
+      );
     }
 
-    static getCalibration() {
+    static get(key, defaultValue = null) {
       try {
-        const data = localStorage.getItem("mediapipe-calibration");
-        const calibrationData = data ? JSON.parse(data) : null;
-        console.log("📥 Loading calibration data:", calibrationData);
-        return calibrationData;
+        if (this.isUserscriptStorageAvailable()) {
+          const value = GM_getValue(key);
+          return value === undefined ? defaultValue : value;
+        }
+
+        const raw = localStorage.getItem(key);
+        return raw === null ? defaultValue : JSON.parse(raw);
       } catch (error) {
-        console.error("❌ Error loading calibration data:", error);
-        return null;
+        console.error(`❌ [STORAGE] Failed to read ${key}:`, error);
+        return defaultValue;
       }
     }
 
-    static isCalibrated() {
-      const calibrationData = this.getCalibration();
-      const isCalibrated =
-        calibrationData && calibrationData.referenceFaceWidth;
-      console.log("🎯 Calibration status:", isCalibrated);
-      return isCalibrated;
+    static set(key, value) {
+      if (this.isUserscriptStorageAvailable()) {
+        GM_setValue(key, value);
+      } else {
+        localStorage.setItem(key, JSON.stringify(value));
+      }
+    }
+
+    static remove(key) {
+      if (this.isUserscriptStorageAvailable()) {
+        GM_deleteValue(key);
+      } else {
+        localStorage.removeItem(key);
+      }
     }
 
-    static clearCalibration() {
-      console.log("🗑️ Clearing calibration data");
-      localStorage.removeItem("mediapipe-calibration");
+    // 将旧版本写入当前站点localStorage的数据迁移到用户脚本存储（每个站点只执行一次）
+    static migrateLocalData() {
+      if (!this.isUserscriptStorageAvailable()) return;
+
+      ["mediapipe-calibration", "reading-mode-settings"].forEach((key) => {
+        try {
+          const raw = localStorage.getItem(key);
+          if (raw === null) return;
+
+          const localValue = JSON.parse(raw);
+          const sharedValue = GM_getValue(key);
+
+          // 已有共享数据时只保留较新的校准；设置以共享数据为准
+          const shouldMigrate =
+            sharedValue === undefined ||
+            (key === "mediapipe-calibration" &&
+              localValue &&
+              localValue.timestamp > (sharedValue.timestamp || 0));
+
+          if (shouldMigrate) {
+            GM_setValue(key, localValue);
+            console.log(`📦 [STORAGE] Migrated ${key} from localStorage`);
+          }
+
+          localStorage.removeItem(key);
+        } catch (error) {
+          console.error(`❌ [STORAGE] Failed to migrate ${key}:`, error);
+        }
+      });
     }
   }
 
@@ -2777,6 +8834,54 @@ Total Seconds: ${Math.floor(duration / 1000)}`;
   transform: rotate(45deg);
 }
 
+.menu-select {
+  width: 100%;
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 10px 12px;
+  border-radius: 8px;
+  box-sizing: border-box;
+}
+
+.menu-select select {
+  max-width: 140px;
+  font-size: 13px;
+  padding: 2px 4px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  background: white;
+  color: #333;
+}
+
+.behavior-custom-fields {
+  display: none;
+  grid-template-columns: 1fr 1fr;
+  gap: 6px 10px;
+  padding: 0 12px 8px 40px;
+  font-size: 12px;
+  color: #666;
+}
+
+.behavior-custom-fields.visible {
+  display: grid;
+}
+
+.behavior-custom-fields label {
+  display: flex;
+  flex-direction: column;
+  gap: 2px;
+}
+
+.behavior-custom-fields input {
+  width: 100%;
+  box-sizing: border-box;
+  font-size: 12px;
+  padding: 2px 4px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+}
+
 .menu-divider {
   height: 1px;
   background: rgba(0, 0, 0, 0.1);
@@ -2927,36 +9032,81 @@ Total Seconds: ${Math.floor(duration / 1000)}`;
   gap: 16px;
 }
 
-.reading-mode-info-right {
-  display: flex;
-  align-items: center;
-  gap: 16px;
+.reading-mode-info-right {
+  display: flex;
+  align-items: center;
+  gap: 16px;
+}
+
+.font-size-info,
+.word-count-info,
+.reading-time-info,
+.reading-timer-info {
+  font-weight: 500;
+  color: #5f4b32; /* Sepia text color */
+}
+
+.reading-timer-info {
+  background: rgba(95, 75, 50, 0.1);
+  padding: 4px 8px;
+  border-radius: 4px;
+  font-family: "Courier New", monospace;
+}
+
+#readingTimer {
+  font-weight: 600;
+  color: #5f4b32;
+}
+
+.dynamic-font-status,
+.dynamic-contrast-status,
+.distance-info {
+  color: #5f4b32; /* Same sepia color for consistency */
+  font-weight: 500;
+}
+
+.manual-distance-control {
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 8px;
+  margin-top: 8px;
+  font-size: 12px;
+  color: #5f4b32;
+}
+
+.manual-distance-label {
+  font-weight: 600;
+}
+
+.manual-distance-preset {
+  padding: 2px 8px;
+  border: 1px solid rgba(95, 75, 50, 0.3);
+  border-radius: 4px;
+  background: transparent;
+  color: #5f4b32;
+  font-size: 12px;
+  cursor: pointer;
+}
+
+.manual-distance-preset.active {
+  background: rgba(95, 75, 50, 0.15);
+  font-weight: 600;
 }
 
-.font-size-info,
-.word-count-info,
-.reading-time-info,
-.reading-timer-info {
-  font-weight: 500;
-  color: #5f4b32; /* Sepia text color */
+.manual-distance-slider {
+  width: 160px;
+  accent-color: #5f4b32;
 }
 
-.reading-timer-info {
-  background: rgba(95, 75, 50, 0.1);
-  padding: 4px 8px;
-  border-radius: 4px;
+.manual-distance-value {
+  min-width: 44px;
   font-family: "Courier New", monospace;
-}
-
-#readingTimer {
   font-weight: 600;
-  color: #5f4b32;
 }
 
-.dynamic-font-status,
-.dynamic-contrast-status {
-  color: #5f4b32; /* Same sepia color for consistency */
-  font-weight: 500;
+.manual-distance-hint {
+  opacity: 0.6;
 }
 
 /* Calibration Dialog */
@@ -3084,6 +9234,56 @@ Total Seconds: ${Math.floor(duration / 1000)}`;
   animation: slideInRight 0.3s ease;
 }
 
+/* Calibration Warning */
+.calibration-warning {
+  position: fixed;
+  top: 20px;
+  left: 50%;
+  transform: translateX(-50%);
+  width: 420px;
+  max-width: calc(100vw - 40px);
+  padding: 14px 18px;
+  background: #fffbe6;
+  border: 1px solid #ffe58f;
+  border-radius: 8px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+  color: #614700;
+  font-size: 13px;
+  z-index: 10003;
+}
+
+.calibration-warning-title {
+  font-weight: 600;
+  margin-bottom: 6px;
+}
+
+.calibration-warning-list {
+  margin: 0 0 10px;
+  padding-left: 18px;
+  line-height: 1.6;
+}
+
+.calibration-warning-actions {
+  display: flex;
+  justify-content: flex-end;
+  gap: 8px;
+}
+
+.calibration-warning-actions button {
+  padding: 4px 12px;
+  border: 1px solid #d9d9d9;
+  border-radius: 4px;
+  background: #fff;
+  font-size: 13px;
+  cursor: pointer;
+}
+
+.calibration-warning-actions .calibration-warning-recalibrate {
+  background: #1890ff;
+  border-color: #1890ff;
+  color: #fff;
+}
+
 /* Success Toast */
 .success-toast {
   position: fixed;
@@ -3186,6 +9386,69 @@ Total Seconds: ${Math.floor(duration / 1000)}`;
   box-shadow: 0 20px 40px rgba(0, 0, 0, 0.3);
 }
 
+.display-ruler-dialog {
+  max-width: 560px;
+}
+
+.curve-editor-dialog {
+  max-width: 560px;
+}
+
+.curve-editor-chart {
+  margin-bottom: 12px;
+}
+
+.curve-editor-chart canvas {
+  display: block;
+  width: 100%;
+  margin-top: 6px;
+  border: 1px solid #f0f0f0;
+  border-radius: 6px;
+  cursor: crosshair;
+  touch-action: none;
+}
+
+.curve-editor-preview-group {
+  margin-top: 12px;
+}
+
+.curve-preview {
+  padding: 12px 16px;
+  border-radius: 8px;
+  line-height: 1.6;
+  transition: font-size 0.2s ease;
+}
+
+.ruler-card-area {
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  min-height: 200px;
+  margin-bottom: 16px;
+  overflow: hidden;
+}
+
+.ruler-card {
+  flex-shrink: 0;
+  border: 2px solid #1890ff;
+  border-radius: 4% / 6%;
+  background: rgba(24, 144, 255, 0.08);
+}
+
+.ruler-diagonal-input {
+  padding: 6px 8px;
+  font-size: 13px;
+  border: 1px solid #ddd;
+  border-radius: 6px;
+}
+
+.ruler-buttons {
+  display: flex;
+  justify-content: flex-end;
+  gap: 12px;
+  margin-top: 16px;
+}
+
 .calibration-dialog-header {
   display: flex;
   align-items: center;
@@ -3262,6 +9525,127 @@ Total Seconds: ${Math.floor(duration / 1000)}`;
   object-fit: cover;
 }
 
+.debug-toggle {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  margin-top: 8px;
+  font-size: 13px;
+  color: #666;
+  cursor: pointer;
+}
+
+.debug-overlay-canvas {
+  position: absolute;
+  top: 0;
+  left: 0;
+  width: 100%;
+  height: 100%;
+  object-fit: cover;
+  pointer-events: none;
+  z-index: 5;
+}
+
+.debug-overlay-stats {
+  position: absolute;
+  top: 8px;
+  left: 8px;
+  padding: 6px 8px;
+  background: rgba(0, 0, 0, 0.6);
+  color: #fff;
+  font: 11px/1.4 monospace;
+  white-space: pre;
+  border-radius: 6px;
+  pointer-events: none;
+  z-index: 11;
+}
+
+.debug-preview {
+  position: fixed;
+  left: 20px;
+  bottom: 60px;
+  width: 240px;
+  aspect-ratio: 4/3;
+  background: #000;
+  border-radius: 8px;
+  overflow: hidden;
+  box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+  pointer-events: none;
+  z-index: 9998;
+}
+
+.debug-preview-video {
+  display: block;
+  width: 100%;
+  height: 100%;
+  object-fit: cover;
+}
+
+.diagnostics-panel {
+  position: fixed;
+  top: 20px;
+  left: 20px;
+  width: 340px;
+  max-height: calc(100vh - 40px);
+  overflow-y: auto;
+  padding: 10px;
+  background: rgba(255, 255, 255, 0.97);
+  border-radius: 10px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.2);
+  font: 12px/1.4 -apple-system, BlinkMacSystemFont, sans-serif;
+  color: #333;
+  z-index: 10001;
+}
+
+.diagnostics-header {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  margin-bottom: 6px;
+}
+
+.diagnostics-title {
+  flex: 1;
+  font-weight: 600;
+}
+
+.diagnostics-header select,
+.diagnostics-header button {
+  font-size: 12px;
+  padding: 2px 6px;
+  border: 1px solid #d9d9d9;
+  border-radius: 4px;
+  background: #fff;
+  cursor: pointer;
+}
+
+.diagnostics-summary {
+  margin-bottom: 6px;
+  color: #666;
+}
+
+.diagnostics-chart {
+  margin-bottom: 6px;
+}
+
+.diagnostics-chart-title {
+  display: flex;
+  gap: 8px;
+  color: #555;
+}
+
+.diagnostics-legend {
+  font-size: 11px;
+}
+
+.diagnostics-chart canvas {
+  display: block;
+  width: 320px;
+  height: 70px;
+  background: #fafafa;
+  border-radius: 4px;
+}
+
 .calibration-overlay {
   position: absolute;
   top: 50%;
@@ -3306,6 +9690,52 @@ Total Seconds: ${Math.floor(duration / 1000)}`;
   box-shadow: 0 0 20px rgba(33, 150, 243, 0.8);
 }
 
+.calibration-progress-ring {
+  display: none;
+  position: absolute;
+  right: -18px;
+  bottom: -18px;
+  width: 36px;
+  height: 36px;
+  transform: rotate(-90deg);
+}
+
+.calibration-progress-ring.visible {
+  display: block;
+}
+
+.progress-ring-track,
+.progress-ring-fill {
+  fill: none;
+  stroke-width: 4;
+}
+
+.progress-ring-track {
+  stroke: rgba(255, 255, 255, 0.4);
+}
+
+.progress-ring-fill {
+  stroke: #1890ff;
+  stroke-dasharray: 100;
+  stroke-dashoffset: 100;
+  stroke-linecap: round;
+}
+
+.calibration-progress-ring.capturing .progress-ring-fill {
+  stroke: #52c41a;
+}
+
+.auto-calibrate-row {
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 8px;
+}
+
+.auto-calibrate-row .debug-toggle {
+  margin-top: 0;
+}
+
 .calibration-instruction {
   position: absolute;
   top: -50px;
@@ -3364,6 +9794,45 @@ Total Seconds: ${Math.floor(duration / 1000)}`;
   border-color: #ffccc7;
 }
 
+.calibration-quality {
+  display: none;
+  padding: 6px 12px;
+  border-radius: 6px;
+  font-size: 12px;
+}
+
+.calibration-quality.visible {
+  display: block;
+}
+
+.calibration-quality.good,
+.calibration-quality-badge.good {
+  background: #f6ffed;
+  color: #389e0d;
+}
+
+.calibration-quality.fair,
+.calibration-quality-badge.fair {
+  background: #fffbe6;
+  color: #d48806;
+}
+
+.calibration-quality.poor,
+.calibration-quality-badge.poor {
+  background: #fff2f0;
+  color: #cf1322;
+}
+
+.calibration-quality-badge {
+  padding: 1px 6px;
+  border-radius: 10px;
+  font-size: 11px;
+}
+
+.calibration-quality-badge:empty {
+  display: none;
+}
+
 .status-dot {
   width: 8px;
   height: 8px;
@@ -3391,6 +9860,22 @@ Total Seconds: ${Math.floor(duration / 1000)}`;
   margin-top: 4px;
 }
 
+.camera-select-row {
+  display: flex;
+  gap: 8px;
+}
+
+.calibration-select {
+  flex: 1;
+  min-width: 0;
+  padding: 6px 8px;
+  font-size: 13px;
+  border: 1px solid #ddd;
+  border-radius: 6px;
+  background: white;
+  color: #333;
+}
+
 .slider-container {
   display: flex;
   align-items: center;
@@ -3448,6 +9933,49 @@ Total Seconds: ${Math.floor(duration / 1000)}`;
   transition: font-size 0.3s ease;
 }
 
+.legibility-sample {
+  min-height: 36px;
+  padding: 8px;
+  border: 2px dashed #e0e0e0;
+  border-radius: 8px;
+  background: #fafafa;
+  text-align: center;
+  color: #333;
+  font-family: inherit;
+  letter-spacing: 0.2em;
+  line-height: 36px;
+}
+
+.legibility-sample span {
+  display: inline-block;
+}
+
+.legibility-row {
+  display: flex;
+  gap: 8px;
+}
+
+.legibility-input {
+  flex: 1;
+  min-width: 0;
+  padding: 6px 8px;
+  font-size: 13px;
+  border: 1px solid #ddd;
+  border-radius: 6px;
+  text-transform: uppercase;
+}
+
+.legibility-row .btn {
+  padding: 6px 10px;
+  font-size: 13px;
+  white-space: nowrap;
+}
+
+.legibility-row .btn:disabled {
+  opacity: 0.6;
+  cursor: not-allowed;
+}
+
 .calibration-buttons {
   display: grid;
   grid-template-columns: 1fr 1fr;
@@ -3505,6 +10033,33 @@ Total Seconds: ${Math.floor(duration / 1000)}`;
   border-color: #ff7875;
 }
 
+.multi-point-steps {
+  display: flex;
+  gap: 8px;
+}
+
+.multi-point-step {
+  flex: 1;
+  padding: 6px 0;
+  border-radius: 6px;
+  background: #f0f0f0;
+  color: #999;
+  font-size: 13px;
+  text-align: center;
+  transition: all 0.2s;
+}
+
+.multi-point-step.active {
+  background: #e6f7ff;
+  color: #1890ff;
+  font-weight: 600;
+}
+
+.multi-point-step.done {
+  background: #f6ffed;
+  color: #52c41a;
+}
+
 .calibration-info {
   background: linear-gradient(135deg, #f0f8ff 0%, #e6f7ff 100%);
   border: 1px solid #91d5ff;
@@ -3584,6 +10139,8 @@ Total Seconds: ${Math.floor(duration / 1000)}`;
 
   // ===== 主程序入口 =====
   function initializeReadingMode() {
+    StorageManager.migrateLocalData();
+
     // 加载样式
     const styleElement = document.createElement("style");
     styleElement.textContent = READING_MODE_STYLES;